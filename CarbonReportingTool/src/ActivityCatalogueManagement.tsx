@@ -0,0 +1,415 @@
+import React, { useEffect, useState } from "react";
+import {
+  WidgetWrapper,
+  TitleBar,
+  FormField,
+  Input,
+  Label,
+  Select,
+  Checkbox,
+  Button,
+  useToast,
+} from "uxp/components";
+import { IContextProvider } from "./uxp";
+import {
+  CatalogueActivity,
+  Scope,
+  fetchActivityCatalogue,
+  findCatalogueActivity,
+  getScopeLabel,
+  scope3Categories,
+  scopeColors,
+} from "./activityCatalogue";
+import { getGasLabel, refrigerantGases } from "./gwp";
+import "./ActivityCatalogueManagement.scss";
+
+export interface IWidgetProps {
+  uxpContext?: IContextProvider;
+  instanceId?: string;
+  uiProps?: any;
+}
+
+interface CatalogueForm {
+  activity: string;
+  scope: string;
+  category: string;
+  unit: string;
+  description: string;
+  refrigerant: boolean;
+  density: string;
+}
+
+const emptyForm: CatalogueForm = {
+  activity: "",
+  scope: "1",
+  category: "",
+  unit: "",
+  description: "",
+  refrigerant: false,
+  density: "",
+};
+
+const scopeOptions = [
+  { label: "Scope 1 – Direct emissions", value: "1" },
+  { label: "Scope 2 – Purchased energy", value: "2" },
+  { label: "Scope 3 – Value chain", value: "3" },
+];
+
+const refrigerantGasOptions = refrigerantGases.map((gas) => ({ label: getGasLabel(gas), value: gas }));
+
+const scope3CategoryOptions = scope3Categories.map((category) => ({ label: category, value: category }));
+
+const ActivityCatalogueManagement: React.FunctionComponent<IWidgetProps> = (props) => {
+  const toast = useToast();
+
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [catalogue, setCatalogue] = useState<CatalogueActivity[]>([]);
+  const [dataActivities, setDataActivities] = useState<string[]>([]);
+  const [form, setForm] = useState<CatalogueForm>(emptyForm);
+  // Records without a gas type per activity, and the gas picked for each refrigerant activity
+  const [recordsWithoutGas, setRecordsWithoutGas] = useState<{ activity: string; count: number }[]>([]);
+  const [assignedGases, setAssignedGases] = useState<{ [activity: string]: string }>({});
+  const [assigning, setAssigning] = useState<string>("");
+
+  // 🔹 Fetch the catalogue and the activities present in the uploaded data
+  const loadCatalogue = async () => {
+    setLoading(true);
+    try {
+      const [entries, activities, withoutGas] = await Promise.all([
+        fetchActivityCatalogue(props.uxpContext),
+        props.uxpContext?.executeAction("carbon_reporting_80rr", "getAllActivities", {}, { json: true }),
+        props.uxpContext?.executeAction("carbon_reporting_80rr", "GetRecordsWithoutGas", {}, { json: true }),
+      ]);
+      setCatalogue(entries);
+      setDataActivities(activities || []);
+      setRecordsWithoutGas((withoutGas || []).map((row: any) => ({ activity: row.activity, count: parseInt(row.count) || 0 })));
+    } catch (error) {
+      console.error("Error loading activity catalogue:", error);
+      toast.error("Failed to load activity catalogue.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCatalogue();
+  }, []);
+
+  // 🔹 Activities with data that no catalogue entry maps to a scope
+  const unclassifiedActivities = dataActivities.filter(
+    (activity) => !!activity && !findCatalogueActivity(catalogue, activity)
+  );
+
+  // 🔹 Refrigerant records stored before gases were recorded; they are not converted until they have one
+  const refrigerantRecordsWithoutGas = recordsWithoutGas.filter(
+    (row) => !!findCatalogueActivity(catalogue, row.activity)?.refrigerant
+  );
+
+  const sortedCatalogue = [...catalogue].sort(
+    (a, b) => a.scope - b.scope || a.activity.localeCompare(b.activity)
+  );
+
+  const updateForm = (field: keyof CatalogueForm, val: string | boolean) => {
+    setForm((prev) => ({ ...prev, [field]: val }));
+  };
+
+  const editEntry = (entry: CatalogueActivity) => {
+    setForm({
+      activity: entry.activity,
+      scope: entry.scope.toString(),
+      category: entry.category,
+      unit: entry.unit,
+      description: entry.description || "",
+      refrigerant: !!entry.refrigerant,
+      density: entry.density ? entry.density.toString() : "",
+    });
+  };
+
+  const classifyEntry = (activity: string) => {
+    setForm({ ...emptyForm, activity });
+  };
+
+  // 🔹 Validate form
+  const validateForm = (): string | null => {
+    if (!form.activity.trim()) {
+      return "Please enter the activity name.";
+    }
+    if (!["1", "2", "3"].includes(form.scope)) {
+      return "Please select a scope.";
+    }
+    if (form.scope === "3" && !scope3Categories.includes(form.category)) {
+      return "Please select the GHG Protocol category of this Scope 3 activity.";
+    }
+    if (!form.unit.trim()) {
+      return "Please enter the unit the activity is reported in.";
+    }
+    if (form.density && (isNaN(parseFloat(form.density)) || parseFloat(form.density) <= 0)) {
+      return "Density must be a positive number of kg per litre.";
+    }
+    return null;
+  };
+
+  // 🔹 Save catalogue entry
+  const saveEntry = async () => {
+    const validationError = validateForm();
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "SaveCatalogueActivity",
+        {
+          activity: form.activity.trim(),
+          scope: form.scope,
+          category: form.category.trim(),
+          unit: form.unit.trim(),
+          description: form.description.trim(),
+          refrigerant: form.refrigerant ? "true" : "false",
+          density: form.density.trim(),
+        },
+        { json: true }
+      );
+
+      toast.success(`${form.activity} mapped to ${getScopeLabel(parseInt(form.scope) as Scope)}`);
+      setForm(emptyForm);
+      await loadCatalogue();
+    } catch (error) {
+      console.error("Error saving catalogue activity:", error);
+      toast.error("Failed to save activity. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // 🔹 Assign a gas type to an activity's records without one
+  const assignGas = async (activity: string) => {
+    const gas = assignedGases[activity];
+    if (!gas) {
+      toast.error("Please select the gas these records are for.");
+      return;
+    }
+
+    setAssigning(activity);
+    try {
+      const result = await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "AssignRecordGas",
+        { activity, gas },
+        { json: true }
+      );
+
+      toast.success(`${result?.updated || 0} ${activity} records set to ${getGasLabel(gas)}`);
+      if (result?.conflicts > 0) {
+        toast.error(`${result.conflicts} records were left without a gas: their period and site already have a ${getGasLabel(gas)} record.`);
+      }
+      await loadCatalogue();
+    } catch (error: any) {
+      console.error("Error assigning gas:", error);
+      toast.error(`Failed to assign gas: ${error?.message || error || "Unknown error"}`);
+    } finally {
+      setAssigning("");
+    }
+  };
+
+  return (
+    <WidgetWrapper>
+      <TitleBar title="Activity Catalogue" />
+
+      <div className="activity-catalogue">
+        {loading && <div className="loading">📊 Loading activity catalogue...</div>}
+
+        {!loading && (
+          <>
+            {unclassifiedActivities.length > 0 && (
+              <div className="activity-catalogue__unclassified">
+                <h3>⚠️ Unclassified Activities</h3>
+                <p>
+                  These activities have data but no scope. Their emissions are reported as
+                  "Unclassified" until they are added to the catalogue.
+                </p>
+                <ul>
+                  {unclassifiedActivities.map((activity) => (
+                    <li key={activity}>
+                      <span>{activity}</span>
+                      <Button title="Classify" onClick={() => classifyEntry(activity)} />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {refrigerantRecordsWithoutGas.length > 0 && (
+              <div className="activity-catalogue__unclassified">
+                <h3>⚠️ Refrigerant Records Without a Gas Type</h3>
+                <p>
+                  These records were stored before refrigerants were reported per gas. They are not converted with a
+                  GWP, so they count at the activity's registry factor if one is in effect and as 0 kgCO₂e otherwise.
+                  Assign the gas they were reported for; their values are then taken as kg released.
+                </p>
+                <ul>
+                  {refrigerantRecordsWithoutGas.map((row) => (
+                    <li key={row.activity}>
+                      <span>{row.activity} ({row.count} record{row.count === 1 ? "" : "s"})</span>
+                      <div className="form-actions" style={{ marginTop: 0 }}>
+                        <Select
+                          options={refrigerantGasOptions}
+                          selected={assignedGases[row.activity] || ""}
+                          onChange={(val) => setAssignedGases((prev) => ({ ...prev, [row.activity]: val }))}
+                          placeholder="Select gas"
+                        />
+                        <Button
+                          title="Assign Gas"
+                          onClick={() => assignGas(row.activity)}
+                          loading={assigning === row.activity}
+                          disabled={!!assigning}
+                        />
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="form-section">
+              <h3>Add/Update Activity</h3>
+
+              <FormField>
+                <Label>Activity *</Label>
+                <Input
+                  type="text"
+                  value={form.activity}
+                  onChange={(val) => updateForm("activity", val)}
+                  placeholder="Activity name as it appears in uploads"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Scope *</Label>
+                <Select
+                  options={scopeOptions}
+                  selected={form.scope}
+                  onChange={(val) => updateForm("scope", val)}
+                  placeholder="Select scope"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Category{form.scope === "3" ? " *" : ""}</Label>
+                {form.scope === "3" ? (
+                  <Select
+                    options={scope3CategoryOptions}
+                    selected={form.category}
+                    onChange={(val) => updateForm("category", val)}
+                    placeholder="Select GHG Protocol category"
+                  />
+                ) : (
+                  <Input
+                    type="text"
+                    value={form.category}
+                    onChange={(val) => updateForm("category", val)}
+                    placeholder="e.g. Stationary Combustion"
+                  />
+                )}
+              </FormField>
+
+              <FormField>
+                <Label>Unit *</Label>
+                <Input
+                  type="text"
+                  value={form.unit}
+                  onChange={(val) => updateForm("unit", val)}
+                  placeholder="e.g. litres, kWh"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Density (kg/litre)</Label>
+                <Input
+                  type="number"
+                  value={form.density}
+                  onChange={(val) => updateForm("density", val)}
+                  placeholder="Fuels only, e.g. 0.835 for diesel – converts uploads in kg to litres"
+                />
+              </FormField>
+
+              <FormField>
+                <Checkbox
+                  checked={form.refrigerant}
+                  onChange={(checked) => {
+                    updateForm("refrigerant", checked);
+                    if (checked) updateForm("unit", "kg");
+                  }}
+                  label="Refrigerant – reported per gas type in kg and converted with the gas's GWP"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Description</Label>
+                <Input
+                  type="text"
+                  value={form.description}
+                  onChange={(val) => updateForm("description", val)}
+                  placeholder="Optional description"
+                />
+              </FormField>
+
+              <div className="form-actions">
+                <Button
+                  title={saving ? "Saving..." : "Save Activity"}
+                  onClick={saveEntry}
+                  loading={saving}
+                  disabled={saving}
+                />
+                <Button title="Clear" onClick={() => setForm(emptyForm)} />
+              </div>
+            </div>
+
+            <div className="activity-catalogue__table">
+              <h3>Catalogue</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Activity</th>
+                    <th>Scope</th>
+                    <th>Category</th>
+                    <th>Unit</th>
+                    <th>Description</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortedCatalogue.map((entry) => (
+                    <tr key={entry.activity}>
+                      <td>{entry.activity}</td>
+                      <td>
+                        <span
+                          className="activity-catalogue__scope-badge"
+                          style={{ backgroundColor: scopeColors[entry.scope] }}
+                        >
+                          {getScopeLabel(entry.scope)}
+                        </span>
+                      </td>
+                      <td>{entry.category}</td>
+                      <td>{entry.refrigerant ? `${entry.unit} per gas` : entry.unit}</td>
+                      <td>{entry.description}</td>
+                      <td>
+                        <Button title="Edit" onClick={() => editEntry(entry)} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </WidgetWrapper>
+  );
+};
+
+export default ActivityCatalogueManagement;
@@ -1,7 +1,14 @@
 import React, { useEffect, useRef, useState } from "react";
 import Highcharts from 'highcharts';
-import { WidgetWrapper, TitleBar, FilterPanel, FormField, Select, Input, Label, useToast, Button } from "uxp/components";
+import { WidgetWrapper, TitleBar, FilterPanel, FormField, Select, Input, Label, useToast, Button, ToggleFilter } from "uxp/components";
 import { IContextProvider } from "./uxp";
+import { Scope2Method, scope2MethodOptions } from "./scope2";
+import { SummaryRow, fetchEmissionsSummary, getYearScopeTotals } from "./emissionsSummary";
+import { fetchCarbonSettings } from "./settings";
+import { ConsolidationApproach, defaultConsolidationApproach, describeConsolidation, parseConsolidationApproach } from "./consolidation";
+import { scopeColors } from "./activityCatalogue";
+import { Site, fetchSites, getSiteOptions } from "./sites";
+import { defaultFiscalYearStart, describeFiscalYear, getCurrentFiscalYear, getFiscalYearLabel, getFiscalYearMonths, isCalendarYear, parseFiscalYearStart } from "./fiscalYear";
 import './AnnualCarbonChart.scss';
 
 export interface IWidgetProps {
@@ -10,13 +17,6 @@ export interface IWidgetProps {
   uiProps?: any;
 }
 
-// Emission factors for calculations
-const emissionFactors: { [key: string]: number } = {
-  "Generator Fuel Consumption": 3.761, // kgCO₂e per litre
-  "Refrigerant Leakages/Refilling": 1.000, // kgCO₂e per litre
-  "Electricity Consumption": 0.412 // kgCO₂e per kWh
-};
-
 const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props) => {
   const chartRef = useRef(null);
   const toast = useToast();
@@ -24,10 +24,16 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
   const [selectedLegend, setSelectedLegend] = useState<string | null>("all");
 
   const [loading, setLoading] = useState(false);
-  const [activityData, setActivityData] = useState<any[]>([]);
+  // Year × scope totals from the model, under both Scope 2 methods so switching method needs no reload
+  const [summaries, setSummaries] = useState<{ [method: string]: SummaryRow[] }>({ location: [], market: [] });
   const [yearFilter, setYearFilter] = useState<any>(new Date().getFullYear());
   const [activityName, setActivityName] = useState<string>("");
+  const [sites, setSites] = useState<Site[]>([]);
+  const [siteFilter, setSiteFilter] = useState<string>("");
   const [availableActivities, setAvailableActivities] = useState<string[]>([]); // 🆕 for dropdown options
+  const [consolidation, setConsolidation] = useState<ConsolidationApproach>(defaultConsolidationApproach);
+  const [scope2Method, setScope2Method] = useState<Scope2Method>("location");
+  const [fiscalYearStart, setFiscalYearStart] = useState<string>(defaultFiscalYearStart);
     // 🆕 Fetch available activities for dropdown
   const fetchAvailableActivities = async () => {
     try {
@@ -46,29 +52,33 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
     // 🆕 Load activities on component mount
     useEffect(() => {
       fetchAvailableActivities();
+      fetchSites(props.uxpContext).then(setSites);
+      fetchCarbonSettings(props.uxpContext).then(settings => {
+        const start = parseFiscalYearStart(settings.fiscalYearStart);
+        setConsolidation(parseConsolidationApproach(settings.consolidationApproach));
+        setFiscalYearStart(start);
+        setYearFilter(getCurrentFiscalYear(start));
+      });
     }, []);
   const fetchActivityData = async () => {
     if (!props.uxpContext) return;
 
     setLoading(true);
     try {
-      const result = await props.uxpContext.executeAction(
-        "carbon_reporting_80rr",
-        "GetAllData",
-        { year: yearFilter, month: null, activityName: activityName },
-        { json: true }
-      );
-
-      console.log("Fetched annual emission data:", result);
-
-      const cleanedData = result?.map((row: any) => ({
-        activity: row.activity,
-        year: row.year,
-        month: row.month,
-        value: parseFloat(row.value)
-      })) || [];
-
-      setActivityData(cleanedData);
+      // Totals are calculated in the model, so long histories do not download every record. The year
+      // filter is a fiscal year, so it spans the months from the fiscal year start month on.
+      const range = yearFilter ? getFiscalYearMonths(yearFilter, fiscalYearStart) : {};
+      const [location, market] = await Promise.all((["location", "market"] as Scope2Method[]).map(method =>
+        fetchEmissionsSummary(props.uxpContext, {
+          ...range,
+          groupBy: ["fiscalYear", "scope"],
+          scope2Method: method,
+          activityName,
+          site: siteFilter
+        })
+      ));
+
+      setSummaries({ location, market });
     } catch (error: any) {
       console.error("Error loading annual emission data:", error);
       toast.error("Failed to load activity data.");
@@ -77,74 +87,66 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
     }
   };
 
-  // Calculate annual emissions aggregated by scope
-  const calculateAnnualEmissions = () => {
-    if (activityData.length === 0) {
+  // Calculate annual emissions aggregated by scope, with Scope 2 under the given method
+  const calculateAnnualEmissions = (method: Scope2Method = scope2Method) => {
+    const years = getYearScopeTotals(summaries[method], "fiscalYear");
+    if (Object.keys(years).length === 0) {
       return {
         annualData: [],
         totalScope1: 0,
         totalScope2: 0,
+        totalScope3: 0,
+        totalUnclassified: 0,
         totalEmissions: 0
       };
     }
 
-    // Group by year and calculate scope totals
-    const yearlyEmissions: { [key: string]: { scope1: number, scope2: number } } = {};
-
-    activityData.forEach(item => {
-      const year = item.year.toString();
-      if (!yearlyEmissions[year]) {
-        yearlyEmissions[year] = { scope1: 0, scope2: 0 };
-      }
-
-      const emissionFactor = emissionFactors[item.activity] || 0;
-      const calculatedEmission = item.value * emissionFactor;
-
-      // Determine scope based on activity type
-      const isScope1 = item.activity.includes("Generator") || item.activity.includes("Refrigerant");
-
-      if (isScope1) {
-        yearlyEmissions[year].scope1 += calculatedEmission;
-      } else {
-        yearlyEmissions[year].scope2 += calculatedEmission;
-      }
-    });
-
     // Convert to array format for chart
-    const annualData = Object.keys(yearlyEmissions)
-      .sort((a, b) => parseInt(a) - parseInt(b))
-      .map(year => ({
-        year: parseInt(year),
-        scope1: yearlyEmissions[year].scope1,
-        scope2: yearlyEmissions[year].scope2,
-        total: yearlyEmissions[year].scope1 + yearlyEmissions[year].scope2
-      }));
+    const annualData = Object.keys(years).sort((a, b) => parseInt(a) - parseInt(b)).map(year => ({
+      year: parseInt(year),
+      scope1: years[year].scope1,
+      scope2: years[year].scope2,
+      scope3: years[year].scope3,
+      unclassified: years[year].unclassified,
+      total: years[year].total
+    }));
 
     const totalScope1 = annualData.reduce((sum, item) => sum + item.scope1, 0);
     const totalScope2 = annualData.reduce((sum, item) => sum + item.scope2, 0);
-    const totalEmissions = totalScope1 + totalScope2;
+    const totalScope3 = annualData.reduce((sum, item) => sum + item.scope3, 0);
+    const totalUnclassified = annualData.reduce((sum, item) => sum + item.unclassified, 0);
+    const totalEmissions = totalScope1 + totalScope2 + totalScope3 + totalUnclassified;
 
-    return { annualData, totalScope1, totalScope2, totalEmissions };
+    return { annualData, totalScope1, totalScope2, totalScope3, totalUnclassified, totalEmissions };
   };
   const exportToCSV = () => {
-    const { annualData } = calculateAnnualEmissions();
+    // Both Scope 2 methods are exported side by side, whichever one is shown
+    const { annualData } = calculateAnnualEmissions("location");
+    const { annualData: marketAnnualData } = calculateAnnualEmissions("market");
 
     if (!annualData.length) {
       toast.error("No data to export");
       return;
     }
 
-    const headers = ["Year", "Scope 1 (KgCO2e)", "Scope 2 (KgCO2e)", "Total (KgCO2e)"];
-    const rows = annualData.map(row => [
-      row.year,
+    const headers = [
+      "Year", "Scope 1 (KgCO2e)", "Scope 2 Location-based (KgCO2e)", "Scope 2 Market-based (KgCO2e)", "Scope 3 (KgCO2e)",
+      "Unclassified (KgCO2e)", "Total Location-based (KgCO2e)", "Total Market-based (KgCO2e)"
+    ];
+    const rows = annualData.map((row, index) => [
+      getFiscalYearLabel(row.year, fiscalYearStart),
       row.scope1.toFixed(2),
       row.scope2.toFixed(2),
-      row.total.toFixed(2)
+      marketAnnualData[index].scope2.toFixed(2),
+      row.scope3.toFixed(2),
+      row.unclassified.toFixed(2),
+      row.total.toFixed(2),
+      marketAnnualData[index].total.toFixed(2)
     ]);
 
     const csvContent =
       "data:text/csv;charset=utf-8," +
-      [headers, ...rows].map(e => e.join(",")).join("\n");
+      [[describeConsolidation(consolidation)], headers, ...rows].map(e => e.join(",")).join("\n");
 
     const encodedUri = encodeURI(csvContent);
     const link = document.createElement("a");
@@ -154,7 +156,7 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
     link.click();
     document.body.removeChild(link);
   };
-  const { annualData, totalScope1, totalScope2, totalEmissions } = calculateAnnualEmissions();
+  const { annualData, totalScope1, totalScope2, totalScope3, totalUnclassified, totalEmissions } = calculateAnnualEmissions();
 
   const showAllSeries = () => {
     chartInstance.current?.series.forEach(s => s.show());
@@ -169,13 +171,15 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
 
   useEffect(() => {
     fetchActivityData();
-  }, [yearFilter, activityName]);
+  }, [yearFilter, activityName, siteFilter, fiscalYearStart]);
 
   useEffect(() => {
     if (chartRef.current && annualData.length > 0) {
-      const years = annualData.map(item => item.year.toString());
+      const years = annualData.map(item => getFiscalYearLabel(item.year, fiscalYearStart));
       const scope1Data = annualData.map(item => selectedLegend === "all" || selectedLegend === "Scope 1" ? item.scope1 : 0);
       const scope2Data = annualData.map(item => selectedLegend === "all" || selectedLegend === "Scope 2" ? item.scope2 : 0);
+      const scope3Data = annualData.map(item => selectedLegend === "all" || selectedLegend === "Scope 3" ? item.scope3 : 0);
+      const unclassifiedData = annualData.map(item => selectedLegend === "all" || selectedLegend === "Unclassified" ? item.unclassified : 0);
 
       // Highcharts configuration for annual stacked bar chart
       const chartConfig: Highcharts.Options = {
@@ -193,11 +197,14 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
             color: '#2c3e50'
           }
         },
+        subtitle: {
+          text: scope2Method === "market" ? 'Scope 2 market-based' : 'Scope 2 location-based'
+        },
 
         xAxis: {
           categories: years,
           title: {
-            text: 'Year',
+            text: isCalendarYear(fiscalYearStart) ? 'Year' : 'Fiscal Year',
             style: {
               fontSize: '14px',
               fontWeight: 'bold'
@@ -243,7 +250,7 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
           }
         },
         tooltip: {
-          headerFormat: '<b>Year {point.key}</b><br/>',
+          headerFormat: '<b>{point.key}</b><br/>',
           pointFormat: '<span style="color:{series.color}">{series.name}</span>: <b>{point.y:,.1f} kgCO₂e</b><br/>',
           footerFormat: 'Total: <b>{point.total:,.2f} kgCO₂e</b>',
           shared: true,
@@ -252,7 +259,7 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
           borderRadius: 8,
           shadow: true,
           formatter: function () {
-            let tooltip = `<b>Year ${this.x}</b><br/>`;
+            let tooltip = `<b>${this.x}</b><br/>`;
 
             this.points?.forEach(point => {
               tooltip += `<span style="color:${point.series.color}">${point.series.name}</span>: <b>${point.y?.toLocaleString() || '0'} kgCO₂e</b><br/>`;
@@ -312,7 +319,22 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
             type: 'column',
             color: '#4ECDC4',
             borderRadius: 3
-          }
+          },
+          {
+            name: 'Scope 3',
+            data: scope3Data,
+            type: 'column',
+            color: scopeColors[3],
+            borderRadius: 3
+          },
+          // Only shown while some activities are missing from the activity catalogue
+          ...(totalUnclassified > 0 ? [{
+            name: 'Unclassified',
+            data: unclassifiedData,
+            type: 'column' as const,
+            color: scopeColors.unclassified,
+            borderRadius: 3
+          }] : [])
         ],
         credits: {
           enabled: false
@@ -340,7 +362,7 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
 
       chartInstance.current = Highcharts.chart(chartRef.current, chartConfig);
     }
-  }, [annualData, totalEmissions, selectedLegend]);
+  }, [annualData, totalEmissions, totalUnclassified, selectedLegend, scope2Method, fiscalYearStart]);
   // 🆕 Convert activities array to Select options with "All" as default
   const activityOptions = [
     { label: "All Activities", value: "" },
@@ -358,16 +380,22 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
           onClear={() => {
             setYearFilter(null);
             setActivityName("");
+            setSiteFilter("");
           }}
         >
           <FormField>
-            <Label>Filter by Year</Label>
+            <Label>{isCalendarYear(fiscalYearStart) ? "Filter by Year" : "Filter by Fiscal Year"}</Label>
             <Input
               type="number"
               value={yearFilter || ""}
               onChange={(val) => setYearFilter(val ? parseInt(val) : null)}
               placeholder="Enter year"
             />
+            {yearFilter && !isCalendarYear(fiscalYearStart) && (
+              <div style={{ fontSize: "11px", color: "#666", marginTop: "4px" }}>
+                {describeFiscalYear(yearFilter, fiscalYearStart)}
+              </div>
+            )}
           </FormField>
 
 
@@ -380,7 +408,22 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
                           placeholder="Select activity"
                         />
                       </FormField>
+
+          <FormField>
+            <Label>Filter by Site</Label>
+            <Select
+              options={getSiteOptions(sites)}
+              selected={siteFilter}
+              onChange={(val) => setSiteFilter(val)}
+              placeholder="All Sites"
+            />
+          </FormField>
         </FilterPanel>
+        <ToggleFilter
+          options={scope2MethodOptions}
+          value={scope2Method}
+          onChange={(val) => setScope2Method(val as Scope2Method)}
+        />
         <Button
                         icon='fas cloud-download-alt'
                         title='Export'
@@ -424,6 +467,30 @@ const AnnualCarbonEmissionChart: React.FunctionComponent<IWidgetProps> = (props)
             <span className="annual-carbon-chart__legend-dot annual-carbon-chart__legend-dot--scope-2"></span>
             Scope 2
           </div>
+
+          <div
+            className={`annual-carbon-chart__legend-item ${selectedLegend === "Scope 3" ? 'annual-carbon-chart__legend-item--active scope-3' : ''}`}
+            onClick={() => {
+              setSelectedLegend("Scope 3");
+              showOnlySeries("Scope 3");
+            }}
+          >
+            <span className="annual-carbon-chart__legend-dot annual-carbon-chart__legend-dot--scope-3"></span>
+            Scope 3
+          </div>
+
+          {totalUnclassified > 0 && (
+            <div
+              className={`annual-carbon-chart__legend-item ${selectedLegend === "Unclassified" ? 'annual-carbon-chart__legend-item--active scope-unclassified' : ''}`}
+              onClick={() => {
+                setSelectedLegend("Unclassified");
+                showOnlySeries("Unclassified");
+              }}
+            >
+              <span className="annual-carbon-chart__legend-dot annual-carbon-chart__legend-dot--unclassified"></span>
+              Unclassified
+            </div>
+          )}
         </div>
       )}
 
@@ -9,8 +9,18 @@ import {
   Input,
   Label,
   useToast,
+  ToggleFilter,
 } from "uxp/components";
 import { IContextProvider } from "./uxp";
+import { Scope2Method, scope2MethodOptions } from "./scope2";
+import { SummaryRow, fetchEmissionsSummary, getYearScopeTotals } from "./emissionsSummary";
+import { fetchCarbonSettings } from "./settings";
+import { ConsolidationApproach, consolidationLabels, defaultConsolidationApproach, parseConsolidationApproach } from "./consolidation";
+import { scopeColors } from "./activityCatalogue";
+import { Site, fetchSites, getSiteOptions } from "./sites";
+import { Baseline, fetchBaselines, findBaseline, getBaselineLabel, getBaselineTotal } from "./baselines";
+import { ReductionTarget, describeTarget, fetchTargets, getRequiredEmissions, isOnTrack } from "./targets";
+import { defaultFiscalYearStart, getFiscalYearLabel, getFiscalYearMonths, isCalendarYear, parseFiscalYearStart } from "./fiscalYear";
 import "./AnnualCarbonChart.scss";
 
 export interface IWidgetProps {
@@ -19,13 +29,6 @@ export interface IWidgetProps {
   uiProps?: any;
 }
 
-// Emission factors for calculations
-const emissionFactors: { [key: string]: number } = {
-  "Generator Fuel Consumption": 3.761, // kgCO₂e per litre
-  "Refrigerant Leakages/Refilling": 1.0, // kgCO₂e per litre
-  "Electricity Consumption": 0.412, // kgCO₂e per kWh
-};
-
 const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
   IWidgetProps
 > = (props) => {
@@ -34,14 +37,22 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
   const toast = useToast();
 
   const [loading, setLoading] = useState(false);
-  const [activityData, setActivityData] = useState<any[]>([]);
+  // Year × scope totals from the model, under both Scope 2 methods so switching method needs no reload
+  const [summaries, setSummaries] = useState<{ [method: string]: SummaryRow[] }>({ location: [], market: [] });
   const [yearFilter, setYearFilter] = useState<any>(null); // Changed: Start with null to show all years
 
   const [availableActivities, setAvailableActivities] = useState<string[]>([]);
-  const [baselineYear, setBaselineYear] = useState<any>(2022); // default baseline year
+  const [consolidation, setConsolidation] = useState<ConsolidationApproach>(defaultConsolidationApproach);
+  const [scope2Method, setScope2Method] = useState<Scope2Method>("location");
+  const [fiscalYearStart, setFiscalYearStart] = useState<string>(defaultFiscalYearStart);
+  const [sites, setSites] = useState<Site[]>([]);
+  const [siteFilter, setSiteFilter] = useState<string>("");
+  const [baselineYear, setBaselineYear] = useState<any>(null); // null while no baseline is set
   const [availableYears, setAvailableYears] = useState<any[]>([]); // dropdown years
   const [availableBaselineYears, setAvailableBaselineYears] = useState<any[]>([]);
-  const [baselineData, setBaselineData] = useState<any[]>([]); // Store baseline data
+  const [baselineData, setBaselineData] = useState<Baseline[]>([]); // Store baseline data
+  const [targets, setTargets] = useState<ReductionTarget[]>([]);
+  const [targetId, setTargetId] = useState<string>(""); // target whose trajectory is drawn, "" for none
 
   // Fetch available activities
   const fetchAvailableActivities = async () => {
@@ -61,29 +72,21 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
   // Fetch baseline data and years
   const fetchBaselineYears = async () => {
     try {
-      const result = await props.uxpContext?.executeAction(
-        "carbon_reporting_80rr",
-        "getAllBaselines",
-        {},
-        { json: true }
-      );
+      const result = await fetchBaselines(props.uxpContext);
 
-      if (result && Array.isArray(result)) {
+      if (result.length > 0) {
         setBaselineData(result); // Store the full baseline data
-        const years = Array.from(new Set(result.map((r: any) => r.year))).sort();
+        const years = Array.from(new Set(result.map((r) => r.year))).sort();
         setAvailableBaselineYears(years);
-        if (years.length > 0 && !years.includes(baselineYear)) {
-          setBaselineYear(years[0]); // default to first baseline year if not set
-        }
       }
     } catch (error) {
       console.error("Error fetching baseline years:", error);
-      setAvailableBaselineYears([2022]); // fallback
+      setAvailableBaselineYears([]);
       setBaselineData([]); // Clear baseline data on error
     }
   };
 
-  // Fetch baseline year from backend
+  // Fetch baseline year from backend: the saved setting, else the earliest baseline, else {} when there is none
   const fetchBaselineYear = async () => {
     try {
       const result = await props.uxpContext?.executeAction(
@@ -93,45 +96,34 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
         { json: true }
       );
 
-      if (result && result.year) {
-        setBaselineYear(result.year);
-      } else {
-        setBaselineYear(2022); // fallback default
-      }
+      setBaselineYear(result && result.year ? result.year : null);
     } catch (error) {
       console.error("Error fetching baseline year:", error);
-      setBaselineYear(2022); // fallback
+      setBaselineYear(null);
     }
   };
 
-  // Modified: Fetch activity data - pass null for year to get all years, or specific year for filtering
+  // Fetch annual totals - null year for all years, or a specific fiscal year for filtering. Totals are
+  // calculated in the model, so the full history does not have to be downloaded record by record.
   const fetchActivityData = async () => {
     if (!props.uxpContext) return;
 
     setLoading(true);
     try {
-      const result = await props.uxpContext.executeAction(
-        "carbon_reporting_80rr",
-        "GetAllData",
-        { 
-          year: yearFilter, // This will be null for all years, or specific year for filtering
-          month: null, 
-        },
-        { json: true }
-      );
-
-      const cleanedData =
-        result?.map((row: any) => ({
-          activity: row.activity,
-          year: row.year,
-          month: row.month,
-          value: parseFloat(row.value),
-        })) || [];
-
-      setActivityData(cleanedData);
+      const range = yearFilter ? getFiscalYearMonths(yearFilter, fiscalYearStart) : {};
+      const [location, market] = await Promise.all((["location", "market"] as Scope2Method[]).map(method =>
+        fetchEmissionsSummary(props.uxpContext, {
+          ...range,
+          groupBy: ["fiscalYear", "scope"],
+          scope2Method: method,
+          site: siteFilter,
+        })
+      ));
+
+      setSummaries({ location, market });
 
       // Build available years for baseline dropdown
-      const years = Array.from(new Set(cleanedData.map((d: any) => d.year))).sort();
+      const years = Array.from(new Set(location.map((row) => row.fiscalYear))).sort();
       setAvailableYears(years);
     } catch (error: any) {
       console.error("Error loading emission data:", error);
@@ -143,125 +135,80 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
 
   useEffect(() => {
     fetchAvailableActivities();
+    fetchSites(props.uxpContext).then(setSites);
+    fetchCarbonSettings(props.uxpContext).then(settings => {
+      setConsolidation(parseConsolidationApproach(settings.consolidationApproach));
+      setFiscalYearStart(parseFiscalYearStart(settings.fiscalYearStart));
+    });
     fetchBaselineYear(); // fetch baseline year on mount
     fetchBaselineYears();
+    fetchTargets(props.uxpContext).then(result => {
+      setTargets(result);
+      setTargetId(result.length > 0 ? result[0]._id || "" : "");
+    });
   }, []);
 
   useEffect(() => {
     fetchActivityData();
-  }, [yearFilter]);
+  }, [yearFilter, siteFilter, fiscalYearStart]);
 
-  // Calculate annual emissions by year
+  // Calculate annual emissions by fiscal year, in tCO₂e like the baselines (the summaries are kgCO₂e)
   const calculateAnnualEmissions = () => {
-    if (activityData.length === 0) return [];
-
-    console.log("Raw activity data:", activityData);
-
-    const yearlyEmissions: { [key: string]: { scope1: number; scope2: number } } =
-      {};
-
-    activityData.forEach((item) => {
-      const year = item.year.toString();
-      if (!yearlyEmissions[year]) {
-        yearlyEmissions[year] = { scope1: 0, scope2: 0 };
-      }
-
-      const emissionFactor = emissionFactors[item.activity] || 0;
-      const calculatedEmission = item.value * emissionFactor;
-
-      // Use exact same logic as working ESGStackedBarChart
-      const isScope1 = item.activity.includes("Generator") || item.activity.includes("Refrigerant");
-      
-      console.log(`Activity: "${item.activity}", isScope1: ${isScope1}, emission: ${calculatedEmission}, emissionFactor: ${emissionFactor}`);
-
-      if (isScope1) {
-        yearlyEmissions[year].scope1 += calculatedEmission;
-      } else {
-        yearlyEmissions[year].scope2 += calculatedEmission;
-      }
-    });
-
-    const result = Object.keys(yearlyEmissions)
-      .sort((a, b) => parseInt(a) - parseInt(b))
-      .map((year) => ({
-        year: parseInt(year),
-        scope1: yearlyEmissions[year].scope1,
-        scope2: yearlyEmissions[year].scope2,
-        total: yearlyEmissions[year].scope1 + yearlyEmissions[year].scope2,
-      }));
-
-    console.log("Calculated annual emissions:", result);
-    console.log("Yearly emissions breakdown:", yearlyEmissions);
+    // Scope comes from the activity catalogue, same as the other emission widgets
+    const years = getYearScopeTotals(summaries[scope2Method], "fiscalYear");
+
+    const result = Object.keys(years).sort((a, b) => parseInt(a) - parseInt(b)).map((year) => ({
+      year: parseInt(year),
+      scope1: years[year].scope1 / 1000,
+      scope2: years[year].scope2 / 1000,
+      scope3: years[year].scope3 / 1000,
+      unclassified: years[year].unclassified / 1000,
+      total: years[year].total / 1000,
+    }));
 
     return result;
   };
 
   const annualData = calculateAnnualEmissions();
 
-  // Calculate baseline value from baseline data
-  const calculateBaselineValue = () => {
-    if (baselineData.length === 0 || !baselineYear) {
-      console.log("No baseline data or year, using fallback");
-      return 4000; // fallback
-    }
-
-    // Filter baseline data for the selected year and activity
-    const filteredBaselines = baselineData.filter((item: any) => {
-      const yearMatches = item.year === baselineYear;
-      return yearMatches 
-    });
-
-    console.log("Filtered baselines:", filteredBaselines);
-
-    if (filteredBaselines.length === 0) {
-      console.log("No matching baseline found, using fallback");
-      return 4000; // fallback if no matching baseline found
-    }
-
-    // If the baseline data already contains calculated emissions (tCO2e), use it directly
-    // Otherwise, apply emission factors
-    let totalBaseline = 0;
-    filteredBaselines.forEach((item: any) => {
-      // Check if the value is already in tCO2e (likely if it's a large number like 1293)
-      // or if it needs to be multiplied by emission factor
-      const rawValue = parseFloat(item.value || 0);
-      
-      // If the baseline value is already calculated emissions, use it directly
-      // You can identify this by checking if it's a reasonable emission value
-      if (rawValue > 100) {
-        // Likely already calculated emissions
-        totalBaseline += rawValue;
-      } else {
-        // Apply emission factor
-        const emissionFactor = emissionFactors[item.activity] || 0;
-        totalBaseline += rawValue * emissionFactor;
-      }
-    });
-
-    console.log("Calculated baseline value:", totalBaseline);
-    return totalBaseline;
+  // Baseline of a base year under the Scope 2 method shown; manual overrides have a single total
+  const calculateBaselineValue = (baselineYear: any) => {
+    const baseline = findBaseline(baselineData, baselineYear);
+    return baseline ? getBaselineTotal(baseline, scope2Method) : 0;
   };
 
-  const baselineValue = calculateBaselineValue();
+  const baselineValue = calculateBaselineValue(baselineYear);
+
+  // Required trajectory of the selected target, measured against the baseline of its own baseline year
+  const target = targets.find((t) => t._id === targetId);
+  const targetBaseline = target ? calculateBaselineValue(target.baselineYear) : 0;
+  const requiredValues = annualData.map((d) => (target ? getRequiredEmissions(target, targetBaseline, d.year) : null));
 
-  console.log('baselineYear:', baselineYear);
-  console.log('baselineValue:', baselineValue);
-  console.log('baselineData:', baselineData);
+  // Baseline years are fiscal years too; averaged base periods and manual overrides say so. Without a
+  // baseline for the selected year there is nothing to compare against, so the comparison is left out.
+  const selectedBaseline = baselineYear !== null ? findBaseline(baselineData, baselineYear) : undefined;
+  const baselineLabel = selectedBaseline ? getBaselineLabel(selectedBaseline, fiscalYearStart) : "";
 
   // Modified: Chart title to reflect filtering state
   const getChartTitle = () => {
+    const method = scope2Method === "market" ? "Scope 2 market-based" : "Scope 2 location-based";
+    const boundary = consolidationLabels[consolidation].toLowerCase();
+    const comparison = selectedBaseline ? ` vs Baseline (${baselineLabel}, ` : " (";
     if (yearFilter) {
-      return `${yearFilter} Scope 1 & 2 Carbon Emissions vs Baseline (${baselineYear})`;
+      return `${getFiscalYearLabel(yearFilter, fiscalYearStart)} Scope 1, 2 & 3 Carbon Emissions${comparison}${method}, ${boundary})`;
     }
-    return `Annual Scope 1 & 2 Carbon Emissions vs Baseline (${baselineYear})`;
+    return `Annual Scope 1, 2 & 3 Carbon Emissions${comparison}${method}, ${boundary})`;
   };
 
   // Build chart
   useEffect(() => {
     if (chartRef.current && annualData.length > 0) {
-      const years = annualData.map((d) => d.year.toString());
+      const years = annualData.map((d) => getFiscalYearLabel(d.year, fiscalYearStart));
       const scope1Data = annualData.map((d) => d.scope1);
       const scope2Data = annualData.map((d) => d.scope2);
+      const scope3Data = annualData.map((d) => d.scope3);
+      const unclassifiedData = annualData.map((d) => d.unclassified);
+      const hasUnclassified = unclassifiedData.some((v) => v > 0);
 
       // constant baseline across all years
       const baselineSeries = years.map(() => baselineValue);
@@ -276,9 +223,12 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
           text: getChartTitle(),
           style: { fontSize: "20px", fontWeight: "bold" },
         },
+        subtitle: {
+          text: target ? `Target "${target.name}": ${describeTarget(target, (y) => getFiscalYearLabel(y, fiscalYearStart))}` : "",
+        },
         xAxis: {
           categories: years,
-          title: { text: "Year" },
+          title: { text: isCalendarYear(fiscalYearStart) ? "Year" : "Fiscal Year" },
         },
         yAxis: {
           min: 0,
@@ -293,7 +243,7 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
                     value: baselineValue,
                     zIndex: 10, // Higher z-index to ensure it's on top
                     label: {
-                      text: `Baseline ${baselineYear}: ${Math.round(baselineValue).toLocaleString()} tCO₂e`,
+                      text: `Baseline ${baselineLabel}: ${Math.round(baselineValue).toLocaleString()} tCO₂e`,
                       align: "right",
                       verticalAlign: "bottom",
                       style: { 
@@ -315,7 +265,7 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
             dataLabels: {
               enabled: true,
               formatter: function () {
-                return this.y && this.y > 0 ? this.y.toLocaleString() : "";
+                return this.y && this.y > 0 ? this.y.toLocaleString(undefined, { maximumFractionDigits: 1 }) : "";
               },
             },
           },
@@ -334,18 +284,53 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
             color: "#ff7f0e",
           },
           {
-            name: `Baseline (${baselineYear})`,
-            data: baselineSeries,
-            type: "line",
-            color: "red",
-            dashStyle: "Dash",
-            marker: { enabled: false },
-            enableMouseTracking: false,
+            name: "Scope 3",
+            data: scope3Data,
+            type: "column",
+            color: "#9467bd",
           },
+          // Only shown while some activities are missing from the activity catalogue
+          ...(hasUnclassified
+            ? [
+                {
+                  name: "Unclassified",
+                  data: unclassifiedData,
+                  type: "column" as const,
+                  color: scopeColors.unclassified,
+                },
+              ]
+            : []),
+          ...(selectedBaseline
+            ? [
+                {
+                  name: `Baseline (${baselineLabel})`,
+                  data: baselineSeries,
+                  type: "line" as const,
+                  color: "red",
+                  dashStyle: "Dash" as const,
+                  marker: { enabled: false },
+                  enableMouseTracking: false,
+                },
+              ]
+            : []),
+          // Required trajectory of the selected target; years before its baseline have no value
+          ...(target
+            ? [
+                {
+                  name: `Target trajectory (${target.name})`,
+                  data: requiredValues,
+                  type: "line" as const,
+                  color: "#2ECC71",
+                  dashStyle: "ShortDot" as const,
+                  marker: { enabled: true, radius: 3 },
+                  connectNulls: false,
+                },
+              ]
+            : []),
         ],
         tooltip: {
           shared: true,
-          footerFormat: "Total: <b>{point.total}</b> tCO₂e",
+          footerFormat: "Total: <b>{point.total:,.1f}</b> tCO₂e",
         },
         legend: { enabled: true },
         credits: { enabled: false },
@@ -353,21 +338,32 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
 
       chartInstance.current = Highcharts.chart(chartRef.current, chartConfig);
 
-      // Add % change annotations above bars
-      if (baselineValue > 0) {
+      // Add % change annotations above bars, and whether each year is on track for the target
+      if (baselineValue > 0 || target) {
         setTimeout(() => {
           annualData.forEach((d, i) => {
+            const onTrack = isOnTrack(d.total, requiredValues[i]);
+            if (onTrack !== null && chartInstance.current) {
+              chartInstance.current.renderer
+                .text(
+                  onTrack ? "✓ On track" : "✗ Off track",
+                  chartInstance.current.xAxis[0].toPixels(i) - 30,
+                  chartInstance.current.yAxis[0].toPixels(d.total) - (baselineValue > 0 ? 30 : 15)
+                )
+                .css({ color: onTrack ? "#27AE60" : "#E74C3C", fontSize: "11px", fontWeight: "bold" })
+                .add();
+            }
+            if (!(baselineValue > 0)) return;
+
             const pctChange =
               ((d.total - baselineValue) / baselineValue) * 100 || 0;
             const label = `${pctChange >= 0 ? "+" : ""}${pctChange.toFixed(
               1
-            )}% vs ${baselineYear}`;
+            )}% vs ${baselineLabel}`;
 
             if (chartInstance.current && chartInstance.current.xAxis && chartInstance.current.yAxis) {
               const xPos = chartInstance.current.xAxis[0].toPixels(i);
               const yPos = chartInstance.current.yAxis[0].toPixels(d.total) - 15;
-              
-              console.log(`Adding annotation at position: x=${xPos}, y=${yPos}, label=${label}`);
 
               chartInstance.current.renderer
                 .text(
@@ -387,7 +383,7 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
         }, 100); // Small delay to ensure chart is fully rendered
       }
     }
-  }, [annualData, baselineValue, baselineYear]);
+  }, [annualData, baselineValue, baselineYear, scope2Method, consolidation, fiscalYearStart, targetId, targets]);
 
   // Activity dropdown options
   const activityOptions = [
@@ -398,7 +394,7 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
   // Modified: Year dropdown options - include "All Years" option
   const yearOptions = [
     { label: "All Years", value: null },
-    ...availableYears.map((y) => ({ label: y.toString(), value: y })),
+    ...availableYears.map((y) => ({ label: getFiscalYearLabel(y, fiscalYearStart), value: y })),
   ];
 
   return (
@@ -407,17 +403,13 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
         <FilterPanel
           onClear={() => {
             setYearFilter(null); // Changed: Clear to show all years
-            // Set to lowest available baseline year
-            if (availableBaselineYears.length > 0) {
-              const lowestYear = Math.min(...availableBaselineYears);
-              setBaselineYear(lowestYear);
-            } else {
-              setBaselineYear(2022);
-            }
+            setSiteFilter("");
+            // Set to lowest available baseline year, or none when no baseline exists
+            setBaselineYear(availableBaselineYears.length > 0 ? Math.min(...availableBaselineYears) : null);
           }}
         >
           <FormField>
-            <Label>Filter by Year</Label>
+            <Label>{isCalendarYear(fiscalYearStart) ? "Filter by Year" : "Filter by Fiscal Year"}</Label>
             <Select
               options={yearOptions}
               selected={yearFilter}
@@ -429,13 +421,44 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
           <FormField> 
             <Label>Select Baseline Year</Label>
             <Select
-              options={availableBaselineYears.map((y) => ({ label: y.toString(), value: y }))}
+              options={availableBaselineYears.map((y) => {
+                const baseline = findBaseline(baselineData, y);
+                return { label: baseline ? getBaselineLabel(baseline, fiscalYearStart) : getFiscalYearLabel(y, fiscalYearStart), value: y };
+              })}
               selected={baselineYear}
               onChange={(val) => setBaselineYear(val)}
               placeholder="Select baseline year"
             />
           </FormField>
+
+          <FormField>
+            <Label>Reduction Target</Label>
+            <Select
+              options={[
+                { label: "No target", value: "" },
+                ...targets.map((t) => ({ label: t.name, value: t._id || "" })),
+              ]}
+              selected={targetId}
+              onChange={(val) => setTargetId(val)}
+              placeholder="Select target"
+            />
+          </FormField>
+
+          <FormField>
+            <Label>Filter by Site</Label>
+            <Select
+              options={getSiteOptions(sites)}
+              selected={siteFilter}
+              onChange={(val) => setSiteFilter(val)}
+              placeholder="All Sites"
+            />
+          </FormField>
         </FilterPanel>
+        <ToggleFilter
+          options={scope2MethodOptions}
+          value={scope2Method}
+          onChange={(val) => setScope2Method(val as Scope2Method)}
+        />
       </TitleBar>
 
       <div className="annual-carbon-chart">
@@ -445,6 +468,14 @@ const AnnualCarbonEmissionWithBaselineComparison: React.FunctionComponent<
           <div>📈 No emission data found for selected filters.</div>
         )}
 
+        {!loading && annualData.length > 0 && !selectedBaseline && (
+          <div style={{ padding: '10px', background: '#fff3cd', border: '1px solid #ffc107', borderRadius: '4px', fontSize: '13px' }}>
+            {baselineYear !== null
+              ? `⚠️ There is no baseline for ${getFiscalYearLabel(baselineYear, fiscalYearStart)}, so emissions are shown without a baseline comparison.`
+              : "⚠️ No baseline set. Add one in Baseline Value Management to compare emissions against it."}
+          </div>
+        )}
+
         {!loading && annualData.length > 0 && (
           <div ref={chartRef} className="annual-carbon-chart__chart" />
         )}
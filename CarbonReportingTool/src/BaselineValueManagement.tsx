@@ -6,10 +6,43 @@ import {
   Input,
   Label,
   Button,
+  Select,
   useToast,
   Modal,
+  DatePicker,
 } from "uxp/components";
 import { IContextProvider } from "./uxp";
+import { formatToDateString } from "./utils";
+import {
+  Baseline,
+  BaselineChange,
+  BaselineChangeType,
+  BaselineSource,
+  BaselineVersion,
+  baselineChangeTypeOptions,
+  baselineSourceLabels,
+  calculateBaseline,
+  defaultRecalculationThreshold,
+  fetchBaselineChanges,
+  fetchBaselineVersions,
+  fetchBaselines,
+  findBaseline,
+  getBaselineLabel,
+  getRecalculationStatus,
+  parseRecalculationThreshold,
+} from "./baselines";
+import { fetchCarbonSettings, saveCarbonSetting } from "./settings";
+import { defaultFiscalYearStart, getCurrentFiscalYear, getFiscalYearLabel, parseFiscalYearStart } from "./fiscalYear";
+import {
+  ReductionTarget,
+  TargetPathway,
+  TargetType,
+  describeTarget,
+  fetchTargets,
+  pathwayRates,
+  targetPathwayOptions,
+  targetTypeOptions,
+} from "./targets";
 import "./BaselineValueManagement.scss";
 
 export interface IWidgetProps {
@@ -18,56 +51,125 @@ export interface IWidgetProps {
   uiProps?: any;
 }
 
-interface BaselineValue {
-  year: number;
-  value: number;
+interface ChangeForm {
+  id: string;
+  date: string;
+  type: BaselineChangeType;
+  baselineYear: string;
+  impact: string;
+  description: string;
+}
+
+const emptyChangeForm = (): ChangeForm => ({
+  id: "",
+  date: formatToDateString(new Date(), "yyyy-MM-dd") || "",
+  type: "acquisition",
+  baselineYear: "",
+  impact: "",
+  description: "",
+});
+
+const baselineSourceOptions = [
+  { label: baselineSourceLabels.calculated, value: "calculated" },
+  { label: baselineSourceLabels.manual, value: "manual" },
+];
+
+const formatTonnes = (value: number) => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+interface TargetForm {
+  id: string;
+  name: string;
+  type: TargetType;
+  reduction: string;
+  baselineYear: string;
+  targetYear: string;
+  pathway: TargetPathway;
+  metric: string;
+  denominators: { [year: string]: string };
 }
 
+const emptyTargetForm: TargetForm = {
+  id: "",
+  name: "",
+  type: "absolute",
+  reduction: "",
+  baselineYear: "",
+  targetYear: "",
+  pathway: "linear",
+  metric: "",
+  denominators: {},
+};
+
 const BaselineValueManagement: React.FunctionComponent<IWidgetProps> = (props) => {
   const toast = useToast();
 
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
-  const [existingBaselines, setExistingBaselines] = useState<BaselineValue[]>([]);
+  const [existingBaselines, setExistingBaselines] = useState<Baseline[]>([]);
+  const [fiscalYearStart, setFiscalYearStart] = useState<string>(defaultFiscalYearStart);
   
-  // Form state
+  // Form state: a base year (or base period to toYear) calculated from activity data, or a manual total
+  const [source, setSource] = useState<BaselineSource>("calculated");
   const [year, setYear] = useState<number>(new Date().getFullYear());
+  const [toYear, setToYear] = useState<string>("");
   const [value, setValue] = useState<string>("");
+  const [reason, setReason] = useState<string>("");
+  const [pendingBaseline, setPendingBaseline] = useState<Omit<Baseline, "_id"> | null>(null);
 
   // Modal state
   const [showConfirmModal, setShowConfirmModal] = useState(false);
-  const [existingBaseline, setExistingBaseline] = useState<BaselineValue | null>(null);
+  const [existingBaseline, setExistingBaseline] = useState<Baseline | null>(null);
+
+  // Reduction targets
+  const [targets, setTargets] = useState<ReductionTarget[]>([]);
+  const [targetForm, setTargetForm] = useState<TargetForm>(emptyTargetForm);
+  const [savingTarget, setSavingTarget] = useState(false);
+
+  // Base-year recalculation: change log, significance threshold and baseline versions
+  const [changes, setChanges] = useState<BaselineChange[]>([]);
+  const [versions, setVersions] = useState<BaselineVersion[]>([]);
+  const [threshold, setThreshold] = useState<number>(defaultRecalculationThreshold);
+  const [thresholdInput, setThresholdInput] = useState<string>(String(defaultRecalculationThreshold));
+  const [changeForm, setChangeForm] = useState<ChangeForm>(emptyChangeForm());
+  const [savingChange, setSavingChange] = useState(false);
 
   // 🔹 Fetch existing baseline values
   const fetchExistingBaselines = async () => {
     setLoading(true);
     try {
-      const result = await props.uxpContext?.executeAction(
-        "carbon_reporting_80rr",
-        "getAllBaselines",
-        {},
-        { json: true }
-      );
-      setExistingBaselines(result || []);
-    } catch (error) {
-      console.error("Error fetching baselines:", error);
-      setExistingBaselines([]);
+      setExistingBaselines(await fetchBaselines(props.uxpContext));
     } finally {
       setLoading(false);
     }
   };
 
+  // 🔹 Fetch the change log and baseline versions
+  const fetchHistory = async () => {
+    const [changeLog, baselineVersions] = await Promise.all([
+      fetchBaselineChanges(props.uxpContext),
+      fetchBaselineVersions(props.uxpContext),
+    ]);
+    setChanges(changeLog);
+    setVersions(baselineVersions);
+  };
+
   useEffect(() => {
     fetchExistingBaselines();
+    fetchHistory();
+    fetchTargets(props.uxpContext).then(setTargets);
+    fetchCarbonSettings(props.uxpContext).then(settings => {
+      const start = parseFiscalYearStart(settings.fiscalYearStart);
+      setFiscalYearStart(start);
+      setYear(getCurrentFiscalYear(start) - 1);
+      const recalculationThreshold = parseRecalculationThreshold(settings.recalculationThreshold);
+      setThreshold(recalculationThreshold);
+      setThresholdInput(String(recalculationThreshold));
+    });
   }, []);
 
   // 🔹 Check if baseline exists (exact year match)
-  const checkExistingBaseline = (yearToCheck: number): BaselineValue | null => {
-    return (
-      existingBaselines.find(
-        (baseline) => Number(baseline.year) === Number(yearToCheck)
-      ) || null
-    );
+  const checkExistingBaseline = (yearToCheck: number): Baseline | null => {
+    return findBaseline(existingBaselines, yearToCheck) || null;
   };
 
   // 🔹 Validate form
@@ -75,12 +177,35 @@ const BaselineValueManagement: React.FunctionComponent<IWidgetProps> = (props) =
     if (!year || year < 1900 || year > 2100) {
       return "Please enter a valid year.";
     }
-    if (!value.trim() || isNaN(Number(value)) || Number(value) < 0) {
+    if (source === "calculated" && toYear && (isNaN(parseInt(toYear)) || parseInt(toYear) < year || parseInt(toYear) - year > 10)) {
+      return "The base period must end in or after the base year, and span at most ten years.";
+    }
+    if (source === "manual" && (!value.trim() || isNaN(Number(value)) || Number(value) < 0)) {
       return "Please enter a valid positive number for the baseline value.";
     }
+    if (checkExistingBaseline(year) && !reason.trim()) {
+      return "Please enter the reason the existing baseline is replaced, e.g. the change it accounts for.";
+    }
     return null;
   };
 
+  // 🔹 The baseline to save: calculated from the base period's activity data, or the typed override
+  const prepareBaseline = async (): Promise<Omit<Baseline, "_id"> | null> => {
+    if (source === "manual") {
+      return {
+        year, toYear: year, source, value: Number(value),
+        scope1: 0, scope2: 0, scope2Market: 0, scope3: 0, unclassified: 0,
+      };
+    }
+    try {
+      return await calculateBaseline(props.uxpContext, year, toYear ? parseInt(toYear) : year, fiscalYearStart);
+    } catch (error: any) {
+      console.error("Error calculating baseline:", error);
+      toast.error(`Failed to calculate baseline: ${error?.message || error || "Unknown error"}`);
+      return null;
+    }
+  };
+
   // 🔹 Handle form submission
 const handleSubmit = async () => {
   const validationError = validateForm();
@@ -89,30 +214,51 @@ const handleSubmit = async () => {
     return;
   }
 
+  setSaving(true);
+  const baseline = await prepareBaseline();
+  setSaving(false);
+  if (!baseline) return;
+
   const existing = checkExistingBaseline(year);
-  console.log("Submitting", { year, value, existing });
 
+  setPendingBaseline(baseline);
   if (existing) {
     // Existing baseline found → confirm with user
     setExistingBaseline(existing);
     setShowConfirmModal(true);
   } else {
     // No existing → safe to insert
-    await saveBaseline();
+    await saveBaseline(baseline);
   }
 };
 
   // 🔹 Save baseline value
-const saveBaseline = async () => {
+const saveBaseline = async (baseline: Omit<Baseline, "_id"> | null = pendingBaseline) => {
+  if (!baseline) return;
   setSaving(true);
   try {
+    // A replaced baseline accounts for the changes logged against its year that were still pending
+    const existing = checkExistingBaseline(baseline.year);
+    const applied = existing ? getRecalculationStatus(existing, changes, threshold).pending : [];
     const baselineData = {
-      year,
-      value: Number(value),
+      reason: reason.trim(),
+      changeIds: applied.map((change) => change._id).join(","),
+      year: baseline.year,
+      toYear: baseline.toYear,
+      source: baseline.source,
+      value: baseline.value,
+      // the breakdown only belongs to calculated baselines
+      ...(baseline.source === "calculated"
+        ? {
+            scope1: baseline.scope1,
+            scope2: baseline.scope2,
+            scope2Market: baseline.scope2Market,
+            scope3: baseline.scope3,
+            unclassified: baseline.unclassified,
+          }
+        : {}),
     };
 
-    console.log("Calling InsertBaselineValue with:", baselineData);
-
     await props.uxpContext?.executeAction(
       "carbon_reporting_80rr",
       "InsertBaselineValue",
@@ -120,14 +266,14 @@ const saveBaseline = async () => {
       { json: true }
     );
 
-    toast.success("Baseline value saved successfully!");
+    toast.success(`Baseline ${getBaselineLabel(baseline as Baseline, fiscalYearStart)} saved: ${formatTonnes(baseline.value)} tCO₂e`);
 
     resetForm();
-    await fetchExistingBaselines();
+    await Promise.all([fetchExistingBaselines(), fetchHistory()]);
     closeConfirmModal();
-  } catch (error) {
+  } catch (error: any) {
     console.error("Error saving baseline:", error);
-    toast.error("Failed to save baseline value. Please try again.");
+    toast.error(`Failed to save baseline value: ${error?.message || error || "Please try again."}`);
   } finally {
     setSaving(false);
   }
@@ -135,14 +281,17 @@ const saveBaseline = async () => {
 
   // 🔹 Reset form to initial state
   const resetForm = () => {
-    setYear(new Date().getFullYear());
+    setYear(getCurrentFiscalYear(fiscalYearStart) - 1);
+    setToYear("");
     setValue("");
+    setReason("");
   };
 
   // 🔹 Close confirmation modal
   const closeConfirmModal = () => {
     setShowConfirmModal(false);
     setExistingBaseline(null);
+    setPendingBaseline(null);
   };
 
   // 🔹 Handle confirmation to update existing baseline
@@ -156,6 +305,249 @@ const saveBaseline = async () => {
     toast.info("Update cancelled. No changes were made.");
   };
 
+  // 🔹 Years an intensity target needs a metric value for: its baseline year to its target year
+  const targetYears = (): string[] => {
+    const from = parseInt(targetForm.baselineYear);
+    const to = parseInt(targetForm.targetYear);
+    if (isNaN(from) || isNaN(to) || to <= from || to - from > 50) return [];
+    return Array.from({ length: to - from + 1 }, (_, i) => String(from + i));
+  };
+
+  const updateTargetForm = (field: keyof TargetForm, val: any) => {
+    setTargetForm((prev) => ({ ...prev, [field]: val }));
+  };
+
+  const updateDenominator = (targetYear: string, val: string) => {
+    setTargetForm((prev) => ({ ...prev, denominators: { ...prev.denominators, [targetYear]: val } }));
+  };
+
+  const editTarget = (target: ReductionTarget) => {
+    const denominators: { [year: string]: string } = {};
+    Object.keys(target.denominators).forEach((y) => { denominators[y] = String(target.denominators[y]); });
+    setTargetForm({
+      id: target._id || "",
+      name: target.name,
+      type: target.type,
+      reduction: String(target.reduction),
+      baselineYear: String(target.baselineYear),
+      targetYear: String(target.targetYear),
+      pathway: target.pathway,
+      metric: target.metric,
+      denominators,
+    });
+  };
+
+  // 🔹 Validate target form
+  const validateTargetForm = (): string | null => {
+    if (!targetForm.name.trim()) {
+      return "Please enter a target name.";
+    }
+    if (!targetForm.baselineYear) {
+      return "Please select the baseline year the target is measured against.";
+    }
+    const to = parseInt(targetForm.targetYear);
+    if (isNaN(to) || to <= parseInt(targetForm.baselineYear) || to > 2100) {
+      return "The target year must be after the baseline year.";
+    }
+    const reduction = Number(targetForm.reduction);
+    if (targetForm.pathway === "linear" && (isNaN(reduction) || reduction <= 0 || reduction > 100)) {
+      return "The reduction must be a percentage above 0 and at most 100.";
+    }
+    if (targetForm.type === "intensity") {
+      if (!targetForm.metric.trim()) {
+        return "Please enter the metric emissions are divided by, e.g. m² floor area.";
+      }
+      const base = Number(targetForm.denominators[targetForm.baselineYear]);
+      if (!base || base <= 0) {
+        return `Please enter the ${targetForm.metric.trim()} of the baseline year ${targetForm.baselineYear}.`;
+      }
+    }
+    return null;
+  };
+
+  // 🔹 Save reduction target
+  const saveTarget = async () => {
+    const validationError = validateTargetForm();
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    // Only the metric values of the target's years are kept; blank years have no required value
+    const denominators: { [year: string]: number } = {};
+    targetYears().forEach((y) => {
+      const val = parseFloat(targetForm.denominators[y]);
+      if (!isNaN(val)) denominators[y] = val;
+    });
+
+    setSavingTarget(true);
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "SaveReductionTarget",
+        {
+          id: targetForm.id,
+          name: targetForm.name.trim(),
+          type: targetForm.type,
+          reduction: targetForm.reduction,
+          baselineYear: targetForm.baselineYear,
+          targetYear: targetForm.targetYear,
+          pathway: targetForm.pathway,
+          metric: targetForm.type === "intensity" ? targetForm.metric.trim() : "",
+          denominators: targetForm.type === "intensity" ? JSON.stringify(denominators) : "",
+        },
+        { json: true }
+      );
+
+      toast.success(`Target "${targetForm.name.trim()}" saved`);
+      setTargetForm(emptyTargetForm);
+      setTargets(await fetchTargets(props.uxpContext));
+    } catch (error: any) {
+      console.error("Error saving target:", error);
+      toast.error(`Failed to save target: ${error?.message || error || "Unknown error"}`);
+    } finally {
+      setSavingTarget(false);
+    }
+  };
+
+  // 🔹 Delete reduction target
+  const deleteTarget = async (target: ReductionTarget) => {
+    if (!window.confirm(`Delete target "${target.name}"?`)) {
+      return;
+    }
+
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "DeleteReductionTarget",
+        { id: target._id },
+        { json: true }
+      );
+      toast.success(`"${target.name}" deleted`);
+      setTargets(await fetchTargets(props.uxpContext));
+    } catch (error: any) {
+      console.error("Error deleting target:", error);
+      toast.error(`Failed to delete: ${error?.message || error || "Unknown error"}`);
+    }
+  };
+
+  // 🔹 Save the significance threshold for base-year recalculation
+  const saveThreshold = async () => {
+    const val = parseFloat(thresholdInput);
+    if (isNaN(val) || val <= 0 || val > 100) {
+      toast.error("Please enter a threshold between 0 and 100%.");
+      return;
+    }
+
+    try {
+      await saveCarbonSetting(props.uxpContext, "recalculationThreshold", String(val));
+      setThreshold(val);
+      toast.success(`Recalculation threshold set to ${val}%`);
+    } catch (error: any) {
+      console.error("Error saving recalculation threshold:", error);
+      toast.error(`Failed to save threshold: ${error?.message || error || "Unknown error"}`);
+    }
+  };
+
+  const updateChangeForm = (field: keyof ChangeForm, val: any) => {
+    setChangeForm((prev) => ({ ...prev, [field]: val }));
+  };
+
+  const editChange = (change: BaselineChange) => {
+    setChangeForm({
+      id: change._id || "",
+      date: change.date,
+      type: change.type,
+      baselineYear: String(change.baselineYear),
+      impact: String(change.impact),
+      description: change.description,
+    });
+  };
+
+  // 🔹 Log a structural or methodology change against the base year it affects
+  const saveChange = async () => {
+    if (!changeForm.date) {
+      toast.error("Please enter the date of the change.");
+      return;
+    }
+    if (!changeForm.baselineYear) {
+      toast.error("Please select the base year the change affects.");
+      return;
+    }
+    if (!changeForm.impact.trim() || isNaN(Number(changeForm.impact))) {
+      toast.error("Please enter the change's impact on the base year in tCO₂e (negative for a decrease).");
+      return;
+    }
+    if (!changeForm.description.trim()) {
+      toast.error("Please describe the change.");
+      return;
+    }
+
+    setSavingChange(true);
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "SaveBaselineChange",
+        {
+          id: changeForm.id,
+          date: changeForm.date,
+          type: changeForm.type,
+          baselineYear: changeForm.baselineYear,
+          impact: changeForm.impact,
+          description: changeForm.description.trim(),
+        },
+        { json: true }
+      );
+
+      toast.success("Change logged");
+      setChangeForm(emptyChangeForm());
+      setChanges(await fetchBaselineChanges(props.uxpContext));
+    } catch (error: any) {
+      console.error("Error saving baseline change:", error);
+      toast.error(`Failed to save change: ${error?.message || error || "Unknown error"}`);
+    } finally {
+      setSavingChange(false);
+    }
+  };
+
+  // 🔹 Delete a pending change
+  const deleteChange = async (change: BaselineChange) => {
+    if (!window.confirm(`Delete the change "${change.description}"?`)) {
+      return;
+    }
+
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "DeleteBaselineChange",
+        { id: change._id },
+        { json: true }
+      );
+      toast.success("Change deleted");
+      setChanges(await fetchBaselineChanges(props.uxpContext));
+    } catch (error: any) {
+      console.error("Error deleting baseline change:", error);
+      toast.error(`Failed to delete: ${error?.message || error || "Unknown error"}`);
+    }
+  };
+
+  const changeTypeLabel = (type: string) =>
+    baselineChangeTypeOptions.find((o) => o.value === type)?.label || type;
+
+  // Baseline the form would replace, and the changes its new version would apply
+  const replacedBaseline = checkExistingBaseline(year);
+  const pendingChanges = replacedBaseline ? getRecalculationStatus(replacedBaseline, changes, threshold).pending : [];
+
+  // Base years whose pending changes have reached the threshold
+  const recalculations = existingBaselines
+    .map((baseline) => ({ baseline, status: getRecalculationStatus(baseline, changes, threshold) }))
+    .filter(({ status }) => status.required);
+
+  // SBTi-style pathways set the reduction from their annual rate
+  const previewReduction = targetForm.pathway === "linear"
+    ? null
+    : Math.min(pathwayRates[targetForm.pathway] * (parseInt(targetForm.targetYear) - parseInt(targetForm.baselineYear)), 100);
+
   return (
     <WidgetWrapper>
       <TitleBar title="Baseline Value Management" />
@@ -165,31 +557,90 @@ const saveBaseline = async () => {
 
         {!loading && (
           <div className="baseline-form">
+            {recalculations.map(({ baseline, status }) => (
+              <div
+                key={baseline.year}
+                style={{ padding: "10px", marginBottom: "10px", background: "#fff3cd", border: "1px solid #ffc107", borderRadius: "4px", fontSize: "13px" }}
+              >
+                ⚠️ <strong>{getBaselineLabel(baseline, fiscalYearStart)}</strong>: {status.pending.length} pending
+                change{status.pending.length === 1 ? "" : "s"} total {formatTonnes(status.impact)} tCO₂e,{" "}
+                {status.percent === null ? "against a baseline of zero" : `${status.percent.toFixed(1)}% of the baseline`} (threshold{" "}
+                {threshold}%). Recalculate the base year.
+              </div>
+            ))}
+
             <div className="form-section">
               <h3>Add/Update Baseline Value</h3>
+              <p style={{ margin: "0 0 10px 0", fontSize: "13px", color: "#666" }}>
+                A calculated baseline totals the base year's activity data with the current emission factors, GWP
+                set and consolidation approach, by scope. A base period of several years is averaged. Use a manual
+                override only when the base year has no activity data in the tool.
+              </p>
+
+              <FormField>
+                <Label>Source *</Label>
+                <Select
+                  options={baselineSourceOptions}
+                  selected={source}
+                  onChange={(val) => setSource(val as BaselineSource)}
+                />
+              </FormField>
 
               <FormField>
-                <Label>Year *</Label>
+                <Label>{source === "calculated" ? "Base Year (first year of the period) *" : "Year *"}</Label>
                 <div className="year-input-container">
                   <Input
                     type="number"
                     value={year.toString()}
-                    onChange={(val) => setYear(val ? parseInt(val) : new Date().getFullYear())}
+                    onChange={(val) => setYear(val ? parseInt(val) : getCurrentFiscalYear(fiscalYearStart) - 1)}
                     placeholder="Enter year"
                     className="year-input"
                   />
                 </div>
+                <div style={{ fontSize: "11px", color: "#666", marginTop: "4px" }}>
+                  {getFiscalYearLabel(year, fiscalYearStart)}
+                </div>
               </FormField>
 
-              <FormField>
-                <Label>Baseline Value (tCO₂e) *</Label>
-                <Input
-                  type="text"
-                  value={value}
-                  onChange={(val) => setValue(val)}
-                  placeholder="Enter baseline emission value"
-                />
-              </FormField>
+              {source === "calculated" ? (
+                <FormField>
+                  <Label>Average Through Year (optional)</Label>
+                  <Input
+                    type="number"
+                    value={toYear}
+                    onChange={(val) => setToYear(val)}
+                    placeholder="Leave empty for a single base year"
+                  />
+                </FormField>
+              ) : (
+                <FormField>
+                  <Label>Baseline Value (tCO₂e) *</Label>
+                  <Input
+                    type="text"
+                    value={value}
+                    onChange={(val) => setValue(val)}
+                    placeholder="Enter baseline emission value"
+                  />
+                </FormField>
+              )}
+
+              {replacedBaseline && (
+                <FormField>
+                  <Label>Reason for Change *</Label>
+                  <Input
+                    type="text"
+                    value={reason}
+                    onChange={(val) => setReason(val)}
+                    placeholder="e.g. Recalculated for the acquisition of Site B"
+                  />
+                  <div style={{ fontSize: "11px", color: "#666", marginTop: "4px" }}>
+                    {getFiscalYearLabel(year, fiscalYearStart)} already has a baseline. It is kept as a previous version
+                    {pendingChanges.length > 0
+                      ? `, and the ${pendingChanges.length} pending change${pendingChanges.length === 1 ? "" : "s"} logged against it will be marked as applied.`
+                      : "."}
+                  </div>
+                </FormField>
+              )}
 
               <div className="form-actions">
                 <Button
@@ -198,7 +649,7 @@ const saveBaseline = async () => {
                   loading={saving}
                   disabled={saving}
                 >
-                  {saving ? "Saving..." : "Save Baseline"}
+                  {saving ? "Saving..." : source === "calculated" ? "Calculate & Save Baseline" : "Save Baseline"}
                 </Button>
                 
                 <Button
@@ -218,15 +669,355 @@ const saveBaseline = async () => {
                   <table>
                     <thead>
                       <tr>
-                        <th>Year</th>
-                        <th>Value (tCO₂e)</th>
+                        <th>Base Year</th>
+                        <th>Source</th>
+                        <th>Scope 1</th>
+                        <th>Scope 2 (location)</th>
+                        <th>Scope 2 (market)</th>
+                        <th>Scope 3</th>
+                        <th>Total (tCO₂e)</th>
+                        <th>Pending Changes</th>
                       </tr>
                     </thead>
                     <tbody>
-                      {existingBaselines.map((baseline, index) => (
+                      {existingBaselines.map((baseline, index) => {
+                        const status = getRecalculationStatus(baseline, changes, threshold);
+                        return (
                         <tr key={index}>
-                          <td>{baseline.year}</td>
-                          <td>{baseline.value.toLocaleString()}</td>
+                          <td>{getBaselineLabel(baseline, fiscalYearStart)}</td>
+                          <td>{baselineSourceLabels[baseline.source]}</td>
+                          {baseline.source === "calculated" ? (
+                            <>
+                              <td>{formatTonnes(baseline.scope1)}</td>
+                              <td>{formatTonnes(baseline.scope2)}</td>
+                              <td>{formatTonnes(baseline.scope2Market)}</td>
+                              <td>{formatTonnes(baseline.scope3 + baseline.unclassified)}</td>
+                            </>
+                          ) : (
+                            <td colSpan={4} style={{ color: "#999" }}>No breakdown</td>
+                          )}
+                          <td>{formatTonnes(baseline.value)}</td>
+                          <td style={{ color: status.required ? "#c0392b" : undefined }}>
+                            {status.pending.length > 0 ? `${status.required ? "⚠️ " : ""}${status.percent === null ? "n/a" : `${status.percent.toFixed(1)}%`}` : "-"}
+                          </td>
+                        </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            <div className="form-section">
+              <h3>Base-Year Recalculation Policy</h3>
+              <p style={{ margin: "0 0 10px 0", fontSize: "13px", color: "#666" }}>
+                Structural changes (acquisitions, divestments, outsourcing and insourcing), methodology changes and
+                historical data errors are logged against the base year they affect. When the pending changes add up
+                to the significance threshold, increases and decreases alike, the base year is flagged for
+                recalculation. Manual overrides are measured against their entered total, and any change to a
+                baseline of zero is flagged.
+              </p>
+
+              <FormField>
+                <Label>Significance Threshold (% of the baseline)</Label>
+                <Input
+                  type="number"
+                  value={thresholdInput}
+                  onChange={(val) => setThresholdInput(val)}
+                  placeholder={`e.g. ${defaultRecalculationThreshold}`}
+                />
+              </FormField>
+
+              <div className="form-actions">
+                <Button title="Save Threshold" onClick={saveThreshold} />
+              </div>
+            </div>
+
+            <div className="form-section">
+              <h3>{changeForm.id ? "Update Structural or Methodology Change" : "Log Structural or Methodology Change"}</h3>
+
+              <FormField>
+                <Label>Date *</Label>
+                <DatePicker
+                  title="Date"
+                  date={changeForm.date}
+                  onChange={(date) => updateChangeForm("date", formatToDateString(date, "yyyy-MM-dd") || "")}
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Type *</Label>
+                <Select
+                  options={baselineChangeTypeOptions}
+                  selected={changeForm.type}
+                  onChange={(val) => updateChangeForm("type", val as BaselineChangeType)}
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Base Year Affected *</Label>
+                <Select
+                  options={existingBaselines.map((baseline) => ({ label: getBaselineLabel(baseline, fiscalYearStart), value: String(baseline.year) }))}
+                  selected={changeForm.baselineYear}
+                  onChange={(val) => updateChangeForm("baselineYear", val)}
+                  placeholder="Select a year with a baseline"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Impact on Base-Year Emissions (tCO₂e) *</Label>
+                <Input
+                  type="number"
+                  value={changeForm.impact}
+                  onChange={(val) => updateChangeForm("impact", val)}
+                  placeholder="e.g. 120, or -80 for a decrease"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Description *</Label>
+                <Input
+                  type="text"
+                  value={changeForm.description}
+                  onChange={(val) => updateChangeForm("description", val)}
+                  placeholder="e.g. Acquired Site B (warehouse)"
+                />
+              </FormField>
+
+              <div className="form-actions">
+                <Button
+                  title={savingChange ? "Saving..." : changeForm.id ? "Update Change" : "Log Change"}
+                  onClick={saveChange}
+                  loading={savingChange}
+                  disabled={savingChange}
+                />
+                <Button title="Clear" onClick={() => setChangeForm(emptyChangeForm())} />
+              </div>
+            </div>
+
+            {changes.length > 0 && (
+              <div className="existing-baselines">
+                <h3>Change Log</h3>
+                <div className="baseline-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Date</th>
+                        <th>Type</th>
+                        <th>Base Year</th>
+                        <th>Impact (tCO₂e)</th>
+                        <th>Description</th>
+                        <th>Status</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {changes.map((change) => (
+                        <tr key={change._id}>
+                          <td>{change.date}</td>
+                          <td>{changeTypeLabel(change.type)}</td>
+                          <td>{getFiscalYearLabel(change.baselineYear, fiscalYearStart)}</td>
+                          <td>{change.impact > 0 ? "+" : ""}{formatTonnes(change.impact)}</td>
+                          <td>{change.description}</td>
+                          <td>{change.appliedVersion ? `Applied in v${change.appliedVersion}` : "Pending"}</td>
+                          <td>
+                            {!change.appliedVersion && (
+                              <div className="form-actions" style={{ marginTop: 0 }}>
+                                <Button title="Edit" onClick={() => editChange(change)} />
+                                <Button title="Delete" onClick={() => deleteChange(change)} />
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {versions.length > 0 && (
+              <div className="existing-baselines">
+                <h3>Baseline Version History</h3>
+                <div className="baseline-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Base Year</th>
+                        <th>Version</th>
+                        <th>Saved</th>
+                        <th>Total (tCO₂e)</th>
+                        <th>Reason</th>
+                        <th>Changes Applied</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {versions.map((version) => (
+                        <tr key={version._id || `${version.year}-${version.version}`}>
+                          <td>{getBaselineLabel(version, fiscalYearStart)}</td>
+                          <td>v{version.version}</td>
+                          <td>{version.savedAt ? new Date(version.savedAt).toLocaleDateString() : "-"}</td>
+                          <td>{formatTonnes(version.value)}</td>
+                          <td>{version.reason || "-"}</td>
+                          <td>
+                            {version.changeIds.length > 0
+                              ? changes
+                                  .filter((change) => change._id && version.changeIds.indexOf(change._id) !== -1)
+                                  .map((change) => change.description)
+                                  .join("; ") || version.changeIds.length
+                              : "-"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            <div className="form-section">
+              <h3>{targetForm.id ? "Update Reduction Target" : "Add Reduction Target"}</h3>
+              <p style={{ margin: "0 0 10px 0", fontSize: "13px", color: "#666" }}>
+                A target reduces emissions by a percentage of a baseline by the target year, in a straight line
+                from the baseline year. The baseline comparison chart draws the required trajectory and marks
+                each year as on or off track.
+              </p>
+
+              <FormField>
+                <Label>Name *</Label>
+                <Input
+                  type="text"
+                  value={targetForm.name}
+                  onChange={(val) => updateTargetForm("name", val)}
+                  placeholder="e.g. Near-term 2030"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Type *</Label>
+                <Select
+                  options={targetTypeOptions}
+                  selected={targetForm.type}
+                  onChange={(val) => updateTargetForm("type", val as TargetType)}
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Baseline Year *</Label>
+                <Select
+                  options={existingBaselines.map((baseline) => ({ label: getBaselineLabel(baseline, fiscalYearStart), value: String(baseline.year) }))}
+                  selected={targetForm.baselineYear}
+                  onChange={(val) => updateTargetForm("baselineYear", val)}
+                  placeholder="Select a year with a baseline"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Target Year *</Label>
+                <Input
+                  type="number"
+                  value={targetForm.targetYear}
+                  onChange={(val) => updateTargetForm("targetYear", val)}
+                  placeholder="e.g. 2030"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Pathway *</Label>
+                <Select
+                  options={targetPathwayOptions}
+                  selected={targetForm.pathway}
+                  onChange={(val) => updateTargetForm("pathway", val as TargetPathway)}
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Reduction by Target Year (%){targetForm.pathway === "linear" ? " *" : ""}</Label>
+                {targetForm.pathway === "linear" ? (
+                  <Input
+                    type="number"
+                    value={targetForm.reduction}
+                    onChange={(val) => updateTargetForm("reduction", val)}
+                    placeholder="e.g. 42"
+                  />
+                ) : (
+                  <div style={{ fontSize: "13px", color: "#666" }}>
+                    {previewReduction !== null && !isNaN(previewReduction) && previewReduction > 0
+                      ? `${previewReduction.toFixed(1)}% from the pathway's annual rate`
+                      : "Set from the pathway's annual rate once both years are entered"}
+                  </div>
+                )}
+              </FormField>
+
+              {targetForm.type === "intensity" && (
+                <>
+                  <FormField>
+                    <Label>Intensity Metric *</Label>
+                    <Input
+                      type="text"
+                      value={targetForm.metric}
+                      onChange={(val) => updateTargetForm("metric", val)}
+                      placeholder="e.g. m² floor area"
+                    />
+                  </FormField>
+
+                  {targetYears().length > 0 && (
+                    <FormField>
+                      <Label>{targetForm.metric.trim() || "Metric"} per Year (baseline year required)</Label>
+                      <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: "8px" }}>
+                        {targetYears().map((y) => (
+                          <div key={y}>
+                            <div style={{ fontSize: "12px", color: "#666" }}>{y}</div>
+                            <Input
+                              type="number"
+                              value={targetForm.denominators[y] || ""}
+                              onChange={(val) => updateDenominator(y, val)}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </FormField>
+                  )}
+                </>
+              )}
+
+              <div className="form-actions">
+                <Button
+                  title={savingTarget ? "Saving..." : targetForm.id ? "Update Target" : "Add Target"}
+                  onClick={saveTarget}
+                  loading={savingTarget}
+                  disabled={savingTarget}
+                />
+                <Button title="Clear" onClick={() => setTargetForm(emptyTargetForm)} />
+              </div>
+            </div>
+
+            {targets.length > 0 && (
+              <div className="existing-baselines">
+                <h3>Reduction Targets</h3>
+                <div className="baseline-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Name</th>
+                        <th>Target</th>
+                        <th>Pathway</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {targets.map((target) => (
+                        <tr key={target._id || target.name}>
+                          <td>{target.name}</td>
+                          <td>{describeTarget(target)}</td>
+                          <td>{targetPathwayOptions.find((o) => o.value === target.pathway)?.label}</td>
+                          <td>
+                            <div className="form-actions" style={{ marginTop: 0 }}>
+                              <Button title="Edit" onClick={() => editTarget(target)} />
+                              <Button title="Delete" onClick={() => deleteTarget(target)} />
+                            </div>
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -238,7 +1029,7 @@ const saveBaseline = async () => {
         )}
 
         {/* Confirmation Modal for Existing Baseline */}
-        {showConfirmModal && existingBaseline && (
+        {showConfirmModal && existingBaseline && pendingBaseline && (
           <Modal
             show={showConfirmModal}
             onClose={handleCancelUpdate}
@@ -246,17 +1037,17 @@ const saveBaseline = async () => {
           >
             <div className="modal-body">
               <p>
-                A baseline value already exists for <strong>{year}</strong>:
+                A baseline value already exists for <strong>{getFiscalYearLabel(year, fiscalYearStart)}</strong>:
               </p>
               
               <div className="baseline-comparison">
                 <div className="existing-value">
-                  <span className="label">Current Value:</span>
-                  <span className="value">{existingBaseline.value.toLocaleString()} tCO₂e</span>
+                  <span className="label">Current Value ({getBaselineLabel(existingBaseline, fiscalYearStart)}):</span>
+                  <span className="value">{formatTonnes(existingBaseline.value)} tCO₂e</span>
                 </div>
                 <div className="new-value">
-                  <span className="label">New Value:</span>
-                  <span className="value">{Number(value).toLocaleString()} tCO₂e</span>
+                  <span className="label">New Value ({getBaselineLabel(pendingBaseline as Baseline, fiscalYearStart)}):</span>
+                  <span className="value">{formatTonnes(pendingBaseline.value)} tCO₂e</span>
                 </div>
               </div>
               
@@ -265,7 +1056,7 @@ const saveBaseline = async () => {
               </p>
               
               <div className="warning-note">
-                <small>⚠️ This action will replace the current baseline value permanently.</small>
+                <small>⚠️ The current baseline is replaced and kept in the version history with the reason "{reason.trim()}".</small>
               </div>
             </div>
             
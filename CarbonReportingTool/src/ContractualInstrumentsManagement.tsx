@@ -0,0 +1,333 @@
+import React, { useEffect, useState } from "react";
+import {
+  WidgetWrapper,
+  TitleBar,
+  FormField,
+  Input,
+  Label,
+  Select,
+  Button,
+  useToast,
+} from "uxp/components";
+import { IContextProvider } from "./uxp";
+import { CatalogueActivity, fetchActivityCatalogue } from "./activityCatalogue";
+import { ContractualInstrument, fetchContractualInstruments, instrumentTypes } from "./scope2";
+import "./ActivityCatalogueManagement.scss";
+
+export interface IWidgetProps {
+  uxpContext?: IContextProvider;
+  instanceId?: string;
+  uiProps?: any;
+}
+
+interface InstrumentForm {
+  id: string;
+  instrumentType: string;
+  activity: string;
+  year: string;
+  month: string;
+  mwh: string;
+  emissionFactor: string;
+  reference: string;
+}
+
+const emptyForm: InstrumentForm = {
+  id: "",
+  instrumentType: "REC",
+  activity: "",
+  year: new Date().getFullYear().toString(),
+  month: "",
+  mwh: "",
+  emissionFactor: "0",
+  reference: "",
+};
+
+const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const instrumentTypeOptions = instrumentTypes.map((type) => ({ label: type, value: type }));
+
+const monthOptions = [
+  { label: "Whole year", value: "" },
+  ...months.map((month) => ({ label: month, value: month })),
+];
+
+const ContractualInstrumentsManagement: React.FunctionComponent<IWidgetProps> = (props) => {
+  const toast = useToast();
+
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [instruments, setInstruments] = useState<ContractualInstrument[]>([]);
+  const [catalogue, setCatalogue] = useState<CatalogueActivity[]>([]);
+  const [form, setForm] = useState<InstrumentForm>(emptyForm);
+
+  // 🔹 Fetch instruments and the catalogue (for the Scope 2 activities)
+  const loadInstruments = async () => {
+    setLoading(true);
+    try {
+      const [rows, entries] = await Promise.all([
+        fetchContractualInstruments(props.uxpContext),
+        fetchActivityCatalogue(props.uxpContext),
+      ]);
+      setInstruments(rows);
+      setCatalogue(entries);
+    } catch (error) {
+      console.error("Error loading contractual instruments:", error);
+      toast.error("Failed to load contractual instruments.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadInstruments();
+  }, []);
+
+  const activityOptions = [
+    { label: "All Scope 2 activities", value: "" },
+    ...catalogue
+      .filter((entry) => entry.scope === 2)
+      .map((entry) => ({ label: entry.activity, value: entry.activity })),
+  ];
+
+  const sortedInstruments = [...instruments].sort(
+    (a, b) =>
+      b.year.localeCompare(a.year) ||
+      months.indexOf(a.month) - months.indexOf(b.month) ||
+      a.instrumentType.localeCompare(b.instrumentType)
+  );
+
+  const updateForm = (field: keyof InstrumentForm, val: string) => {
+    setForm((prev) => ({ ...prev, [field]: val }));
+  };
+
+  const editInstrument = (instrument: ContractualInstrument) => {
+    setForm({
+      id: instrument._id || "",
+      instrumentType: instrument.instrumentType,
+      activity: instrument.activity,
+      year: instrument.year,
+      month: instrument.month,
+      mwh: instrument.mwh.toString(),
+      emissionFactor: instrument.emissionFactor.toString(),
+      reference: instrument.reference,
+    });
+  };
+
+  // 🔹 Validate form
+  const validateForm = (): string | null => {
+    if (!form.instrumentType) {
+      return "Please select the instrument type.";
+    }
+    if (!/^\d{4}$/.test(form.year.trim())) {
+      return "Please enter the reporting year the instrument covers.";
+    }
+    if (isNaN(parseFloat(form.mwh)) || parseFloat(form.mwh) <= 0) {
+      return "Please enter the MWh covered by the instrument.";
+    }
+    if (isNaN(parseFloat(form.emissionFactor)) || parseFloat(form.emissionFactor) < 0) {
+      return "Please enter a valid emission factor (0 for renewable certificates).";
+    }
+    return null;
+  };
+
+  // 🔹 Save instrument
+  const saveInstrument = async () => {
+    const validationError = validateForm();
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "SaveContractualInstrument",
+        {
+          id: form.id,
+          instrumentType: form.instrumentType,
+          activity: form.activity,
+          year: form.year.trim(),
+          month: form.month,
+          mwh: parseFloat(form.mwh),
+          emissionFactor: parseFloat(form.emissionFactor),
+          reference: form.reference.trim(),
+        },
+        { json: true }
+      );
+
+      toast.success(`${form.instrumentType} for ${form.month ? `${form.month} ` : ""}${form.year} saved`);
+      setForm(emptyForm);
+      await loadInstruments();
+    } catch (error) {
+      console.error("Error saving contractual instrument:", error);
+      toast.error("Failed to save instrument. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // 🔹 Delete instrument
+  const deleteInstrument = async (instrument: ContractualInstrument) => {
+    if (!window.confirm(`Delete ${instrument.instrumentType} ${instrument.reference || ""} for ${instrument.year}?`)) {
+      return;
+    }
+
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "DeleteContractualInstrument",
+        { id: instrument._id },
+        { json: true }
+      );
+      toast.success("Instrument deleted");
+      await loadInstruments();
+    } catch (error) {
+      console.error("Error deleting contractual instrument:", error);
+      toast.error("Failed to delete instrument. Please try again.");
+    }
+  };
+
+  return (
+    <WidgetWrapper>
+      <TitleBar title="Scope 2 Contractual Instruments" />
+
+      <div className="activity-catalogue">
+        {loading && <div className="loading">📊 Loading contractual instruments...</div>}
+
+        {!loading && (
+          <>
+            <div className="form-section">
+              <h3>{form.id ? "Update Instrument" : "Add Instrument"}</h3>
+              <p style={{ margin: "0 0 10px 0", fontSize: "13px", color: "#666" }}>
+                Market-based Scope 2 figures apply the instrument's factor to the MWh it covers.
+                Electricity not covered by an instrument keeps the grid (location-based) factor.
+              </p>
+
+              <FormField>
+                <Label>Instrument Type *</Label>
+                <Select
+                  options={instrumentTypeOptions}
+                  selected={form.instrumentType}
+                  onChange={(val) => updateForm("instrumentType", val)}
+                  placeholder="Select instrument type"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Activity</Label>
+                <Select
+                  options={activityOptions}
+                  selected={form.activity}
+                  onChange={(val) => updateForm("activity", val)}
+                  placeholder="All Scope 2 activities"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Year *</Label>
+                <Input
+                  type="text"
+                  value={form.year}
+                  onChange={(val) => updateForm("year", val)}
+                  placeholder="e.g. 2024"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Month</Label>
+                <Select
+                  options={monthOptions}
+                  selected={form.month}
+                  onChange={(val) => updateForm("month", val)}
+                  placeholder="Whole year"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Coverage (MWh) *</Label>
+                <Input
+                  type="number"
+                  value={form.mwh}
+                  onChange={(val) => updateForm("mwh", val)}
+                  placeholder="e.g. 120"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Emission Factor (kgCO₂e/kWh) *</Label>
+                <Input
+                  type="number"
+                  value={form.emissionFactor}
+                  onChange={(val) => updateForm("emissionFactor", val)}
+                  placeholder="0 for RECs and renewable tariffs"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Certificate / Contract Reference</Label>
+                <Input
+                  type="text"
+                  value={form.reference}
+                  onChange={(val) => updateForm("reference", val)}
+                  placeholder="e.g. I-REC SG-2024-000123"
+                />
+              </FormField>
+
+              <div className="form-actions">
+                <Button
+                  title={saving ? "Saving..." : "Save Instrument"}
+                  onClick={saveInstrument}
+                  loading={saving}
+                  disabled={saving}
+                />
+                <Button title="Clear" onClick={() => setForm(emptyForm)} />
+              </div>
+            </div>
+
+            <div className="activity-catalogue__table">
+              <h3>Instruments</h3>
+              {sortedInstruments.length === 0 ? (
+                <p>No contractual instruments recorded. Market-based figures equal location-based figures.</p>
+              ) : (
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Type</th>
+                      <th>Activity</th>
+                      <th>Period</th>
+                      <th>MWh</th>
+                      <th>kgCO₂e/kWh</th>
+                      <th>Reference</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sortedInstruments.map((instrument) => (
+                      <tr key={instrument._id}>
+                        <td>{instrument.instrumentType}</td>
+                        <td>{instrument.activity || "All Scope 2 activities"}</td>
+                        <td>{instrument.month ? `${instrument.month} ${instrument.year}` : instrument.year}</td>
+                        <td>{instrument.mwh.toLocaleString()}</td>
+                        <td>{instrument.emissionFactor}</td>
+                        <td>{instrument.reference}</td>
+                        <td>
+                          <div className="form-actions" style={{ marginTop: 0 }}>
+                            <Button title="Edit" onClick={() => editInstrument(instrument)} />
+                            <Button title="Delete" onClick={() => deleteInstrument(instrument)} />
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </WidgetWrapper>
+  );
+};
+
+export default ContractualInstrumentsManagement;
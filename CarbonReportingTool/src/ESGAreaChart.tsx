@@ -1,7 +1,16 @@
 import React, { useEffect, useRef, useState } from "react";
 import Highcharts from 'highcharts';
-import { WidgetWrapper, TitleBar, FilterPanel, FormField, Select, Input, Label, useToast, Button } from "uxp/components";
+import { WidgetWrapper, TitleBar, FilterPanel, FormField, Select, Input, Label, useToast, Button, ToggleFilter } from "uxp/components";
 import { IContextProvider } from "./uxp";
+import { EmissionFactor, fetchEmissionFactors } from "./emissionFactors";
+import { ContractualInstrument, Scope2Method, fetchContractualInstruments } from "./scope2";
+import { calculateEmissionTotals, groupRecordEmissions } from "./calc";
+import { GWPSet, defaultGWPSet, parseGWPSet } from "./gwp";
+import { fetchCarbonSettings } from "./settings";
+import { ConsolidationApproach, defaultConsolidationApproach, describeConsolidation, getConsolidationShare, parseConsolidationApproach } from "./consolidation";
+import { CatalogueActivity, describeMissingGas, fetchActivityCatalogue, classifyActivity, getActivityCategory, getScopeLabel, needsGasType, scopeColors } from "./activityCatalogue";
+import { Breakdown, Site, breakdownOptions, fetchSites, getBreakdownGroup, getGroupColor, getSiteOptions } from "./sites";
+import { defaultFiscalYearStart, describeFiscalYear, fiscalYearStartOptions, getCurrentFiscalYear, getFiscalMonthOrder, getFiscalYearFilter, isCalendarYear, parseFiscalYearStart } from "./fiscalYear";
 
 export interface IWidgetProps {
   uxpContext?: IContextProvider;
@@ -9,19 +18,6 @@ export interface IWidgetProps {
   uiProps?: any;
 }
 
-// Emission factors for calculations
-const emissionFactors: { [key: string]: number } = {
-  "Generator Fuel Consumption": 3.761, // kgCO₂e per litre
-  "Refrigerant Leakages/Refilling": 1.000, // kgCO₂e per litre
-  "Electricity Consumption": 0.412 // kgCO₂e per kWh
-};
-
-// Month sort helper
-const monthOrder: { [key: string]: number } = {
-  Jan: 1, Feb: 2, Mar: 3, Apr: 4, May: 5, Jun: 6,
-  Jul: 7, Aug: 8, Sep: 9, Oct: 10, Nov: 11, Dec: 12
-};
-
 const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
   const chartRef = useRef(null);
   const toast = useToast();
@@ -31,24 +27,22 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
 
   const [loading, setLoading] = useState(false);
   const [activityData, setActivityData] = useState<any[]>([]);
-  
-  // Updated filter states to match bar_chart component
-  const [fromMonth, setFromMonth] = useState<any>("Jan");
-  const [toMonth, setToMonth] = useState<any>("Dec");
-  const [fromYear, setFromYear] = useState<any>(new Date().getFullYear());
-  const [toYear, setToYear] = useState<any>(new Date().getFullYear());
   const [activityName, setActivityName] = useState<string>("");
     const [monthFilter, setMonthFilter] = useState<any>(null); 
     const [yearFilter, setYearFilter] = useState<any>(new Date().getFullYear());
   const [availableActivities, setAvailableActivities] = useState<string[]>([]); // 🆕 for dropdown options
-  const monthOptions = [
-    { label: "January", value: "Jan" }, { label: "February", value: "Feb" },
-    { label: "March", value: "Mar" }, { label: "April", value: "Apr" },
-    { label: "May", value: "May" }, { label: "June", value: "Jun" },
-    { label: "July", value: "Jul" }, { label: "August", value: "Aug" },
-    { label: "September", value: "Sep" }, { label: "October", value: "Oct" },
-    { label: "November", value: "Nov" }, { label: "December", value: "Dec" },
-  ];
+  const [emissionFactors, setEmissionFactors] = useState<EmissionFactor[]>([]);
+  const [activityCatalogue, setActivityCatalogue] = useState<CatalogueActivity[]>([]);
+  const [gwpSet, setGwpSet] = useState<GWPSet>(defaultGWPSet);
+  const [consolidation, setConsolidation] = useState<ConsolidationApproach>(defaultConsolidationApproach);
+  const [instruments, setInstruments] = useState<ContractualInstrument[]>([]);
+  const [sites, setSites] = useState<Site[]>([]);
+  const [siteFilter, setSiteFilter] = useState<string>("");
+  const [breakdown, setBreakdown] = useState<Breakdown>("activity");
+  const [fiscalYearStart, setFiscalYearStart] = useState<string>(defaultFiscalYearStart);
+  // The year filter is a fiscal year, so its months are listed and charted from the start month on
+  const fiscalMonthOrder = getFiscalMonthOrder(fiscalYearStart);
+  const monthOptions = [...fiscalYearStartOptions].sort((a, b) => fiscalMonthOrder[a.value] - fiscalMonthOrder[b.value]);
     // 🆕 Fetch available activities for dropdown
   const fetchAvailableActivities = async () => {
     try {
@@ -67,36 +61,39 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
     // 🆕 Load activities on component mount
     useEffect(() => {
       fetchAvailableActivities();
+      fetchEmissionFactors(props.uxpContext).then(setEmissionFactors);
+      fetchActivityCatalogue(props.uxpContext).then(setActivityCatalogue);
+      fetchCarbonSettings(props.uxpContext).then(settings => {
+        setGwpSet(parseGWPSet(settings.gwpSet));
+        setConsolidation(parseConsolidationApproach(settings.consolidationApproach));
+        const start = parseFiscalYearStart(settings.fiscalYearStart);
+        setFiscalYearStart(start);
+        setYearFilter(getCurrentFiscalYear(start));
+      });
+      fetchContractualInstruments(props.uxpContext).then(setInstruments);
+      fetchSites(props.uxpContext).then(setSites);
     }, []);
   const fetchActivityData = async () => {
     if (!props.uxpContext) return;
 
     setLoading(true);
     try {
-      // Updated params to match bar_chart structure
-      const params = {
-        fromYear: fromYear,
-        toYear: toYear,
-        fromMonth: fromMonth,
-        toMonth: toMonth,
-        activityName: activityName
-      };
-
       const result = await props.uxpContext.executeAction(
         "carbon_reporting_80rr",
         "GetAllData",
-        { year: yearFilter, month: monthFilter, activityName: activityName },
+        { ...getFiscalYearFilter(yearFilter, monthFilter, fiscalYearStart), activityName: activityName, site: siteFilter },
         { json: true }
       );
 
       console.log("Fetched emission data:", result);
-      console.log("Params sent:", params);
       
       const cleanedData = result?.map((row: any) => ({
         activity: row.activity,
         year: row.year,
         month: row.month,
-        value: parseFloat(row.value)
+        value: parseFloat(row.value),
+        gas: row.gas || "",
+        site: row.site || ""
       })) || [];
 
       setActivityData(cleanedData);
@@ -114,67 +111,41 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
     }
   };
 
-  // Calculate emissions dynamically from API data
-  const calculateEmissions = () => {
-    if (activityData.length === 0) {
-      return { 
-        dynamicEmissionData: [], 
-        scope1Total: 0, 
-        scope2Total: 0, 
-        totalEmissions: 0,
-        monthlyEmissions: {}
-      };
-    }
-
-    // Group by month and activity for area chart
-    const monthlyEmissions: { [key: string]: { [key: string]: number } } = {};
-    
-    activityData.forEach(item => {
-      if (!monthlyEmissions[item.month]) {
-        monthlyEmissions[item.month] = {};
-      }
-      if (!monthlyEmissions[item.month][item.activity]) {
-        monthlyEmissions[item.month][item.activity] = 0;
-      }
-      // Apply emission factors immediately
-      const emissionFactor = emissionFactors[item.activity] || 0;
-      monthlyEmissions[item.month][item.activity] += item.value * emissionFactor;
-    });
-
-    const emissionsByActivity: { [key: string]: number } = {};
-    
-    // Calculate total emissions by activity
-    activityData.forEach(item => {
-      if (!emissionsByActivity[item.activity]) {
-        emissionsByActivity[item.activity] = 0;
-      }
-      const emissionFactor = emissionFactors[item.activity] || 0;
-      emissionsByActivity[item.activity] += item.value * emissionFactor;
+  // Calculate emissions dynamically from API data, with Scope 2 under the given method
+  const calculateEmissions = (method: Scope2Method = "location") => {
+    const result = calculateEmissionTotals({
+      records: activityData,
+      factors: emissionFactors,
+      catalogue: activityCatalogue,
+      gwpSet,
+      instruments,
+      scope2Method: method,
+      sites,
+      consolidation
     });
 
-    const dynamicEmissionData = Object.keys(emissionsByActivity).map(activity => {
-      const calculatedCO2e = emissionsByActivity[activity];
-      const isScope1 = activity.includes("Generator") || activity.includes("Refrigerant");
-      
-      return {
-        source: activity,
-        totalCO2e: calculatedCO2e,
-        scope: isScope1 ? 1 : 2,
-        category: isScope1 ? "Scope 1" : "Scope 2"
-      };
-    });
-
-    const scope1Total = dynamicEmissionData
-      .filter(item => item.scope === 1)
-      .reduce((sum, item) => sum + item.totalCO2e, 0);
-
-    const scope2Total = dynamicEmissionData
-      .filter(item => item.scope === 2)
-      .reduce((sum, item) => sum + item.totalCO2e, 0);
-
-    const totalEmissions = scope1Total + scope2Total;
-
-    return { dynamicEmissionData, scope1Total, scope2Total, totalEmissions, monthlyEmissions };
+    const dynamicEmissionData = result.activities.map(item => ({
+      source: item.activity,
+      totalCO2e: item.co2e,
+      scope: item.scope,
+      category: getScopeLabel(item.scope)
+    }));
+
+    return {
+      result,
+      dynamicEmissionData,
+      scope1Total: result.scopes.scope1,
+      scope2Total: result.scopes.scope2,
+      scope3Total: result.scopes.scope3,
+      // Activities missing from the activity catalogue are reported separately instead of being guessed
+      unclassifiedTotal: result.scopes.unclassified,
+      totalEmissions: result.scopes.total,
+      // Grouped by month and activity for the area chart
+      monthlyEmissions: result.months,
+      missingGas: result.missingGas,
+      // Grouped by month and entity, site or building when the chart is broken down by site
+      groupedEmissions: groupRecordEmissions(activityData, result, getBreakdownGroup(sites, breakdown))
+    };
   };
 
   const legendItemStyle = (active: boolean, color: string): React.CSSProperties => ({
@@ -216,16 +187,41 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
       return;
     }
   
-    const headers = ["Activity", "Year", "Month", "Value (raw)", "Value (KgCO2e)"];
-    const rows = activityData.map(row => {
-      const emissionFactor = emissionFactors[row.activity] || 0;
-      const co2eValue = row.value * emissionFactor;
-      return [row.activity, row.year, row.month, row.value, co2eValue.toFixed(2)];
+    const headers = [
+      "Activity", "Scope", "Category", "Gas", "Site", "Year", "Month", "Value (raw)", "Reported Share (%)",
+      `Value (KgCO2e, ${gwpSet}, location-based)`, `Value (KgCO2e, ${gwpSet}, market-based)`
+    ];
+    // Market-based values differ from location-based values only for Scope 2 records covered by contractual instruments
+    const locationBased = calculateEmissions("location").result;
+    const marketBased = calculateEmissions("market").result.records;
+    const rows = activityData.map((row, index) => {
+      const co2eValue = locationBased.records[index];
+      const scope = classifyActivity(activityCatalogue, row.activity);
+      return [
+        row.activity,
+        getScopeLabel(scope),
+        `"${getActivityCategory(activityCatalogue, row.activity)}"`,
+        needsGasType(activityCatalogue, row) ? "missing" : row.gas,
+        `"${row.site}"`,
+        row.year,
+        row.month,
+        row.value,
+        (getConsolidationShare(sites, row.site, consolidation) * 100).toFixed(1),
+        co2eValue.toFixed(2),
+        marketBased[index].toFixed(2)
+      ];
     });
   
     const csvContent =
       "data:text/csv;charset=utf-8," +
-      [headers, ...rows].map(e => e.join(",")).join("\n");
+      [
+        [describeConsolidation(consolidation)],
+        ...(yearFilter ? [[`Period: ${describeFiscalYear(yearFilter, fiscalYearStart)}`]] : []),
+        ...(locationBased.missingGas > 0 ? [[`"Warning: ${describeMissingGas(locationBased.missingGas)}"`]] : []),
+        headers,
+        ...rows
+      ]
+        .map(e => e.join(",")).join("\n");
   
     const encodedUri = encodeURI(csvContent);
     const link = document.createElement("a");
@@ -236,17 +232,24 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
     document.body.removeChild(link);
   };
   
-  const { dynamicEmissionData, scope1Total, scope2Total, totalEmissions, monthlyEmissions } = calculateEmissions();
+  const { dynamicEmissionData, scope1Total, scope2Total, scope3Total, unclassifiedTotal, totalEmissions, monthlyEmissions, groupedEmissions, missingGas } = calculateEmissions();
+
+  // Series and legend entries: activities, or the entities, sites or buildings of the breakdown
+  const legendNames = breakdown === "activity" ? activityNames : groupedEmissions.groups;
 
   // Updated useEffect to use new filter states
   useEffect(() => {
     fetchActivityData();
-  }, [monthFilter,yearFilter, activityName]);
+  }, [monthFilter,yearFilter, activityName, siteFilter, fiscalYearStart]);
+
+  useEffect(() => {
+    setSelectedLegend("all");
+  }, [breakdown]);
 
   useEffect(() => {
     if (chartRef.current && Object.keys(monthlyEmissions).length > 0) {
       // Get sorted months
-      const months = Object.keys(monthlyEmissions).sort((a, b) => monthOrder[a] - monthOrder[b]);
+      const months = Object.keys(monthlyEmissions).sort((a, b) => fiscalMonthOrder[a] - fiscalMonthOrder[b]);
       
       // Get all activities
       const activities = Array.from(new Set(
@@ -258,18 +261,36 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
         ? activities
         : activities.filter((a) => a === selectedLegend);
 
+      // One series per entity, site or building when broken down by site
+      const groupSeries: Highcharts.SeriesAreaOptions[] = groupedEmissions.groups
+        .map((group, index) => ({
+          name: group,
+          data: months.map(month => groupedEmissions.months[month]?.[group] || 0),
+          type: 'area' as const,
+          color: getGroupColor(group, index),
+          fillOpacity: 0.6,
+          lineWidth: 2,
+          marker: {
+            enabled: true,
+            radius: 4,
+            lineWidth: 2,
+            lineColor: '#ffffff'
+          }
+        }))
+        .filter(item => selectedLegend === "all" || item.name === selectedLegend);
+
       // Create series for each filtered activity
-      const series: Highcharts.SeriesAreaOptions[] = filteredActivities.map((activity, index) => {
-        const isScope1 = activity.includes("Generator") || activity.includes("Refrigerant");
+      const activitySeries: Highcharts.SeriesAreaOptions[] = filteredActivities.map((activity, index) => {
+        const scope = classifyActivity(activityCatalogue, activity);
         const data = months.map(month => monthlyEmissions[month]?.[activity] || 0);
         
         return {
           name: activity,
           data: data,
           type: 'area',
-          color: isScope1 
+          color: scope === 1 
             ? (index === 0 ? '#FF6B6B' : '#E74C3C') 
-            : '#4ECDC4',
+            : scope === 2 ? '#4ECDC4' : scope === 3 ? scopeColors[3] : scopeColors.unclassified,
           fillOpacity: 0.6,
           lineWidth: 2,
           marker: {
@@ -280,6 +301,7 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
           }
         };
       });
+      const series = breakdown === "activity" ? activitySeries : groupSeries;
 
       // Highcharts configuration for area chart
       const chartConfig: Highcharts.Options = {
@@ -396,7 +418,7 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
       };
       chartInstance.current = Highcharts.chart(chartRef.current, chartConfig);
     }
-  }, [activityData, monthlyEmissions, totalEmissions]);
+  }, [activityData, monthlyEmissions, totalEmissions, activityCatalogue, breakdown, sites, fiscalYearStart]);
   // 🆕 Convert activities array to Select options with "All" as default
   const activityOptions = [
     { label: "All Activities", value: "" },
@@ -411,67 +433,24 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
         <div style={{ display: "flex", justifyContent: "space-between", width: "100%", alignItems: "flex-start" }}>
           <FilterPanel
             onClear={() => {
-              // setFromMonth("Jan");
-              // setToMonth("Dec");
-              // setFromYear(new Date().getFullYear());
-              // setToYear(new Date().getFullYear());
               setActivityName("");
               setMonthFilter(null)
-              setYearFilter(new Date().getFullYear())
+              setYearFilter(getCurrentFiscalYear(fiscalYearStart))
+              setSiteFilter("")
             }}
           >
-            {/* Date Range Filters - Same as bar_chart component */}
-            {/* <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px", marginBottom: "15px" }}>
-              <FormField>
-                <Label>From Month</Label>
-                <Select
-                  options={monthOptions}
-                  selected={fromMonth}
-                  onChange={(newMonth) => setFromMonth(newMonth)}
-                  placeholder="Select start month"
-                />
-              </FormField>
-
-              <FormField>
-                <Label>To Month</Label>
-                <Select
-                  options={monthOptions}
-                  selected={toMonth}
-                  onChange={(newMonth) => setToMonth(newMonth)}
-                  placeholder="Select end month"
-                />
-              </FormField>
-            </div>
-
-            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px", marginBottom: "15px" }}>
-              <FormField>
-                <Label>From Year</Label>
-                <Input
-                  type="number"
-                  value={fromYear || ""}
-                  onChange={(val) => setFromYear(parseInt(val) || null)}
-                  placeholder="Start year"
-                />
-              </FormField>
-
-              <FormField>
-                <Label>To Year</Label>
-                <Input
-                  type="number"
-                  value={toYear || ""}
-                  onChange={(val) => setToYear(parseInt(val) || null)}
-                  placeholder="End year"
-                />
-              </FormField>
-            </div> */}
-
             <FormField> 
               <Label>Filter by Month</Label> 
               <Select options={monthOptions} selected={monthFilter} onChange={(newMonth) => setMonthFilter(newMonth)} /> 
             </FormField> 
             <FormField> 
-              <Label>Filter by Year</Label> 
+              <Label>{isCalendarYear(fiscalYearStart) ? "Filter by Year" : "Filter by Fiscal Year"}</Label> 
               <Input type="number" value={yearFilter} onChange={(val) => setYearFilter(parseInt(val) || null)} /> 
+              {yearFilter && !isCalendarYear(fiscalYearStart) && (
+                <div style={{ fontSize: "11px", color: "#666", marginTop: "4px" }}>
+                  {describeFiscalYear(yearFilter, fiscalYearStart)}
+                </div>
+              )}
             </FormField>
             <FormField>
               <Label>Filter by Activity</Label>
@@ -482,8 +461,23 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
                 placeholder="Select activity"
               />
             </FormField>
+            <FormField>
+              <Label>Filter by Site</Label>
+              <Select
+                options={getSiteOptions(sites)}
+                selected={siteFilter}
+                onChange={(val) => setSiteFilter(val)}
+                placeholder="All Sites"
+              />
+            </FormField>
           </FilterPanel>
 
+          <ToggleFilter
+            options={breakdownOptions}
+            value={breakdown}
+            onChange={(val) => setBreakdown(val as Breakdown)}
+          />
+
           <Button
             icon='fas cloud-download-alt'
             title='Export'
@@ -492,6 +486,12 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
         </div>
       </TitleBar>
 
+      {missingGas > 0 && (
+        <div style={{ padding: '10px', margin: '0 0 16px 0', background: '#fff3cd', border: '1px solid #ffc107', borderRadius: '4px', fontSize: '13px' }}>
+          ⚠️ {describeMissingGas(missingGas)}
+        </div>
+      )}
+
       {activityData.length > 0 && (
         <div style={{ display: 'flex', justifyContent: 'center', gap: '12px', marginBottom: '16px', flexWrap: 'wrap' }}>
           <div
@@ -505,7 +505,7 @@ const ESGAreaChart: React.FunctionComponent<IWidgetProps> = (props) => {
             All
           </div>
 
-          {activityNames.map(name => {
+          {legendNames.map(name => {
             const rawColor = chartInstance.current?.series.find(s => s.name === name)?.color;
             const color = typeof rawColor === 'string' ? rawColor : "#ccc";
 
@@ -1,41 +1,275 @@
-import React from "react";
-import { WidgetWrapper } from "uxp/components";
-import { IWidgetProps } from "widget-designer/components";
-
-// Emission factors data
-const emissionFactorsData = [
-  {
-    scope: "Scope 1",
-    activity: "Generator Fuel Consumption",
-    unit: "litres",
-    emissionFactor: 3.761,
-    source: "SEFR (Singapore Emission Factors Registry)",
-    category: "Direct Combustion",
-    description: "Diesel fuel combustion in backup generators"
-  },
-  {
-    scope: "Scope 1", 
-    activity: "Refrigerant Leakages/Refilling",
-    unit: "litres", 
-    emissionFactor: 1.000,
-    source: "Carrier Centrifugal Chiller Spec",
-    category: "Fugitive Emissions",
-    description: "HFC refrigerant leakage and refilling"
-  },
-  {
-    scope: "Scope 2",
-    activity: "Electricity Consumption", 
-    unit: "kWh",
-    emissionFactor: 0.412,
-    source: "Singapore EMA – Energy Statistics 2023",
-    category: "Purchased Electricity",
-    description: "Grid electricity for systems"
-  }
+import React, { useEffect, useState } from "react";
+import {
+  WidgetWrapper,
+  FormField,
+  Input,
+  Label,
+  Select,
+  Button,
+  DatePicker,
+  Modal,
+  useToast,
+} from "uxp/components";
+import { IContextProvider } from "./uxp";
+import { formatToDateString } from "./utils";
+import {
+  EmissionFactor,
+  GasAmounts,
+  fetchEmissionFactors,
+  getEmissionFactorHistory,
+  getFactorCO2e,
+  getLatestEmissionFactors,
+} from "./emissionFactors";
+import { scope3Categories, scopeColors } from "./activityCatalogue";
+import { GWPSet, combustionGases, defaultGWPSet, getGWP, getGasLabel, gwpSetLabels, gwpSets, parseGWPSet } from "./gwp";
+import { fetchCarbonSettings, saveCarbonSetting } from "./settings";
+import {
+  defaultFiscalYearStart,
+  describeFiscalYear,
+  fiscalYearStartOptions,
+  getCurrentFiscalYear,
+  parseFiscalYearStart,
+} from "./fiscalYear";
+
+export interface IWidgetProps {
+  uxpContext?: IContextProvider;
+  instanceId?: string;
+  uiProps?: any;
+}
+
+type FactorFormMode = "add" | "edit" | "retire";
+
+interface FactorForm {
+  activity: string;
+  scope: string;
+  category: string;
+  unit: string;
+  value: string;
+  description: string;
+  source: string;
+  effectiveDate: string;
+  gases: { [gas: string]: string }; // optional kg of each gas per unit
+}
+
+const emptyForm: FactorForm = {
+  activity: "",
+  scope: "Scope 1",
+  category: "",
+  unit: "",
+  value: "",
+  description: "",
+  source: "",
+  effectiveDate: formatToDateString(new Date(), "yyyy-MM-dd") || "",
+  gases: {},
+};
+
+const scopeOptions = [
+  { label: "Scope 1", value: "Scope 1" },
+  { label: "Scope 2", value: "Scope 2" },
+  { label: "Scope 3", value: "Scope 3" },
 ];
 
+const scope3CategoryOptions = scope3Categories.map(category => ({ label: category, value: category }));
+
+const gwpSetOptions = gwpSets.map(set => ({ label: gwpSetLabels[set], value: set }));
+
+const formatGasBreakdown = (gases: GasAmounts) => {
+  return Object.keys(gases).map(gas => `${getGasLabel(gas)} ${gases[gas]}`).join(" · ");
+};
+
+const actionButtonStyle = (background: string): React.CSSProperties => ({
+  padding: '4px 8px',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  background: background,
+  color: 'white'
+});
+
 const ESGEmissionFactorsTable: React.FunctionComponent<IWidgetProps> = (props) => {
+  const toast = useToast();
+
+  const [emissionFactors, setEmissionFactors] = useState<EmissionFactor[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [expandedActivity, setExpandedActivity] = useState<string | null>(null);
+  const [gwpSet, setGwpSet] = useState<GWPSet>(defaultGWPSet);
+  const [fiscalYearStart, setFiscalYearStart] = useState<string>(defaultFiscalYearStart);
+
+  // Modal state
+  const [formMode, setFormMode] = useState<FactorFormMode | null>(null);
+  const [form, setForm] = useState<FactorForm>(emptyForm);
+
+  const loadEmissionFactors = async () => {
+    setEmissionFactors(await fetchEmissionFactors(props.uxpContext));
+  };
+
+  useEffect(() => {
+    loadEmissionFactors();
+    fetchCarbonSettings(props.uxpContext).then(settings => {
+      setGwpSet(parseGWPSet(settings.gwpSet));
+      setFiscalYearStart(parseFiscalYearStart(settings.fiscalYearStart));
+    });
+  }, []);
+
+  // 🔹 The GWP set applies to every report, so it is stored as a tenant setting
+  const changeGwpSet = async (value: string) => {
+    const previous = gwpSet;
+    setGwpSet(parseGWPSet(value));
+    try {
+      await saveCarbonSetting(props.uxpContext, "gwpSet", value);
+      toast.success(`Reports now use ${gwpSetLabels[value]} global warming potentials.`);
+    } catch (error) {
+      console.error("Error saving GWP set:", error);
+      toast.error("Failed to save GWP set.");
+      setGwpSet(previous);
+    }
+  };
+
+  // 🔹 Every annual chart, filter and export reports by this fiscal year, so it is a tenant setting too
+  const changeFiscalYearStart = async (value: string) => {
+    const previous = fiscalYearStart;
+    setFiscalYearStart(parseFiscalYearStart(value));
+    try {
+      await saveCarbonSetting(props.uxpContext, "fiscalYearStart", value);
+      toast.success(`Reports now run by fiscal year, e.g. ${describeFiscalYear(getCurrentFiscalYear(value), value)}.`);
+    } catch (error) {
+      console.error("Error saving fiscal year start:", error);
+      toast.error("Failed to save fiscal year start.");
+      setFiscalYearStart(previous);
+    }
+  };
+
+  // Gas amounts entered in the form, ignoring empty inputs
+  const getFormGases = (): GasAmounts => {
+    const gases: GasAmounts = {};
+    Object.keys(form.gases).forEach(gas => {
+      if (form.gases[gas].trim() !== "") gases[gas] = Number(form.gases[gas]);
+    });
+    return gases;
+  };
+
+  const hasFormGases = () => Object.keys(getFormGases()).length > 0;
+
+  // kgCO₂e per unit implied by the gas breakdown under the current GWP set
+  const getFormGasCO2e = () => {
+    const gases = getFormGases();
+    return Object.keys(gases).reduce((sum, gas) => sum + gases[gas] * getGWP(gas, gwpSet), 0);
+  };
+
+  const emissionFactorsData = getLatestEmissionFactors(emissionFactors)
+    .sort((a, b) => a.scope.localeCompare(b.scope) || a.activity.localeCompare(b.activity));
+
+  const openForm = (mode: FactorFormMode, factor?: EmissionFactor) => {
+    setForm({
+      ...emptyForm,
+      ...(factor ? {
+        activity: factor.activity,
+        scope: factor.scope,
+        category: factor.category,
+        unit: factor.unit,
+        value: mode === "edit" ? factor.value.toString() : "",
+        description: factor.description || "",
+        gases: factor.gases
+          ? Object.keys(factor.gases).reduce((acc, gas) => ({ ...acc, [gas]: factor.gases![gas].toString() }), {})
+          : {},
+      } : {}),
+    });
+    setFormMode(mode);
+  };
+
+  const closeForm = () => {
+    setFormMode(null);
+    setForm(emptyForm);
+  };
+
+  // 🔹 Validate form
+  const validateForm = (): string | null => {
+    if (!form.activity.trim()) {
+      return "Please enter an activity.";
+    }
+    if (formMode !== "retire") {
+      if (!form.unit.trim()) {
+        return "Please enter the unit of the activity data.";
+      }
+      const gases = getFormGases();
+      if (Object.keys(gases).some(gas => isNaN(gases[gas]) || gases[gas] < 0)) {
+        return "Gas amounts must be positive numbers.";
+      }
+      if (!hasFormGases() && (!form.value.trim() || isNaN(Number(form.value)) || Number(form.value) < 0)) {
+        return "Please enter a valid positive number for the emission factor.";
+      }
+    }
+    if (!form.source.trim()) {
+      return "A source reference is required for every change.";
+    }
+    if (!form.effectiveDate) {
+      return "Please select an effective date.";
+    }
+    return null;
+  };
+
+  // 🔹 Save the form through the model actions
+  const saveForm = async () => {
+    const validationError = validateForm();
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (formMode === "retire") {
+        await props.uxpContext?.executeAction(
+          "carbon_reporting_80rr",
+          "RetireEmissionFactor",
+          {
+            activity: form.activity,
+            source: form.source,
+            effectiveDate: form.effectiveDate,
+          },
+          { json: true }
+        );
+        toast.success(`Emission factor for ${form.activity} retired.`);
+      } else {
+        await props.uxpContext?.executeAction(
+          "carbon_reporting_80rr",
+          "SaveEmissionFactor",
+          {
+            activity: form.activity.trim(),
+            scope: form.scope,
+            category: form.category,
+            unit: form.unit.trim(),
+            // With a gas breakdown, the stored CO₂e value is informational; reports recalculate it per GWP set
+            value: hasFormGases() ? Number(getFormGasCO2e().toFixed(6)) : Number(form.value),
+            gases: hasFormGases() ? JSON.stringify(getFormGases()) : "",
+            description: form.description,
+            source: form.source.trim(),
+            effectiveDate: form.effectiveDate,
+          },
+          { json: true }
+        );
+        toast.success("Emission factor saved successfully!");
+      }
+
+      closeForm();
+      await loadEmissionFactors();
+    } catch (error: any) {
+      console.error("Error saving emission factor:", error);
+      toast.error(`Failed to save emission factor: ${error?.message || error || "Unknown error"}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getFormTitle = () => {
+    if (formMode === "add") return "Add Emission Factor";
+    if (formMode === "edit") return `Update Emission Factor – ${form.activity}`;
+    return `Retire Emission Factor – ${form.activity}`;
+  };
+
   const getScopeColor = (scope: string) => {
-    return scope === "Scope 1" ? "#FF6B6B" : "#4ECDC4";
+    return scope === "Scope 1" ? scopeColors[1] : scope === "Scope 3" ? scopeColors[3] : scopeColors[2];
   };
 
   const getScopeBadgeStyle = (scope: string) => ({
@@ -65,8 +299,12 @@ const ESGEmissionFactorsTable: React.FunctionComponent<IWidgetProps> = (props) =
         borderRadius: '12px 12px 0 0',
         padding: '20px',
         borderBottom: '1px solid #e9ecef',
-        boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start'
       }}>
+        <div>
         <h2 style={{
           margin: '0 0 8px 0',
           color: '#2c3e50',
@@ -82,6 +320,26 @@ const ESGEmissionFactorsTable: React.FunctionComponent<IWidgetProps> = (props) =
         }}>
           Carbon emission factors and data sources for ESG reporting compliance
         </p>
+        </div>
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'flex-end' }}>
+          <FormField>
+            <Label>GWP Set</Label>
+            <Select
+              options={gwpSetOptions}
+              selected={gwpSet}
+              onChange={changeGwpSet}
+            />
+          </FormField>
+          <FormField>
+            <Label>Fiscal Year Starts In</Label>
+            <Select
+              options={fiscalYearStartOptions}
+              selected={fiscalYearStart}
+              onChange={changeFiscalYearStart}
+            />
+          </FormField>
+          <Button title="Add Factor" onClick={() => openForm("add")} />
+        </div>
       </div>
 
       {/* Table */}
@@ -159,14 +417,32 @@ const ESGEmissionFactorsTable: React.FunctionComponent<IWidgetProps> = (props) =
               }}>
                 Data Source
               </th>
+              <th style={{
+                padding: '16px 12px',
+                textAlign: 'left' as const,
+                fontWeight: 'bold',
+                color: '#2c3e50',
+                fontSize: '13px',
+                textTransform: 'uppercase' as const,
+                letterSpacing: '0.5px'
+              }}>
+                Actions
+              </th>
             </tr>
           </thead>
           <tbody>
-            {emissionFactorsData.map((row, index) => (
-              <tr key={index} style={{
+            {emissionFactorsData.map((row, index) => {
+              const isRetired = !!row.validTo;
+              const history = getEmissionFactorHistory(emissionFactors, row.activity).filter(f => f !== row);
+              const isExpanded = expandedActivity === row.activity;
+
+              return (
+              <React.Fragment key={index}>
+              <tr style={{
                 borderBottom: '1px solid #f1f3f4',
                 transition: 'background-color 0.2s ease',
-                cursor: 'default'
+                cursor: 'default',
+                opacity: isRetired ? 0.6 : 1
               }}
               onMouseEnter={(e) => {
                 e.currentTarget.style.backgroundColor = '#f8f9fa';
@@ -235,8 +511,17 @@ const ESGEmissionFactorsTable: React.FunctionComponent<IWidgetProps> = (props) =
                     fontWeight: 'bold',
                     color: getScopeColor(row.scope)
                   }}>
-                    {row.emissionFactor.toFixed(3)}
+                    {getFactorCO2e(row, gwpSet).toFixed(3)}
                   </span>
+                  {row.gases && (
+                    <div style={{
+                      fontSize: '11px',
+                      color: '#7f8c8d',
+                      marginTop: '4px'
+                    }}>
+                      {formatGasBreakdown(row.gases)} kg ({gwpSet})
+                    </div>
+                  )}
                 </td>
                 <td style={{
                   padding: '16px 12px',
@@ -250,9 +535,68 @@ const ESGEmissionFactorsTable: React.FunctionComponent<IWidgetProps> = (props) =
                   }}>
                     {row.source}
                   </div>
+                  <div style={{
+                    fontSize: '11px',
+                    color: '#7f8c8d',
+                    marginTop: '4px'
+                  }}>
+                    {isRetired
+                      ? `Retired after ${row.validTo}${row.retirementSource ? ` – ${row.retirementSource}` : ""}`
+                      : `Effective from ${row.validFrom}`}
+                  </div>
+                </td>
+                <td style={{
+                  padding: '16px 12px',
+                  verticalAlign: 'middle' as const
+                }}>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button onClick={() => openForm("edit", row)} style={actionButtonStyle('#007bff')}>
+                      {isRetired ? "Reinstate" : "Edit"}
+                    </button>
+                    {!isRetired && (
+                      <button onClick={() => openForm("retire", row)} style={actionButtonStyle('#dc3545')}>
+                        Retire
+                      </button>
+                    )}
+                    {history.length > 0 && (
+                      <button
+                        onClick={() => setExpandedActivity(isExpanded ? null : row.activity)}
+                        style={actionButtonStyle('#6c757d')}
+                      >
+                        History ({history.length})
+                      </button>
+                    )}
+                  </div>
                 </td>
               </tr>
-            ))}
+
+              {/* Superseded values of this activity */}
+              {isExpanded && history.map((past, historyIndex) => (
+                <tr key={`${index}-history-${historyIndex}`} style={{
+                  backgroundColor: '#f8f9fa',
+                  borderBottom: '1px solid #f1f3f4',
+                  fontSize: '12px',
+                  color: '#7f8c8d'
+                }}>
+                  <td style={{ padding: '8px 12px' }}></td>
+                  <td style={{ padding: '8px 12px', fontStyle: 'italic' }}>
+                    {past.validFrom} – {past.validTo}
+                  </td>
+                  <td style={{ padding: '8px 12px', textAlign: 'center' as const }}>
+                    {past.unit}
+                  </td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' as const, textDecoration: 'line-through' }}>
+                    {getFactorCO2e(past, gwpSet).toFixed(3)}
+                  </td>
+                  <td style={{ padding: '8px 12px' }} colSpan={2}>
+                    {past.source}
+                    {past.retirementSource && ` (retired: ${past.retirementSource})`}
+                  </td>
+                </tr>
+              ))}
+              </React.Fragment>
+              );
+            })}
           </tbody>
         </table>
       </div>
@@ -281,10 +625,157 @@ const ESGEmissionFactorsTable: React.FunctionComponent<IWidgetProps> = (props) =
         }}>
           <li><strong>Scope 1:</strong> Direct GHG emissions from sources owned or controlled by the organization</li>
           <li><strong>Scope 2:</strong> Indirect GHG emissions from consumption of purchased electricity, heat, or steam</li>
+          <li><strong>Scope 3:</strong> Other indirect GHG emissions across the value chain, in the 15 GHG Protocol categories</li>
           <li><strong>kgCO₂e:</strong> Kg of carbon dioxide equivalent - standardized unit for all greenhouse gases</li>
+          <li><strong>GWP:</strong> Factors broken down by gas, and refrigerant entries (gas type and kg released), are converted with the selected {gwpSetLabels[gwpSet]} values</li>
+          <li><strong>Fiscal year:</strong> Annual charts, baselines and exports report by fiscal year, named after the year it starts in, e.g. {describeFiscalYear(getCurrentFiscalYear(fiscalYearStart), fiscalYearStart)}</li>
         </ul>
       </div>
     </div>
+
+      {/* Add / Update / Retire Modal */}
+      {formMode && (
+        <Modal
+          show={!!formMode}
+          onClose={closeForm}
+          title={getFormTitle()}
+        >
+          <div className="modal-body">
+            {formMode === "add" && (
+              <FormField>
+                <Label>Activity *</Label>
+                <Input
+                  type="text"
+                  value={form.activity}
+                  onChange={(val) => setForm({ ...form, activity: val })}
+                  placeholder="e.g. Electricity Consumption"
+                />
+              </FormField>
+            )}
+
+            {formMode !== "retire" && (
+              <>
+                <FormField>
+                  <Label>Scope *</Label>
+                  <Select
+                    options={scopeOptions}
+                    selected={form.scope}
+                    onChange={(val) => setForm({ ...form, scope: val })}
+                  />
+                </FormField>
+
+                <FormField>
+                  <Label>Category</Label>
+                  {form.scope === "Scope 3" ? (
+                    <Select
+                      options={scope3CategoryOptions}
+                      selected={form.category}
+                      onChange={(val) => setForm({ ...form, category: val })}
+                      placeholder="Select GHG Protocol category"
+                    />
+                  ) : (
+                    <Input
+                      type="text"
+                      value={form.category}
+                      onChange={(val) => setForm({ ...form, category: val })}
+                      placeholder="e.g. Purchased Electricity"
+                    />
+                  )}
+                </FormField>
+
+                <FormField>
+                  <Label>Unit *</Label>
+                  <Input
+                    type="text"
+                    value={form.unit}
+                    onChange={(val) => setForm({ ...form, unit: val })}
+                    placeholder="e.g. kWh"
+                  />
+                </FormField>
+
+                <FormField>
+                  <Label>Emission Factor (kgCO₂e per unit) *</Label>
+                  <Input
+                    type="text"
+                    value={hasFormGases() ? getFormGasCO2e().toFixed(3) : form.value}
+                    onChange={(val) => setForm({ ...form, value: val })}
+                    placeholder="Enter emission factor"
+                    readOnly={hasFormGases()}
+                  />
+                </FormField>
+
+                <FormField>
+                  <Label>Gas Breakdown (kg per unit, optional)</Label>
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px' }}>
+                    {combustionGases.map(gas => (
+                      <Input
+                        key={gas}
+                        type="text"
+                        value={form.gases[gas] || ""}
+                        onChange={(val) => setForm({ ...form, gases: { ...form.gases, [gas]: val } })}
+                        placeholder={getGasLabel(gas)}
+                      />
+                    ))}
+                  </div>
+                  {hasFormGases() && (
+                    <small style={{ color: '#7f8c8d' }}>
+                      kgCO₂e per unit is calculated from the gases with {gwpSetLabels[gwpSet]} values.
+                    </small>
+                  )}
+                </FormField>
+
+                <FormField>
+                  <Label>Description</Label>
+                  <Input
+                    type="text"
+                    value={form.description}
+                    onChange={(val) => setForm({ ...form, description: val })}
+                  />
+                </FormField>
+              </>
+            )}
+
+            <FormField>
+              <Label>Source Reference *</Label>
+              <Input
+                type="text"
+                value={form.source}
+                onChange={(val) => setForm({ ...form, source: val })}
+                placeholder={formMode === "retire" ? "Reason / reference for retiring this factor" : "e.g. Singapore EMA – Energy Statistics 2024"}
+              />
+            </FormField>
+
+            <FormField>
+              <Label>Effective Date *</Label>
+              <DatePicker
+                title="Effective Date"
+                date={form.effectiveDate}
+                onChange={(date) => setForm({ ...form, effectiveDate: formatToDateString(date, "yyyy-MM-dd") || "" })}
+              />
+            </FormField>
+
+            {formMode === "edit" && (
+              <div className="warning-note">
+                <small>⚠️ The current value stays in effect for periods before the effective date and is kept in the history.</small>
+              </div>
+            )}
+          </div>
+
+          <div className="modal-footer">
+            <Button
+              title={formMode === "retire" ? "Retire" : "Save"}
+              onClick={saveForm}
+              loading={saving}
+              disabled={saving}
+            />
+            <Button
+              title="Cancel"
+              onClick={closeForm}
+              disabled={saving}
+            />
+          </div>
+        </Modal>
+      )}
     </WidgetWrapper>
   );
 };
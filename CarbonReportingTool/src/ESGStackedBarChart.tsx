@@ -1,7 +1,16 @@
 import React, { useEffect, useRef, useState } from "react";
 import Highcharts from 'highcharts';
-import { WidgetWrapper, TitleBar, FilterPanel, FormField, Select, Input, Label, useToast, Button } from "uxp/components";
+import { WidgetWrapper, TitleBar, FilterPanel, FormField, Select, Input, Label, useToast, Button, ToggleFilter } from "uxp/components";
 import { IContextProvider } from "./uxp";
+import { EmissionFactor, fetchEmissionFactors } from "./emissionFactors";
+import { ContractualInstrument, Scope2Method, fetchContractualInstruments, scope2MethodOptions } from "./scope2";
+import { calculateEmissionTotals, getMonthScopeTotal, getSortedMonths, groupRecordEmissions } from "./calc";
+import { GWPSet, defaultGWPSet, parseGWPSet } from "./gwp";
+import { fetchCarbonSettings } from "./settings";
+import { ConsolidationApproach, defaultConsolidationApproach, describeConsolidation, parseConsolidationApproach } from "./consolidation";
+import { CatalogueActivity, describeMissingGas, fetchActivityCatalogue, classifyActivity, getScopeLabel, scopeColors } from "./activityCatalogue";
+import { Breakdown, Site, breakdownOptions, fetchSites, getBreakdownGroup, getGroupColor, getSiteOptions } from "./sites";
+import { defaultFiscalYearStart, describeFiscalYear, getCurrentFiscalYear, getFiscalMonthOrder, getFiscalMonths, getFiscalYearFilter, isCalendarYear, parseFiscalYearStart } from "./fiscalYear";
 
 export interface IWidgetProps {
   uxpContext?: IContextProvider;
@@ -9,19 +18,6 @@ export interface IWidgetProps {
   uiProps?: any;
 }
 
-// Emission factors for calculations
-const emissionFactors: { [key: string]: number } = {
-  "Generator Fuel Consumption": 3.761, // kgCO₂e per litre
-  "Refrigerant Leakages/Refilling": 1.000, // kgCO₂e per litre
-  "Electricity Consumption": 0.412 // kgCO₂e per kWh
-};
-
-// Month sort helper
-const monthOrder: { [key: string]: number } = {
-  Jan: 1, Feb: 2, Mar: 3, Apr: 4, May: 5, Jun: 6,
-  Jul: 7, Aug: 8, Sep: 9, Oct: 10, Nov: 11, Dec: 12
-};
-
 const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
   const chartRef = useRef(null);
   const toast = useToast();
@@ -35,14 +31,19 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
   const [yearFilter, setYearFilter] = useState<any>(new Date().getFullYear());
   const [activityName, setActivityName] = useState<string>("");
   const [availableActivities, setAvailableActivities] = useState<string[]>([]); // 🆕 for dropdown options
-  const monthOptions = [
-    { label: "Jan", value: "Jan" }, { label: "Feb", value: "Feb" },
-    { label: "Mar", value: "Mar" }, { label: "Apr", value: "Apr" },
-    { label: "May", value: "May" }, { label: "Jun", value: "Jun" },
-    { label: "Jul", value: "Jul" }, { label: "Aug", value: "Aug" },
-    { label: "Sep", value: "Sep" }, { label: "Oct", value: "Oct" },
-    { label: "Nov", value: "Nov" }, { label: "Dec", value: "Dec" },
-  ];
+  const [emissionFactors, setEmissionFactors] = useState<EmissionFactor[]>([]);
+  const [activityCatalogue, setActivityCatalogue] = useState<CatalogueActivity[]>([]);
+  const [gwpSet, setGwpSet] = useState<GWPSet>(defaultGWPSet);
+  const [consolidation, setConsolidation] = useState<ConsolidationApproach>(defaultConsolidationApproach);
+  const [instruments, setInstruments] = useState<ContractualInstrument[]>([]);
+  const [scope2Method, setScope2Method] = useState<Scope2Method>("location");
+  const [sites, setSites] = useState<Site[]>([]);
+  const [siteFilter, setSiteFilter] = useState<string>("");
+  const [breakdown, setBreakdown] = useState<Breakdown>("activity");
+  const [fiscalYearStart, setFiscalYearStart] = useState<string>(defaultFiscalYearStart);
+  // The year filter is a fiscal year, so its months are listed and charted from the start month on
+  const monthOptions = getFiscalMonths(fiscalYearStart).map(month => ({ label: month, value: month }));
+  const fiscalMonthOrder = getFiscalMonthOrder(fiscalYearStart);
 
     // 🆕 Fetch available activities for dropdown
   const fetchAvailableActivities = async () => {
@@ -63,6 +64,17 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
   // 🆕 Load activities on component mount
   useEffect(() => {
     fetchAvailableActivities();
+    fetchEmissionFactors(props.uxpContext).then(setEmissionFactors);
+    fetchActivityCatalogue(props.uxpContext).then(setActivityCatalogue);
+    fetchCarbonSettings(props.uxpContext).then(settings => {
+      setGwpSet(parseGWPSet(settings.gwpSet));
+      setConsolidation(parseConsolidationApproach(settings.consolidationApproach));
+      const start = parseFiscalYearStart(settings.fiscalYearStart);
+      setFiscalYearStart(start);
+      setYearFilter(getCurrentFiscalYear(start));
+    });
+    fetchContractualInstruments(props.uxpContext).then(setInstruments);
+    fetchSites(props.uxpContext).then(setSites);
   }, []);
   const fetchActivityData = async () => {
     if (!props.uxpContext) return;
@@ -72,7 +84,7 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
       const result = await props.uxpContext.executeAction(
         "carbon_reporting_80rr",
         "GetAllData",
-        { year: yearFilter, month: monthFilter, activityName: activityName },
+        { ...getFiscalYearFilter(yearFilter, monthFilter, fiscalYearStart), activityName: activityName, site: siteFilter },
         { json: true }
       );
 
@@ -82,7 +94,9 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
         activity: row.activity,
         year: row.year,
         month: row.month,
-        value: parseFloat(row.value)
+        value: parseFloat(row.value),
+        gas: row.gas || "",
+        site: row.site || ""
       })) || [];
 
       setActivityData(cleanedData);
@@ -100,67 +114,41 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
     }
   };
 
-  // Calculate emissions dynamically from API data
-  const calculateEmissions = () => {
-    if (activityData.length === 0) {
-      return { 
-        dynamicEmissionData: [], 
-        scope1Total: 0, 
-        scope2Total: 0, 
-        totalEmissions: 0,
-        monthlyEmissions: {}
-      };
-    }
-
-    // Group by month and activity for stacked chart
-    const monthlyEmissions: { [key: string]: { [key: string]: number } } = {};
-    
-    activityData.forEach(item => {
-      if (!monthlyEmissions[item.month]) {
-        monthlyEmissions[item.month] = {};
-      }
-      if (!monthlyEmissions[item.month][item.activity]) {
-        monthlyEmissions[item.month][item.activity] = 0;
-      }
-      // Apply emission factors immediately
-      const emissionFactor = emissionFactors[item.activity] || 0;
-      monthlyEmissions[item.month][item.activity] += item.value * emissionFactor;
+  // Calculate emissions dynamically from API data, with Scope 2 under the given method
+  const calculateEmissions = (method: Scope2Method = scope2Method) => {
+    const result = calculateEmissionTotals({
+      records: activityData,
+      factors: emissionFactors,
+      catalogue: activityCatalogue,
+      gwpSet,
+      instruments,
+      scope2Method: method,
+      sites,
+      consolidation
     });
 
-    const emissionsByActivity: { [key: string]: number } = {};
-    
-    // Calculate total emissions by activity
-    activityData.forEach(item => {
-      if (!emissionsByActivity[item.activity]) {
-        emissionsByActivity[item.activity] = 0;
-      }
-      const emissionFactor = emissionFactors[item.activity] || 0;
-      emissionsByActivity[item.activity] += item.value * emissionFactor;
-    });
-
-    const dynamicEmissionData = Object.keys(emissionsByActivity).map(activity => {
-      const calculatedCO2e = emissionsByActivity[activity];
-      const isScope1 = activity.includes("Generator") || activity.includes("Refrigerant");
-      
-      return {
-        source: activity,
-        totalCO2e: calculatedCO2e,
-        scope: isScope1 ? 1 : 2,
-        category: isScope1 ? "Scope 1" : "Scope 2"
-      };
-    });
-
-    const scope1Total = dynamicEmissionData
-      .filter(item => item.scope === 1)
-      .reduce((sum, item) => sum + item.totalCO2e, 0);
-
-    const scope2Total = dynamicEmissionData
-      .filter(item => item.scope === 2)
-      .reduce((sum, item) => sum + item.totalCO2e, 0);
-
-    const totalEmissions = scope1Total + scope2Total;
-
-    return { dynamicEmissionData, scope1Total, scope2Total, totalEmissions, monthlyEmissions };
+    const dynamicEmissionData = result.activities.map(item => ({
+      source: item.activity,
+      totalCO2e: item.co2e,
+      scope: item.scope,
+      category: getScopeLabel(item.scope)
+    }));
+
+    return {
+      result,
+      dynamicEmissionData,
+      scope1Total: result.scopes.scope1,
+      scope2Total: result.scopes.scope2,
+      scope3Total: result.scopes.scope3,
+      // Activities missing from the activity catalogue are reported separately instead of being guessed
+      unclassifiedTotal: result.scopes.unclassified,
+      totalEmissions: result.scopes.total,
+      // Grouped by month and activity for the stacked chart
+      monthlyEmissions: result.months,
+      missingGas: result.missingGas,
+      // Grouped by month and entity, site or building when the chart is broken down by site
+      groupedEmissions: groupRecordEmissions(activityData, result, getBreakdownGroup(sites, breakdown))
+    };
   };
 
   const legendItemStyle = (active: boolean, color: string): React.CSSProperties => ({
@@ -201,19 +189,58 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
       return;
     }
   
-    const months = Object.keys(monthlyEmissions).sort((a, b) => monthOrder[a] - monthOrder[b]);
-    const activities = Array.from(new Set(
-      Object.values(monthlyEmissions).flatMap(monthData => Object.keys(monthData))
-    ));
-  
-    const headers = ["Month", ...activities];
+    // Scope 2 activities and totals are exported under both methods side by side
+    const locationBased = calculateEmissions("location").result;
+    const marketBased = calculateEmissions("market").result;
+    const locationMonthly = locationBased.months;
+    const marketMonthly = marketBased.months;
+
+    const months = getSortedMonths(locationBased, fiscalMonthOrder);
+    const activities = locationBased.activities.map(item => item.activity);
+    const isScope2 = (act: string) => classifyActivity(activityCatalogue, act) === 2;
+
+    // Broken down by site, each entity, site or building gets a column under both methods instead
+    const groupOf = getBreakdownGroup(sites, breakdown);
+    const locationGrouped = groupRecordEmissions(activityData, locationBased, groupOf);
+    const marketGrouped = groupRecordEmissions(activityData, marketBased, groupOf);
+    const groups = locationGrouped.groups;
+
+    const headers = [
+      "Month",
+      ...(breakdown === "activity"
+        ? activities.flatMap(act => isScope2(act) ? [`${act} (location-based)`, `${act} (market-based)`] : [act])
+        : groups.flatMap(group => [`${group} (location-based)`, `${group} (market-based)`])),
+      "Scope 1 Total", "Scope 2 Total (location-based)", "Scope 2 Total (market-based)", "Scope 3 Total", "Unclassified Total"
+    ];
     const rows = months.map(month => {
-      return [month, ...activities.map(act => (monthlyEmissions[month]?.[act] || 0).toFixed(2))];
+      return [
+        month,
+        ...(breakdown === "activity"
+          ? activities.flatMap(act => isScope2(act)
+            ? [(locationMonthly[month]?.[act] || 0).toFixed(2), (marketMonthly[month]?.[act] || 0).toFixed(2)]
+            : [(locationMonthly[month]?.[act] || 0).toFixed(2)])
+          : groups.flatMap(group => [
+            (locationGrouped.months[month]?.[group] || 0).toFixed(2),
+            (marketGrouped.months[month]?.[group] || 0).toFixed(2)
+          ])),
+        getMonthScopeTotal(locationBased, month, 1).toFixed(2),
+        getMonthScopeTotal(locationBased, month, 2).toFixed(2),
+        getMonthScopeTotal(marketBased, month, 2).toFixed(2),
+        getMonthScopeTotal(locationBased, month, 3).toFixed(2),
+        getMonthScopeTotal(locationBased, month, "unclassified").toFixed(2)
+      ];
     });
   
     const csvContent =
       "data:text/csv;charset=utf-8," +
-      [headers, ...rows].map(e => e.join(",")).join("\n");
+      [
+        [describeConsolidation(consolidation)],
+        ...(yearFilter ? [[`Period: ${describeFiscalYear(yearFilter, fiscalYearStart)}`]] : []),
+        ...(locationBased.missingGas > 0 ? [[`"Warning: ${describeMissingGas(locationBased.missingGas)}"`]] : []),
+        headers,
+        ...rows
+      ]
+        .map(e => e.join(",")).join("\n");
   
     const encodedUri = encodeURI(csvContent);
     const link = document.createElement("a");
@@ -224,16 +251,23 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
     document.body.removeChild(link);
   };
   
-  const { dynamicEmissionData, scope1Total, scope2Total, totalEmissions, monthlyEmissions } = calculateEmissions();
+  const { dynamicEmissionData, scope1Total, scope2Total, scope3Total, unclassifiedTotal, totalEmissions, monthlyEmissions, groupedEmissions, missingGas } = calculateEmissions();
+
+  // Series and legend entries: activities, or the entities, sites or buildings of the breakdown
+  const legendNames = breakdown === "activity" ? activityNames : groupedEmissions.groups;
 
   useEffect(() => {
     fetchActivityData();
-  }, [monthFilter, yearFilter, activityName]);
+  }, [monthFilter, yearFilter, activityName, siteFilter, fiscalYearStart]);
+
+  useEffect(() => {
+    setSelectedLegend("all");
+  }, [breakdown]);
 
   useEffect(() => {
     if (chartRef.current && Object.keys(monthlyEmissions).length > 0) {
       // Get sorted months
-      const months = Object.keys(monthlyEmissions).sort((a, b) => monthOrder[a] - monthOrder[b]);
+      const months = Object.keys(monthlyEmissions).sort((a, b) => fiscalMonthOrder[a] - fiscalMonthOrder[b]);
       
       // Get all activities
       const activities = Array.from(new Set(
@@ -245,23 +279,37 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
         ? activities
         : activities.filter((a) => a === selectedLegend);
 
+      // One series per entity, site or building, stacked together, when broken down by site
+      const groupSeries: Highcharts.SeriesColumnOptions[] = groupedEmissions.groups
+        .map((group, index) => ({
+          name: group,
+          data: months.map(month => groupedEmissions.months[month]?.[group] || 0),
+          type: 'column' as const,
+          stack: 'All scopes',
+          color: getGroupColor(group, index),
+          borderWidth: 0,
+          borderRadius: 2
+        }))
+        .filter(item => selectedLegend === "all" || item.name === selectedLegend);
+
       // Create series for each filtered activity
-      const series: Highcharts.SeriesColumnOptions[] = filteredActivities.map((activity, index) => {
-        const isScope1 = activity.includes("Generator") || activity.includes("Refrigerant");
+      const activitySeries: Highcharts.SeriesColumnOptions[] = filteredActivities.map((activity, index) => {
+        const scope = classifyActivity(activityCatalogue, activity);
         const data = months.map(month => monthlyEmissions[month]?.[activity] || 0);
         
         return {
           name: activity,
           data: data,
           type: 'column',
-          stack: isScope1 ? 'Scope 1' : 'Scope 2',
-          color: isScope1 
+          stack: getScopeLabel(scope),
+          color: scope === 1 
             ? (index === 0 ? '#FF6B6B' : '#E74C3C') 
-            : '#4ECDC4',
+            : scope === 2 ? '#4ECDC4' : scope === 3 ? scopeColors[3] : scopeColors.unclassified,
           borderWidth: 0,
           borderRadius: 2
         };
       });
+      const series = breakdown === "activity" ? activitySeries : groupSeries;
 
       // Highcharts configuration for stacked bar chart
       const chartConfig: Highcharts.Options = {
@@ -279,6 +327,9 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
             color: '#2c3e50'
           }
         },
+        subtitle: {
+          text: scope2Method === "market" ? 'Scope 2 market-based' : 'Scope 2 location-based'
+        },
 
         xAxis: {
           categories: months,
@@ -375,7 +426,7 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
 
       chartInstance.current = Highcharts.chart(chartRef.current, chartConfig);
     }
-  }, [activityData, monthlyEmissions, totalEmissions, selectedLegend]);
+  }, [activityData, monthlyEmissions, totalEmissions, selectedLegend, activityCatalogue, scope2Method, breakdown, sites, fiscalYearStart]);
   // 🆕 Convert activities array to Select options with "All" as default
   const activityOptions = [
     { label: "All Activities", value: "" },
@@ -391,8 +442,9 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
         <FilterPanel
           onClear={() => {
             setMonthFilter(null);
-            setYearFilter(new Date().getFullYear());
+            setYearFilter(getCurrentFiscalYear(fiscalYearStart));
             setActivityName("");
+            setSiteFilter("");
           }}
         >
           <FormField>
@@ -405,12 +457,17 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
           </FormField>
 
           <FormField>
-            <Label>Filter by Year</Label>
+            <Label>{isCalendarYear(fiscalYearStart) ? "Filter by Year" : "Filter by Fiscal Year"}</Label>
             <Input
               type="number"
               value={yearFilter}
               onChange={(val) => setYearFilter(parseInt(val) || null)}
             />
+            {yearFilter && !isCalendarYear(fiscalYearStart) && (
+              <div style={{ fontSize: "11px", color: "#666", marginTop: "4px" }}>
+                {describeFiscalYear(yearFilter, fiscalYearStart)}
+              </div>
+            )}
           </FormField>
 
                       <FormField>
@@ -422,8 +479,30 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
                           placeholder="Select activity"
                         />
                       </FormField>
+
+          <FormField>
+            <Label>Filter by Site</Label>
+            <Select
+              options={getSiteOptions(sites)}
+              selected={siteFilter}
+              onChange={(val) => setSiteFilter(val)}
+              placeholder="All Sites"
+            />
+          </FormField>
         </FilterPanel>
 
+        <ToggleFilter
+          options={scope2MethodOptions}
+          value={scope2Method}
+          onChange={(val) => setScope2Method(val as Scope2Method)}
+        />
+
+        <ToggleFilter
+          options={breakdownOptions}
+          value={breakdown}
+          onChange={(val) => setBreakdown(val as Breakdown)}
+        />
+
         <Button
                         icon='fas cloud-download-alt'
                         title='Export'
@@ -432,6 +511,12 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
       </div>
     </TitleBar>
 
+      {missingGas > 0 && (
+        <div style={{ padding: '10px', margin: '0 0 16px 0', background: '#fff3cd', border: '1px solid #ffc107', borderRadius: '4px', fontSize: '13px' }}>
+          ⚠️ {describeMissingGas(missingGas)}
+        </div>
+      )}
+
 
       {/* Custom Interactive Legend */}
       {activityData.length > 0 && (
@@ -447,7 +532,7 @@ const ESGStackedBarChart: React.FunctionComponent<IWidgetProps> = (props) => {
             All
           </div>
 
-          {activityNames.map(name => {
+          {legendNames.map(name => {
             const rawColor = chartInstance.current?.series.find(s => s.name === name)?.color;
             const color = typeof rawColor === 'string' ? rawColor : "#ccc";
 
@@ -0,0 +1,367 @@
+import React, { useEffect, useState } from "react";
+import {
+  WidgetWrapper,
+  TitleBar,
+  FormField,
+  Input,
+  Label,
+  Select,
+  Checkbox,
+  Button,
+  useToast,
+} from "uxp/components";
+import { IContextProvider } from "./uxp";
+import { Site, SiteLevel, fetchSites, getSiteOptions, parentLevels, siteLevelOptions } from "./sites";
+import {
+  ConsolidationApproach,
+  consolidationLabels,
+  consolidationOptions,
+  defaultConsolidationApproach,
+  getEntityShare,
+  parseConsolidationApproach,
+} from "./consolidation";
+import { fetchCarbonSettings, saveCarbonSetting } from "./settings";
+import "./ActivityCatalogueManagement.scss";
+
+export interface IWidgetProps {
+  uxpContext?: IContextProvider;
+  instanceId?: string;
+  uiProps?: any;
+}
+
+interface SiteForm {
+  id: string;
+  name: string;
+  level: SiteLevel;
+  parent: string;
+  ownership: string;
+  operationalControl: boolean;
+  financialControl: boolean;
+}
+
+const emptyForm: SiteForm = {
+  id: "",
+  name: "",
+  level: "entity",
+  parent: "",
+  ownership: "100",
+  operationalControl: true,
+  financialControl: true,
+};
+
+const levelLabels: { [level: string]: string } = { entity: "Entity", site: "Site", building: "Building" };
+
+const SiteManagement: React.FunctionComponent<IWidgetProps> = (props) => {
+  const toast = useToast();
+
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [sites, setSites] = useState<Site[]>([]);
+  const [form, setForm] = useState<SiteForm>(emptyForm);
+  const [consolidation, setConsolidation] = useState<ConsolidationApproach>(defaultConsolidationApproach);
+
+  // 🔹 Fetch the hierarchy
+  const loadSites = async () => {
+    setLoading(true);
+    try {
+      setSites(await fetchSites(props.uxpContext));
+    } catch (error) {
+      console.error("Error loading sites:", error);
+      toast.error("Failed to load sites.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSites();
+    fetchCarbonSettings(props.uxpContext).then(settings => {
+      setConsolidation(parseConsolidationApproach(settings.consolidationApproach));
+    });
+  }, []);
+
+  // 🔹 The consolidation approach applies to every report, so it is stored as a tenant setting
+  const changeConsolidation = async (value: string) => {
+    const previous = consolidation;
+    setConsolidation(parseConsolidationApproach(value));
+    try {
+      await saveCarbonSetting(props.uxpContext, "consolidationApproach", value);
+      toast.success(`Reports now consolidate entities by ${consolidationLabels[value].toLowerCase()}.`);
+    } catch (error) {
+      console.error("Error saving consolidation approach:", error);
+      toast.error("Failed to save consolidation approach.");
+      setConsolidation(previous);
+    }
+  };
+
+  const parentLevel = parentLevels[form.level];
+
+  const parentOptions = sites
+    .filter((site) => site.level === parentLevel)
+    .map((site) => ({ label: site.name, value: site.name }));
+
+  // Sites in tree order, as in the site filters of the dashboards
+  const sortedSites = getSiteOptions(sites)
+    .filter((option) => option.value)
+    .map((option) => ({ site: sites.find((site) => site.name === option.value) as Site, label: option.label }));
+
+  const updateForm = (field: keyof SiteForm, val: string | boolean) => {
+    setForm((prev) => ({
+      ...prev,
+      [field]: val,
+      // the parent of another level does not fit the new level
+      ...(field === "level" ? { parent: "" } : {}),
+    }));
+  };
+
+  const editSite = (site: Site) => {
+    setForm({
+      id: site._id || "",
+      name: site.name,
+      level: site.level,
+      parent: site.parent,
+      ownership: site.ownership.toString(),
+      operationalControl: site.operationalControl,
+      financialControl: site.financialControl,
+    });
+  };
+
+  // 🔹 Validate form
+  const validateForm = (): string | null => {
+    if (!form.name.trim()) {
+      return "Please enter a name.";
+    }
+    if (sites.some((site) => site.name === form.name.trim() && site._id !== form.id)) {
+      return `"${form.name.trim()}" already exists.`;
+    }
+    if (parentLevel && !form.parent) {
+      return `Please select the ${parentLevel} this ${form.level} belongs to.`;
+    }
+    // Sites below it only fit its current level
+    const existing = sites.find((site) => site._id && site._id === form.id);
+    if (existing && existing.level !== form.level && sites.some((site) => site.parent === existing.name)) {
+      return `"${existing.name}" has sites below it, so it must stay a ${existing.level}.`;
+    }
+    const ownership = Number(form.ownership);
+    if (form.level === "entity" && (form.ownership.trim() === "" || isNaN(ownership) || ownership < 0 || ownership > 100)) {
+      return "Ownership must be a percentage between 0 and 100.";
+    }
+    return null;
+  };
+
+  // 🔹 Save site
+  const saveSite = async () => {
+    const validationError = validateForm();
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "SaveSite",
+        {
+          id: form.id,
+          name: form.name.trim(),
+          level: form.level,
+          parent: parentLevel ? form.parent : "",
+          // ownership and control only apply to entities
+          ownership: form.level === "entity" ? form.ownership.trim() : "",
+          operationalControl: form.level === "entity" ? String(form.operationalControl) : "",
+          financialControl: form.level === "entity" ? String(form.financialControl) : "",
+        },
+        { json: true }
+      );
+
+      toast.success(`${levelLabels[form.level]} "${form.name.trim()}" saved`);
+      setForm(emptyForm);
+      await loadSites();
+    } catch (error: any) {
+      console.error("Error saving site:", error);
+      toast.error(`Failed to save: ${error?.message || error || "Unknown error"}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // 🔹 Delete site
+  const deleteSite = async (site: Site) => {
+    if (!window.confirm(`Delete ${site.level} "${site.name}"?`)) {
+      return;
+    }
+
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "DeleteSite",
+        { id: site._id },
+        { json: true }
+      );
+      toast.success(`"${site.name}" deleted`);
+      await loadSites();
+    } catch (error: any) {
+      console.error("Error deleting site:", error);
+      toast.error(`Failed to delete: ${error?.message || error || "Unknown error"}`);
+    }
+  };
+
+  return (
+    <WidgetWrapper>
+      <TitleBar title="Sites & Facilities" />
+
+      <div className="activity-catalogue">
+        {loading && <div className="loading">📊 Loading sites...</div>}
+
+        {!loading && (
+          <>
+            <div className="form-section">
+              <h3>Organisational Boundary</h3>
+              <p style={{ margin: "0 0 10px 0", fontSize: "13px", color: "#666" }}>
+                Under a control approach the group reports all emissions of the entities it controls and none of
+                the others. Under equity share each entity's emissions are weighted by the group's ownership.
+                Records without an entity always count in full.
+              </p>
+              <FormField>
+                <Label>Consolidation Approach</Label>
+                <Select
+                  options={consolidationOptions}
+                  selected={consolidation}
+                  onChange={changeConsolidation}
+                />
+              </FormField>
+            </div>
+
+            <div className="form-section">
+              <h3>{form.id ? "Update Site" : "Add Site"}</h3>
+              <p style={{ margin: "0 0 10px 0", fontSize: "13px", color: "#666" }}>
+                Entities contain sites and sites contain buildings. Activity data can be recorded at any level
+                and the dashboards roll it up the hierarchy.
+              </p>
+
+              <FormField>
+                <Label>Level *</Label>
+                <Select
+                  options={siteLevelOptions}
+                  selected={form.level}
+                  onChange={(val) => updateForm("level", val)}
+                  placeholder="Select level"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>Name *</Label>
+                <Input
+                  type="text"
+                  value={form.name}
+                  onChange={(val) => updateForm("name", val)}
+                  placeholder={form.level === "entity" ? "e.g. Acme Manufacturing Pte Ltd" : "e.g. Jurong Plant"}
+                />
+              </FormField>
+
+              {parentLevel && (
+                <FormField>
+                  <Label>{levelLabels[parentLevel]} *</Label>
+                  <Select
+                    options={parentOptions}
+                    selected={form.parent}
+                    onChange={(val) => updateForm("parent", val)}
+                    placeholder={`Select ${parentLevel}`}
+                  />
+                </FormField>
+              )}
+
+              {form.level === "entity" && (
+                <>
+                  <FormField>
+                    <Label>Ownership (%) *</Label>
+                    <Input
+                      type="number"
+                      value={form.ownership}
+                      onChange={(val) => updateForm("ownership", val)}
+                      placeholder="e.g. 60"
+                    />
+                  </FormField>
+
+                  <FormField>
+                    <Checkbox
+                      checked={form.operationalControl}
+                      onChange={(checked) => updateForm("operationalControl", checked)}
+                      label="The group has operational control of this entity"
+                    />
+                  </FormField>
+
+                  <FormField>
+                    <Checkbox
+                      checked={form.financialControl}
+                      onChange={(checked) => updateForm("financialControl", checked)}
+                      label="The group has financial control of this entity"
+                    />
+                  </FormField>
+                </>
+              )}
+
+              <div className="form-actions">
+                <Button
+                  title={saving ? "Saving..." : "Save Site"}
+                  onClick={saveSite}
+                  loading={saving}
+                  disabled={saving}
+                />
+                <Button title="Clear" onClick={() => setForm(emptyForm)} />
+              </div>
+            </div>
+
+            <div className="activity-catalogue__table">
+              <h3>Hierarchy</h3>
+              {sortedSites.length === 0 ? (
+                <p>No sites configured. Activity data is reported for the organisation as a whole.</p>
+              ) : (
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Level</th>
+                      <th>Part Of</th>
+                      <th>Ownership</th>
+                      <th>Control</th>
+                      <th>Reported Share</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sortedSites.map(({ site, label }) => (
+                      <tr key={site._id || site.name}>
+                        <td>{label}</td>
+                        <td>{levelLabels[site.level]}</td>
+                        <td>{site.parent}</td>
+                        <td>{site.level === "entity" ? `${site.ownership}%` : ""}</td>
+                        <td>
+                          {site.level === "entity"
+                            ? [site.operationalControl && "Operational", site.financialControl && "Financial"]
+                                .filter(Boolean)
+                                .join(", ") || "None"
+                            : ""}
+                        </td>
+                        <td>{site.level === "entity" ? `${(getEntityShare(site, consolidation) * 100).toFixed(1)}%` : ""}</td>
+                        <td>
+                          <div className="form-actions" style={{ marginTop: 0 }}>
+                            <Button title="Edit" onClick={() => editSite(site)} />
+                            <Button title="Delete" onClick={() => deleteSite(site)} />
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </WidgetWrapper>
+  );
+};
+
+export default SiteManagement;
@@ -0,0 +1,131 @@
+import * as React from "react";
+import { Button, Modal, useToast } from "uxp/components";
+import { IContextProvider } from "./uxp";
+import { UploadBatch, fetchUploadBatches } from "./uploadBatches";
+
+interface IUploadHistoryProps {
+  uxpContext?: IContextProvider;
+  show: boolean;
+  onClose: () => void;
+}
+
+const cellStyle: React.CSSProperties = {
+  padding: '12px',
+  textAlign: 'left',
+  borderBottom: '1px solid #eee'
+};
+
+const headerStyle: React.CSSProperties = {
+  ...cellStyle,
+  background: '#f8f9fa',
+  fontWeight: 'bold'
+};
+
+const formatTimestamp = (timestamp: string): string =>
+  timestamp ? new Date(timestamp).toLocaleString() : "";
+
+// Upload batches with what each contributed, and a rollback for batches that are still active
+const UploadHistory: React.FunctionComponent<IUploadHistoryProps> = (props) => {
+  const [batches, setBatches] = React.useState<UploadBatch[]>([]);
+  const [loading, setLoading] = React.useState(false);
+  const [rollingBack, setRollingBack] = React.useState<string | null>(null);
+
+  const toast = useToast();
+
+  const loadBatches = async () => {
+    setLoading(true);
+    setBatches(await fetchUploadBatches(props.uxpContext));
+    setLoading(false);
+  };
+
+  React.useEffect(() => {
+    if (props.show) loadBatches();
+  }, [props.show]);
+
+  const rollbackBatch = async (batch: UploadBatch) => {
+    const confirmed = window.confirm(
+      `Roll back "${batch.fileName}"? ${batch.inserted} record(s) it added will be deleted and ` +
+      `${batch.updated} record(s) it changed will get their previous values back.`
+    );
+    if (!confirmed) return;
+
+    setRollingBack(batch.batchId);
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "RollbackUploadBatch",
+        { batchId: batch.batchId, rolledBackBy: props.uxpContext?.userKey || "" },
+        { json: true }
+      );
+      toast.success(`Upload "${batch.fileName}" rolled back`);
+      await loadBatches();
+    } catch (error: any) {
+      console.error("Error rolling back upload batch:", error);
+      toast.error(`Rollback failed: ${error?.message || error || "Unknown error"}`);
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <Modal show={props.show} onClose={props.onClose} title="Upload History">
+      <div className="modal-body">
+        <div style={{ padding: '16px' }}>
+          {loading ? (
+            <div className="loading">📊 Loading upload history...</div>
+          ) : batches.length === 0 ? (
+            <p>No uploads yet.</p>
+          ) : (
+            <div style={{ overflowX: 'auto', border: '1px solid #ddd', borderRadius: '8px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={headerStyle}>Uploaded</th>
+                    <th style={headerStyle}>File</th>
+                    <th style={headerStyle}>Uploaded By</th>
+                    <th style={headerStyle}>Rows</th>
+                    <th style={headerStyle}>Status</th>
+                    <th style={headerStyle}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {batches.map((batch) => (
+                    <tr key={batch.batchId} style={{ color: batch.status === "rolledBack" ? '#868e96' : undefined }}>
+                      <td style={cellStyle}>{formatTimestamp(batch.uploadedAt)}</td>
+                      <td style={cellStyle}>{batch.fileName}</td>
+                      <td style={cellStyle}>{batch.uploadedBy}</td>
+                      <td style={cellStyle}>
+                        {batch.rowCount} ({batch.inserted} added, {batch.updated} changed, {batch.skipped} skipped
+                        {batch.failed > 0 ? `, ${batch.failed} failed` : ""})
+                      </td>
+                      <td style={cellStyle}>
+                        {batch.status === "rolledBack"
+                          ? `Rolled back ${formatTimestamp(batch.rolledBackAt)}${batch.rolledBackBy ? ` by ${batch.rolledBackBy}` : ""}`
+                          : "Active"}
+                      </td>
+                      <td style={cellStyle}>
+                        {batch.status === "active" && (
+                          <Button
+                            title="Roll Back"
+                            onClick={() => rollbackBatch(batch)}
+                            loading={rollingBack === batch.batchId}
+                            disabled={!!rollingBack}
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+        <div className="modal-actions">
+          <Button title="Close" onClick={props.onClose} />
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default UploadHistory;
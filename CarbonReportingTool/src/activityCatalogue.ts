@@ -0,0 +1,114 @@
+import { IContextProvider } from "./uxp";
+
+export type Scope = 1 | 2 | 3;
+export type ScopeClassification = Scope | "unclassified";
+
+// A single entry in the activity catalogue (carbon_activities collection)
+export interface CatalogueActivity {
+  activity: string;
+  scope: Scope;
+  category: string; // GHG Protocol category
+  unit: string;
+  description?: string;
+  refrigerant?: boolean; // reported per refrigerant gas type, as kg released
+  density?: number; // kg per litre, lets fuels reported by mass convert to volume and back
+}
+
+export const scopeColors: { [scope: string]: string } = {
+  1: "#FF6B6B",
+  2: "#4ECDC4",
+  3: "#9B59B6",
+  unclassified: "#ADB5BD"
+};
+
+// The 15 Scope 3 categories of the GHG Protocol Corporate Value Chain (Scope 3) Standard
+export const scope3Categories: string[] = [
+  "1. Purchased Goods and Services",
+  "2. Capital Goods",
+  "3. Fuel- and Energy-Related Activities",
+  "4. Upstream Transportation and Distribution",
+  "5. Waste Generated in Operations",
+  "6. Business Travel",
+  "7. Employee Commuting",
+  "8. Upstream Leased Assets",
+  "9. Downstream Transportation and Distribution",
+  "10. Processing of Sold Products",
+  "11. Use of Sold Products",
+  "12. End-of-Life Treatment of Sold Products",
+  "13. Downstream Leased Assets",
+  "14. Franchises",
+  "15. Investments"
+];
+
+export const scopeDescriptions: { [scope: string]: string } = {
+  1: "Direct emissions from owned or controlled sources",
+  2: "Indirect emissions from purchased energy",
+  3: "Other indirect emissions across the value chain",
+  unclassified: "Activities not yet mapped to a scope in the activity catalogue"
+};
+
+/**
+ * Load the activity catalogue from the model.
+ * The GetActivityCatalogue action seeds the catalogue with the built-in
+ * activities the first time it is called on a tenant.
+ */
+export const fetchActivityCatalogue = async (uxpContext?: IContextProvider): Promise<CatalogueActivity[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetActivityCatalogue",
+      {},
+      { json: true }
+    );
+
+    return (result || [])
+      .map((row: any) => ({
+        activity: row.activity,
+        scope: parseInt(row.scope) as Scope,
+        category: row.category || "",
+        unit: row.unit || "",
+        description: row.description || "",
+        refrigerant: row.refrigerant === "true",
+        density: parseFloat(row.density) || undefined
+      }))
+      .filter((row: CatalogueActivity) => [1, 2, 3].includes(row.scope));
+  } catch (error) {
+    console.error("Error fetching activity catalogue:", error);
+    return [];
+  }
+};
+
+export const findCatalogueActivity = (catalogue: CatalogueActivity[], activity: string): CatalogueActivity | null => {
+  const name = (activity || "").trim().toLowerCase();
+  return catalogue.find(entry => entry.activity.trim().toLowerCase() === name) || null;
+};
+
+/**
+ * Refrigerant records are converted per gas type. Records stored before gases were recorded have none, so
+ * they fall back to the activity's registry factor if one is in effect and count as 0 kgCO₂e otherwise.
+ */
+export const needsGasType = (catalogue: CatalogueActivity[], record: { activity: string; gas?: string }): boolean =>
+  !record.gas && !!findCatalogueActivity(catalogue, record.activity)?.refrigerant;
+
+// Warning shown with totals that include refrigerant records without a gas type
+export const describeMissingGas = (count: number): string =>
+  `${count} refrigerant record${count === 1 ? " has" : "s have"} no gas type and ${count === 1 ? "is" : "are"} not converted with a GWP. ` +
+  "Assign a gas to them in the Activity Catalogue.";
+
+// Scope of an activity; activities missing from the catalogue are "unclassified"
+export const classifyActivity = (catalogue: CatalogueActivity[], activity: string): ScopeClassification => {
+  const entry = findCatalogueActivity(catalogue, activity);
+  return entry ? entry.scope : "unclassified";
+};
+
+// GHG Protocol category of an activity, e.g. "6. Business Travel" for a Scope 3 activity
+export const getActivityCategory = (catalogue: CatalogueActivity[], activity: string): string => {
+  const entry = findCatalogueActivity(catalogue, activity);
+  return entry ? entry.category : "";
+};
+
+export const getScopeLabel = (scope: ScopeClassification): string => {
+  return scope === "unclassified" ? "Unclassified" : `Scope ${scope}`;
+};
@@ -13,6 +13,9 @@ import {
   useToast
 } from "uxp/components";
 import { IContextProvider } from "./uxp";
+import { Site, fetchSites, getSiteOptions } from "./sites";
+import { fetchCarbonSettings } from "./settings";
+import { defaultFiscalYearStart, describeFiscalYear, getCurrentFiscalYear, getFiscalMonthOrder, getFiscalMonths, getFiscalYear, getFiscalYearFilter, getFiscalYearLabel, isCalendarYear, parseFiscalYearStart } from "./fiscalYear";
 
 export interface IWidgetProps {
   uxpContext?: IContextProvider;
@@ -20,12 +23,6 @@ export interface IWidgetProps {
   uiProps?: any;
 }
 
-// Month sort helper
-const monthOrder: { [key: string]: number } = {
-  Jan: 1, Feb: 2, Mar: 3, Apr: 4, May: 5, Jun: 6,
-  Jul: 7, Aug: 8, Sep: 9, Oct: 10, Nov: 11, Dec: 12
-};
-
 // 🔧 Style helpers for legend
 const legendItemStyle = (active: boolean, color: string): React.CSSProperties => ({
   display: 'flex',
@@ -62,16 +59,14 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
   const [monthFilter, setMonthFilter] = useState<any>(null);
   const [yearFilter, setYearFilter] = useState<any>(new Date().getFullYear());
   const [activityName, setActivityName] = useState<string>("");
+  const [sites, setSites] = useState<Site[]>([]);
+  const [siteFilter, setSiteFilter] = useState<string>("");
     const [availableActivities, setAvailableActivities] = useState<string[]>([]); // 🆕 for dropdown options
+  const [fiscalYearStart, setFiscalYearStart] = useState<string>(defaultFiscalYearStart);
 
-  const monthOptions = [
-    { label: "Jan", value: "Jan" }, { label: "Feb", value: "Feb" },
-    { label: "Mar", value: "Mar" }, { label: "Apr", value: "Apr" },
-    { label: "May", value: "May" }, { label: "Jun", value: "Jun" },
-    { label: "Jul", value: "Jul" }, { label: "Aug", value: "Aug" },
-    { label: "Sep", value: "Sep" }, { label: "Oct", value: "Oct" },
-    { label: "Nov", value: "Nov" }, { label: "Dec", value: "Dec" },
-  ];
+  // Month sort helper: the year filter is a fiscal year, so months run from its start month on
+  const monthOrder = getFiscalMonthOrder(fiscalYearStart);
+  const monthOptions = getFiscalMonths(fiscalYearStart).map(month => ({ label: month, value: month }));
   // 🆕 Fetch available activities for dropdown
   const fetchAvailableActivities = async () => {
     try {
@@ -95,7 +90,7 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
       const result = await props.uxpContext.executeAction(
         "carbon_reporting_80rr",
         "GetAllData",
-        { year: yearFilter, month: monthFilter, activityName: activityName },
+        { ...getFiscalYearFilter(yearFilter, monthFilter, fiscalYearStart), activityName: activityName, site: siteFilter },
         { json: true }
       );
 
@@ -103,7 +98,12 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
         activity: row.activity,
         year: row.year,
         month: row.month,
-        value: parseFloat(row.value)
+        value: parseFloat(row.value),
+        unit: row.unit || "",
+        reportedValue: row.reportedValue || "",
+        reportedUnit: row.reportedUnit || "",
+        gas: row.gas || "",
+        site: row.site || ""
       })) || [];
 
       setActivityData(cleanedData);
@@ -127,12 +127,20 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
       return;
     }
 
-    const headers = ["Activity", "Year", "Month", "Value"];
+    // A fiscal year column only when fiscal years differ from calendar years
+    const fiscal = !isCalendarYear(fiscalYearStart);
+    const headers = ["Activity", "Year", "Month", ...(fiscal ? ["Fiscal Year"] : []), "Value", "Unit", "Reported Value", "Reported Unit", "Gas", "Site"];
     const rows = activityData.map(row => [
       row.activity,
       row.year,
       row.month,
-      row.value
+      ...(fiscal ? [getFiscalYearLabel(getFiscalYear(row.year, row.month, fiscalYearStart), fiscalYearStart)] : []),
+      row.value,
+      `"${row.unit}"`,
+      row.reportedValue,
+      `"${row.reportedUnit}"`,
+      row.gas,
+      `"${row.site}"`
     ]);
 
     const csvContent =
@@ -149,17 +157,22 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
   };
   useEffect(() => {
     fetchActivityData();
-  }, [monthFilter, yearFilter,activityName]);
+  }, [monthFilter, yearFilter,activityName, siteFilter, fiscalYearStart]);
   useEffect(() => {
   fetchAvailableActivities();
+  fetchSites(props.uxpContext).then(setSites);
+  fetchCarbonSettings(props.uxpContext).then(settings => {
+    const start = parseFiscalYearStart(settings.fiscalYearStart);
+    setFiscalYearStart(start);
+    setYearFilter(getCurrentFiscalYear(start));
+  });
 }, []);
 
   useEffect(() => {
     if (!chartRef.current) return;
 
     const processedData: { [key: string]: number[] } = {};
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-      'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const months = getFiscalMonths(fiscalYearStart);
 
     activityData.forEach(item => {
       if (!processedData[item.activity]) {
@@ -253,7 +266,7 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
     };
 
     chartInstance.current = Highcharts.chart(chartRef.current, chartConfig);
-  }, [activityData]);
+  }, [activityData, fiscalYearStart]);
   // 🆕 Convert activities array to Select options with "All" as default
   const activityOptions = [
     { label: "All Activities", value: "" },
@@ -269,8 +282,9 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
         <FilterPanel
           onClear={() => {
             setMonthFilter(null);
-            setYearFilter(new Date().getFullYear());
+            setYearFilter(getCurrentFiscalYear(fiscalYearStart));
             setActivityName("");
+            setSiteFilter("");
           }}
         >
           <FormField>
@@ -279,12 +293,17 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
           </FormField>
 
           <FormField>
-            <Label>Filter by Year</Label>
+            <Label>{isCalendarYear(fiscalYearStart) ? "Filter by Year" : "Filter by Fiscal Year"}</Label>
             <Input
               type="number"
               value={yearFilter}
               onChange={(val) => setYearFilter(parseInt(val) || null)}
             />
+            {yearFilter && !isCalendarYear(fiscalYearStart) && (
+              <div style={{ fontSize: "11px", color: "#666", marginTop: "4px" }}>
+                {describeFiscalYear(yearFilter, fiscalYearStart)}
+              </div>
+            )}
           </FormField>
                       <FormField>
                         <Label>Filter by Activity</Label>
@@ -295,6 +314,16 @@ const AllData: React.FunctionComponent<IWidgetProps> = (props) => {
                           placeholder="Select activity"
                         />
                       </FormField>
+
+          <FormField>
+            <Label>Filter by Site</Label>
+            <Select
+              options={getSiteOptions(sites)}
+              selected={siteFilter}
+              onChange={(val) => setSiteFilter(val)}
+              placeholder="All Sites"
+            />
+          </FormField>
         </FilterPanel>
                     <Button
                         icon='fas cloud-download-alt'
@@ -5,6 +5,9 @@ import {
   FilterPanel, FormField, Input, Label, Select, TitleBar, WidgetWrapper, useToast
 } from "uxp/components";
 import { IContextProvider } from "./uxp";
+import { Site, fetchSites, getSiteOptions } from "./sites";
+import { fetchCarbonSettings } from "./settings";
+import { defaultFiscalYearStart, getCurrentFiscalYear, getFiscalYearMonths, getPeriodRange, getPeriodStart, parseFiscalYearStart } from "./fiscalYear";
 import { setYear } from "date-fns";
 
 export interface IWidgetProps {
@@ -18,10 +21,6 @@ interface ActivityRow {
   month: string;
   value: number;
 }
-const monthOrder: { [key: string]: number } = {
-  Jan: 1, Feb: 2, Mar: 3, Apr: 4, May: 5, Jun: 6,
-  Jul: 7, Aug: 8, Sep: 9, Oct: 10, Nov: 11, Dec: 12
-};
 
 const BarChartComponent: React.FunctionComponent<IWidgetProps> = (props) => {
   const chartRef = useRef(null);
@@ -30,14 +29,15 @@ const BarChartComponent: React.FunctionComponent<IWidgetProps> = (props) => {
 
   const [activityData, setActivityData] = useState([]);
   
-  // Updated filter states to match carbon emissions component with current year defaults
+  // Updated filter states to match carbon emissions component with current (fiscal) year defaults
+  const [fiscalYearStart, setFiscalYearStart] = useState<string>(defaultFiscalYearStart);
   const [fromMonth, setFromMonth] = useState<any>("Jan");
   const [toMonth, setToMonth] = useState<any>("Dec");
   const [fromYear, setFromYear] = useState<any>(new Date().getFullYear());
   const [toYear, setToYear] = useState<any>(new Date().getFullYear());
   const [activityName, setActivityName] = useState<string>("");
-  const [monthFilter, setMonthFilter] = useState<any>(null); 
-  const [yearFilter, setYearFilter] = useState<any>(new Date().getFullYear());
+  const [sites, setSites] = useState<Site[]>([]);
+  const [siteFilter, setSiteFilter] = useState<string>("");
   const [activityNames, setActivityNames] = useState<string[]>([]); // 🔧 for custom legend
   const [availableActivities, setAvailableActivities] = useState<string[]>([]); // 🆕 for dropdown options
 
@@ -68,20 +68,27 @@ const BarChartComponent: React.FunctionComponent<IWidgetProps> = (props) => {
     }
   };
 
+  // Resets the range to the current fiscal year
+  const resetPeriod = (start: string) => {
+    const period = getFiscalYearMonths(getCurrentFiscalYear(start), start);
+    setFromMonth(period.fromMonth);
+    setToMonth(period.toMonth);
+    setFromYear(period.fromYear);
+    setToYear(period.toYear);
+  };
+
   const fetchActivityData = async () => {
     try {
       const params: any = {
-        fromYear: fromYear,
-        toYear: toYear,
-        fromMonth: fromMonth,
-        toMonth: toMonth,
-        activityName: activityName
+        ...getPeriodRange(fromYear, fromMonth, toYear, toMonth),
+        activityName: activityName,
+        site: siteFilter
       };
 
       const result = await props.uxpContext?.executeAction(
         "carbon_reporting_80rr",
         "GetAllData",
-       { year: yearFilter, month: monthFilter, activityName: activityName },
+        params,
         { json: true }
       );
       // 👀 Debug log raw backend response
@@ -91,7 +98,8 @@ const BarChartComponent: React.FunctionComponent<IWidgetProps> = (props) => {
         activity: row.activity,
         year: row.year,
         month: row.month,
-        value: parseFloat(row.value)
+        value: parseFloat(row.value),
+        site: row.site || ""
       })) || [];
 
       setActivityData(cleanedData);
@@ -161,34 +169,42 @@ const BarChartComponent: React.FunctionComponent<IWidgetProps> = (props) => {
   // 🆕 Load activities on component mount
   useEffect(() => {
     fetchAvailableActivities();
+    fetchSites(props.uxpContext).then(setSites);
+    fetchCarbonSettings(props.uxpContext).then(settings => {
+      const start = parseFiscalYearStart(settings.fiscalYearStart);
+      setFiscalYearStart(start);
+      resetPeriod(start);
+    });
   }, []);
 
   // Updated useEffect to use new filter states
   useEffect(() => {
     fetchActivityData();
-  }, [monthFilter,yearFilter, activityName]);
+  }, [fromMonth, toMonth, fromYear, toYear, activityName, siteFilter]);
 
   useEffect(() => {
     if (!chartRef.current) return;
 
     const processedData: { [key: string]: number[] } = {};
 
+    // One bar per period in date order; a range spanning years labels each month with its year
+    const periods: string[] = Array.from(new Set<string>(activityData.map(item => getPeriodStart(item.year, item.month)))).sort();
+    const spansYears = new Set(activityData.map(item => String(item.year))).size > 1;
+    const periodLabels: { [period: string]: string } = {};
     activityData.forEach(item => {
-      if (!processedData[item.activity]) {
-        processedData[item.activity] = [];
-      }
+      periodLabels[getPeriodStart(item.year, item.month)] = spansYears ? `${item.month} ${item.year}` : item.month;
     });
 
-    Object.keys(processedData).forEach(activity => {
-      const activityItems = activityData
-        .filter(item => item.activity === activity)
-        .sort((a, b) => monthOrder[a.month] - monthOrder[b.month]);
-
-      processedData[activity] = activityItems.map(item => item.value);
+    activityData.forEach(item => {
+      if (!processedData[item.activity]) {
+        processedData[item.activity] = periods.map(() => 0);
+      }
+      // records of several sites in the same period add up
+      processedData[item.activity][periods.indexOf(getPeriodStart(item.year, item.month))] += item.value;
     });
 
     const categories = activityData.length > 0
-      ? Array.from(new Set(activityData.map(d => d.month))).sort((a, b) => monthOrder[a] - monthOrder[b])
+      ? periods.map(period => periodLabels[period])
       : ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
     const series: SeriesColumnOptions[] =
@@ -317,23 +333,54 @@ const BarChartComponent: React.FunctionComponent<IWidgetProps> = (props) => {
       <TitleBar title="">
         <div style={{ display: "flex", justifyContent: "space-between", width: "100%", alignItems: "flex-start" }}>
           <FilterPanel onClear={() => {
-            // setFromMonth("Jan");
-            // setToMonth("Dec");
-            // setFromYear(new Date().getFullYear());
-            // setToYear(new Date().getFullYear());
-            setMonthFilter(null)
-            setYearFilter(new Date().getFullYear())
+            resetPeriod(fiscalYearStart);
             setActivityName("");
+            setSiteFilter("");
           }}>
             {/* Date Range Filters - Same as carbon emissions component */}
-            <FormField> 
-              <Label>Filter by Month</Label> 
-              <Select options={monthOptions} selected={monthFilter} onChange={(newMonth) => setMonthFilter(newMonth)} /> 
-            </FormField> 
-            <FormField> 
-              <Label>Filter by Year</Label> 
-              <Input type="number" value={yearFilter} onChange={(val) => setYearFilter(parseInt(val) || null)} /> 
-            </FormField>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px", marginBottom: "15px" }}>
+              <FormField>
+                <Label>From Month</Label>
+                <Select
+                  options={monthOptions}
+                  selected={fromMonth}
+                  onChange={(newMonth) => setFromMonth(newMonth)}
+                  placeholder="Select start month"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>To Month</Label>
+                <Select
+                  options={monthOptions}
+                  selected={toMonth}
+                  onChange={(newMonth) => setToMonth(newMonth)}
+                  placeholder="Select end month"
+                />
+              </FormField>
+            </div>
+
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px", marginBottom: "15px" }}>
+              <FormField>
+                <Label>From Year</Label>
+                <Input
+                  type="number"
+                  value={fromYear || ""}
+                  onChange={(val) => setFromYear(parseInt(val) || null)}
+                  placeholder="Start year"
+                />
+              </FormField>
+
+              <FormField>
+                <Label>To Year</Label>
+                <Input
+                  type="number"
+                  value={toYear || ""}
+                  onChange={(val) => setToYear(parseInt(val) || null)}
+                  placeholder="End year"
+                />
+              </FormField>
+            </div>
             {/* 🆕 Replaced Input with Select for activities */}
             <FormField>
               <Label>Filter by Activity</Label>
@@ -344,6 +391,15 @@ const BarChartComponent: React.FunctionComponent<IWidgetProps> = (props) => {
                 placeholder="Select activity"
               />
             </FormField>
+            <FormField>
+              <Label>Filter by Site</Label>
+              <Select
+                options={getSiteOptions(sites)}
+                selected={siteFilter}
+                onChange={(val) => setSiteFilter(val)}
+                placeholder="All Sites"
+              />
+            </FormField>
           </FilterPanel>
           <Button
             icon='fas cloud-download-alt'
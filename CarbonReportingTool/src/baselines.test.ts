@@ -0,0 +1,153 @@
+import { IContextProvider } from "./uxp";
+import { Baseline, BaselineChange, calculateBaseline, getBaselineLabel, getBaselineTotal, getRecalculationStatus } from "./baselines";
+import { getPeriodStart } from "./fiscalYear";
+import { Collections, runActionScript } from "./testing/modelScripts";
+
+// The model as calculateBaseline sees it: GetEmissionsSummary run over the stored documents
+const summaryContext = (db: Collections): IContextProvider => ({
+  executeAction: (_model: string, action: string, params: any) =>
+    runActionScript(action, db, params).then(output => output.summary)
+} as any);
+
+const record = (activity: string, year: string, month: string, value: string) =>
+  ({ activity, year, month, value, gas: "", site: "", periodStart: getPeriodStart(year, month) });
+
+const tenant = (settings: { [key: string]: string } = {}): Collections => ({
+  carbon_settings: Object.keys(settings).map(key => ({ key, value: settings[key] })),
+  carbon_activities: [
+    { activity: "Generator Fuel Consumption", scope: "1", category: "Stationary Combustion", unit: "litres" },
+    { activity: "Electricity Consumption", scope: "2", category: "Purchased Electricity", unit: "kWh" },
+    { activity: "Business Air Travel", scope: "3", category: "6. Business Travel", unit: "km" }
+  ],
+  carbon_emission_factors: [
+    { activity: "Generator Fuel Consumption", unit: "litres", value: "2", validFrom: "2000-01-01", validTo: "" },
+    { activity: "Electricity Consumption", unit: "kWh", value: "0.5", validFrom: "2000-01-01", validTo: "" },
+    { activity: "Business Air Travel", unit: "km", value: "0.1", validFrom: "2000-01-01", validTo: "" },
+    { activity: "Forklift LPG", unit: "kg", value: "1", validFrom: "2000-01-01", validTo: "" }
+  ],
+  // A certificate covering 2 MWh of 2020 at 0 kgCO₂e, for the market-based Scope 2
+  carbon_contractual_instruments: [
+    { instrumentType: "REC", activity: "", year: "2020", month: "", mwh: "2", emissionFactor: "0", reference: "REC-2020" }
+  ],
+  carbon_reporting_80rr: [
+    // 2020: 2 t Scope 1, 3 t Scope 2 (2 t market-based), 0.5 t Scope 3, 0.2 t unclassified
+    record("Generator Fuel Consumption", "2020", "Mar", "1000"),
+    record("Electricity Consumption", "2020", "Jun", "6000"),
+    record("Business Air Travel", "2020", "Sep", "5000"),
+    record("Forklift LPG", "2020", "Dec", "200"),
+    // 2021: 4 t Scope 1, 1 t Scope 2
+    record("Generator Fuel Consumption", "2021", "Mar", "2000"),
+    record("Electricity Consumption", "2021", "Jun", "2000"),
+    // 2023: no 2022 in between
+    record("Generator Fuel Consumption", "2023", "Mar", "500")
+  ]
+});
+
+describe("calculateBaseline", () => {
+  it("breaks a base year down by scope in tCO₂e, with Scope 2 under both methods", async () => {
+    const baseline = await calculateBaseline(summaryContext(tenant()), 2020, 2020, "Jan");
+
+    expect(baseline).toMatchObject({ year: 2020, toYear: 2020, source: "calculated" });
+    expect(baseline.scope1).toBeCloseTo(2);
+    expect(baseline.scope2).toBeCloseTo(3);
+    expect(baseline.scope2Market).toBeCloseTo(2);
+    expect(baseline.scope3).toBeCloseTo(0.5);
+    expect(baseline.unclassified).toBeCloseTo(0.2);
+    expect(baseline.value).toBeCloseTo(5.7);
+  });
+
+  it("averages a base period over its years", async () => {
+    const baseline = await calculateBaseline(summaryContext(tenant()), 2020, 2021, "Jan");
+
+    expect(baseline).toMatchObject({ year: 2020, toYear: 2021 });
+    expect(baseline.scope1).toBeCloseTo((2 + 4) / 2);
+    expect(baseline.scope2).toBeCloseTo((3 + 1) / 2);
+    expect(baseline.scope2Market).toBeCloseTo((2 + 1) / 2);
+    expect(baseline.value).toBeCloseTo((5.7 + 5) / 2);
+  });
+
+  it("fails when a year of the period has no activity data", async () => {
+    await expect(calculateBaseline(summaryContext(tenant()), 2021, 2023, "Jan")).rejects.toThrow("No activity data for 2022");
+    await expect(calculateBaseline(summaryContext(tenant({ fiscalYearStart: "Apr" })), 2021, 2023, "Apr"))
+      .rejects.toThrow("No activity data for FY2023/24");
+  });
+
+  it("covers the months of fiscal base years", async () => {
+    // With an April start, Mar 2020 is in FY2019/20 and the rest of 2020 and Mar 2021 in FY2020/21
+    const baseline = await calculateBaseline(summaryContext(tenant({ fiscalYearStart: "Apr" })), 2020, 2020, "Apr");
+
+    expect(baseline.scope1).toBeCloseTo(4);
+    expect(baseline.scope2).toBeCloseTo(3);
+  });
+});
+
+describe("getBaselineTotal", () => {
+  const calculated: Baseline = {
+    year: 2020, toYear: 2020, source: "calculated", value: 5.7, scope1: 2, scope2: 3, scope2Market: 1, scope3: 0.5, unclassified: 0.2
+  };
+  const manual: Baseline = { ...calculated, source: "manual", value: 6, scope1: 0, scope2: 0, scope2Market: 0, scope3: 0, unclassified: 0 };
+
+  it("uses the market-based Scope 2 of a calculated baseline under the market-based method", () => {
+    expect(getBaselineTotal(calculated, "location")).toBeCloseTo(5.7);
+    expect(getBaselineTotal(calculated, "market")).toBeCloseTo(3.7);
+  });
+
+  it("uses the entered total of a manual override under either method", () => {
+    expect(getBaselineTotal(manual, "location")).toBe(6);
+    expect(getBaselineTotal(manual, "market")).toBe(6);
+    expect(getBaselineLabel(manual, "Jan")).toBe("2020 (manual)");
+    expect(getBaselineLabel({ ...calculated, toYear: 2022 }, "Apr")).toBe("FY2020/21–FY2022/23 average");
+  });
+});
+
+describe("getRecalculationStatus", () => {
+  const baseline = (value: number, source: "calculated" | "manual" = "calculated"): Baseline => ({
+    year: 2020, toYear: 2020, source, value, scope1: value, scope2: 0, scope2Market: 0, scope3: 0, unclassified: 0
+  });
+  const change = (impact: number, overrides: Partial<BaselineChange> = {}): BaselineChange => ({
+    date: "2024-05-01", type: "acquisition", baselineYear: 2020, impact, description: "", appliedVersion: "", ...overrides
+  });
+
+  it("measures the pending changes of the base year against the baseline", () => {
+    const status = getRecalculationStatus(baseline(1000), [
+      change(30),
+      change(500, { appliedVersion: "2" }),
+      change(500, { baselineYear: 2019 })
+    ], 5);
+
+    expect(status.pending).toHaveLength(1);
+    expect(status.impact).toBe(30);
+    expect(status.percent).toBeCloseTo(3);
+    expect(status.required).toBe(false);
+  });
+
+  it("adds increases and decreases as absolute values so they cannot offset each other", () => {
+    const status = getRecalculationStatus(baseline(1000), [change(40, { type: "acquisition" }), change(-40, { type: "divestment" })], 5);
+
+    expect(status.impact).toBe(80);
+    expect(status.percent).toBeCloseTo(8);
+    expect(status.required).toBe(true);
+  });
+
+  it("requires recalculation once the threshold is reached", () => {
+    expect(getRecalculationStatus(baseline(1000), [change(50)], 5).required).toBe(true);
+    expect(getRecalculationStatus(baseline(1000), [change(49.9)], 5).required).toBe(false);
+    expect(getRecalculationStatus(baseline(1000), [], 0.1).required).toBe(false);
+  });
+
+  it("measures a manual override against its entered total", () => {
+    const status = getRecalculationStatus(baseline(200, "manual"), [change(-20, { type: "error" })], 5);
+
+    expect(status.percent).toBeCloseTo(10);
+    expect(status.required).toBe(true);
+  });
+
+  it("has no percentage for a baseline of zero and flags any change with an impact", () => {
+    const status = getRecalculationStatus(baseline(0), [change(1)], 5);
+
+    expect(status.percent).toBeNull();
+    expect(status.required).toBe(true);
+    expect(getRecalculationStatus(baseline(0), [change(0, { type: "methodology" })], 5).required).toBe(false);
+    expect(getRecalculationStatus(baseline(0), [], 5)).toMatchObject({ percent: null, required: false });
+  });
+});
@@ -0,0 +1,260 @@
+import { IContextProvider } from "./uxp";
+import { ScopeTotals, emptyScopeTotals } from "./calc";
+import { Scope2Method } from "./scope2";
+import { fetchEmissionsSummary, getYearScopeTotals } from "./emissionsSummary";
+import { getFiscalYearLabel, getFiscalYearMonths } from "./fiscalYear";
+
+/**
+ * Baselines (carbon_baselines collection) in tCO₂e, one per base year. A calculated baseline is the
+ * emissions of the base year's activity data, or the yearly average of a base period (year to toYear),
+ * broken down by scope with Scope 2 under both methods. A manual override is a typed total with no
+ * breakdown. Years are fiscal years.
+ */
+export type BaselineSource = "calculated" | "manual";
+
+export interface Baseline {
+  _id?: string;
+  year: number; // base year, or first year of the averaged base period
+  toYear: number; // last year of the base period; same as year for a single base year
+  source: BaselineSource;
+  value: number; // total tCO₂e, Scope 2 location-based
+  scope1: number;
+  scope2: number; // location-based
+  scope2Market: number;
+  scope3: number;
+  unclassified: number;
+}
+
+export const baselineSourceLabels: { [source: string]: string } = {
+  calculated: "Calculated from activity data",
+  manual: "Manual override"
+};
+
+export const fetchBaselines = async (uxpContext?: IContextProvider): Promise<Baseline[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "getAllBaselines",
+      {},
+      { json: true }
+    );
+
+    return (result || []).map((row: any) => ({
+      _id: row._id,
+      year: Number(row.year),
+      toYear: Number(row.toYear) || Number(row.year),
+      // Baselines typed in before they could be calculated are manual
+      source: row.source === "calculated" ? "calculated" : "manual",
+      value: parseFloat(row.value) || 0,
+      scope1: parseFloat(row.scope1) || 0,
+      scope2: parseFloat(row.scope2) || 0,
+      scope2Market: parseFloat(row.scope2Market) || 0,
+      scope3: parseFloat(row.scope3) || 0,
+      unclassified: parseFloat(row.unclassified) || 0
+    }));
+  } catch (error) {
+    console.error("Error fetching baselines:", error);
+    return [];
+  }
+};
+
+export const findBaseline = (baselines: Baseline[], year: any): Baseline | undefined =>
+  baselines.find(baseline => baseline.year === Number(year));
+
+// Total tCO₂e of a baseline under a Scope 2 method; manual overrides have the one total
+export const getBaselineTotal = (baseline: Baseline, method: Scope2Method): number => {
+  if (baseline.source === "manual" || method === "location") return baseline.value;
+  return baseline.scope1 + baseline.scope2Market + baseline.scope3 + baseline.unclassified;
+};
+
+// e.g. "FY2019/20" or "FY2019/20–FY2021/22 average", with "(manual)" for overrides
+export const getBaselineLabel = (baseline: Baseline, fiscalYearStart: string): string => {
+  const period = baseline.toYear > baseline.year
+    ? `${getFiscalYearLabel(baseline.year, fiscalYearStart)}–${getFiscalYearLabel(baseline.toYear, fiscalYearStart)} average`
+    : getFiscalYearLabel(baseline.year, fiscalYearStart);
+  return baseline.source === "manual" ? `${period} (manual)` : period;
+};
+
+/**
+ * Baseline of a base period from its activity data, with the factors, GWP set and consolidation
+ * approach in force (GetEmissionsSummary), averaged over the years of the period. Fails when a year of
+ * the period has no activity data, since averaging it in as zero would understate the baseline.
+ */
+export const calculateBaseline = async (
+  uxpContext: IContextProvider | undefined,
+  fromYear: number,
+  toYear: number,
+  fiscalYearStart: string
+): Promise<Omit<Baseline, "_id">> => {
+  const start = getFiscalYearMonths(fromYear, fiscalYearStart);
+  const end = getFiscalYearMonths(toYear, fiscalYearStart);
+  const query = { fromYear: start.fromYear, fromMonth: start.fromMonth, toYear: end.toYear, toMonth: end.toMonth };
+
+  const [location, market] = await Promise.all((["location", "market"] as Scope2Method[]).map(method =>
+    fetchEmissionsSummary(uxpContext, { ...query, groupBy: ["fiscalYear", "scope"], scope2Method: method })
+  ));
+  const locationYears = getYearScopeTotals(location, "fiscalYear");
+  const marketYears = getYearScopeTotals(market, "fiscalYear");
+
+  const years = Array.from({ length: toYear - fromYear + 1 }, (_, i) => String(fromYear + i));
+  const missing = years.filter(year => !locationYears[year]);
+  if (missing.length > 0) {
+    throw new Error(`No activity data for ${missing.map(year => getFiscalYearLabel(year, fiscalYearStart)).join(", ")}`);
+  }
+
+  // kgCO₂e summed over the period, then averaged per year in tCO₂e
+  const sum = (totals: { [year: string]: ScopeTotals }): ScopeTotals => {
+    const result = emptyScopeTotals();
+    years.filter(year => totals[year]).forEach(year => {
+      result.scope1 += totals[year].scope1;
+      result.scope2 += totals[year].scope2;
+      result.scope3 += totals[year].scope3;
+      result.unclassified += totals[year].unclassified;
+      result.total += totals[year].total;
+    });
+    return result;
+  };
+  const perYear = (kg: number) => kg / years.length / 1000;
+  const locationSum = sum(locationYears);
+  const marketSum = sum(marketYears);
+
+  return {
+    year: fromYear,
+    toYear,
+    source: "calculated",
+    value: perYear(locationSum.total),
+    scope1: perYear(locationSum.scope1),
+    scope2: perYear(locationSum.scope2),
+    scope2Market: perYear(marketSum.scope2),
+    scope3: perYear(locationSum.scope3),
+    unclassified: perYear(locationSum.unclassified)
+  };
+};
+
+/**
+ * Base-year recalculation (GHG Protocol): structural changes (acquisitions, divestments, outsourcing,
+ * insourcing), methodology changes and discovered data errors are logged against the base year they
+ * affect. Once the changes not yet applied add up to the significance threshold (recalculationThreshold
+ * setting, percent of the baseline), the base year has to be recalculated. Increases and decreases are
+ * added as absolute values so offsetting changes cannot hide each other.
+ */
+export type BaselineChangeType = "acquisition" | "divestment" | "outsourcing" | "insourcing" | "methodology" | "error";
+
+export interface BaselineChange {
+  _id?: string;
+  date: string; // yyyy-MM-dd
+  type: BaselineChangeType;
+  baselineYear: number;
+  impact: number; // tCO₂e change to the base-year emissions, negative for a decrease
+  description: string;
+  appliedVersion: string; // baseline version that accounts for it, "" while pending
+}
+
+// A saved baseline with the reason it was saved; the highest version of a year is the current baseline
+export interface BaselineVersion extends Baseline {
+  version: number;
+  reason: string;
+  savedAt: string; // ISO timestamp, "" for baselines saved before versions were kept
+  changeIds: string[];
+}
+
+export const baselineChangeTypeOptions = [
+  { label: "Acquisition", value: "acquisition" },
+  { label: "Divestment", value: "divestment" },
+  { label: "Outsourcing", value: "outsourcing" },
+  { label: "Insourcing", value: "insourcing" },
+  { label: "Methodology change", value: "methodology" },
+  { label: "Historical data error", value: "error" }
+];
+
+export const defaultRecalculationThreshold = 5;
+
+export const parseRecalculationThreshold = (value?: string | null): number => {
+  const threshold = parseFloat(value as string);
+  return isNaN(threshold) || threshold <= 0 ? defaultRecalculationThreshold : threshold;
+};
+
+export const fetchBaselineChanges = async (uxpContext?: IContextProvider): Promise<BaselineChange[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetBaselineChanges",
+      {},
+      { json: true }
+    );
+
+    return (result || []).map((row: any) => ({
+      _id: row._id,
+      date: row.date || "",
+      type: row.type,
+      baselineYear: Number(row.baselineYear),
+      impact: parseFloat(row.impact) || 0,
+      description: row.description || "",
+      appliedVersion: row.appliedVersion || ""
+    }));
+  } catch (error) {
+    console.error("Error fetching baseline changes:", error);
+    return [];
+  }
+};
+
+export const fetchBaselineVersions = async (uxpContext?: IContextProvider): Promise<BaselineVersion[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetBaselineVersions",
+      {},
+      { json: true }
+    );
+
+    return (result || []).map((row: any) => ({
+      _id: row._id,
+      year: Number(row.year),
+      toYear: Number(row.toYear) || Number(row.year),
+      source: row.source === "calculated" ? "calculated" : "manual",
+      value: parseFloat(row.value) || 0,
+      scope1: parseFloat(row.scope1) || 0,
+      scope2: parseFloat(row.scope2) || 0,
+      scope2Market: parseFloat(row.scope2Market) || 0,
+      scope3: parseFloat(row.scope3) || 0,
+      unclassified: parseFloat(row.unclassified) || 0,
+      version: Number(row.version) || 1,
+      reason: row.reason || "",
+      savedAt: row.savedAt || "",
+      changeIds: String(row.changeIds || "").split(",").filter(id => id)
+    }));
+  } catch (error) {
+    console.error("Error fetching baseline versions:", error);
+    return [];
+  }
+};
+
+export interface RecalculationStatus {
+  pending: BaselineChange[]; // changes to the base year not applied yet
+  impact: number; // their absolute tCO₂e added up
+  percent: number | null; // impact as a percentage of the baseline, null for a baseline of zero
+  required: boolean; // percent has reached the threshold
+}
+
+/**
+ * Pending changes of a baseline measured against its total (Scope 2 location-based), which for a manual
+ * override is the entered total. A baseline of zero has no percentage, and any change with an impact is
+ * significant against it, so it is always flagged.
+ */
+export const getRecalculationStatus = (
+  baseline: Baseline,
+  changes: BaselineChange[],
+  threshold: number
+): RecalculationStatus => {
+  const pending = changes.filter(change => change.baselineYear === baseline.year && !change.appliedVersion);
+  const impact = pending.reduce((sum, change) => sum + Math.abs(change.impact), 0);
+  const percent = baseline.value > 0 ? (impact / baseline.value) * 100 : null;
+  const required = percent === null ? impact > 0 : pending.length > 0 && percent >= threshold;
+  return { pending, impact, percent, required };
+};
@@ -0,0 +1,224 @@
+import {
+  calculateEmissionTotals,
+  calculateRecordsCO2e,
+  getMonthScopeTotal,
+  getSortedMonths,
+  getSortedYears,
+  groupRecordEmissions
+} from ".";
+import { ActivityRecord, EmissionFactor } from "../emissionFactors";
+import { CatalogueActivity } from "../activityCatalogue";
+import { ContractualInstrument } from "../scope2";
+import { Site } from "../sites";
+import { getFiscalMonthOrder } from "../fiscalYear";
+
+const catalogue: CatalogueActivity[] = [
+  { activity: "Generator Fuel Consumption", scope: 1, category: "Stationary Combustion", unit: "litres" },
+  { activity: "Refrigerant Leakages/Refilling", scope: 1, category: "Fugitive Emissions", unit: "kg", refrigerant: true },
+  { activity: "Electricity Consumption", scope: 2, category: "Purchased Electricity", unit: "kWh" },
+  { activity: "Business Air Travel", scope: 3, category: "6. Business Travel", unit: "km" }
+];
+
+const factor = (activity: string, value: number, validFrom = "2000-01-01", validTo: string | null = null): EmissionFactor => ({
+  activity, unit: "", value, source: "", scope: "", category: "", validFrom, validTo
+});
+
+const factors: EmissionFactor[] = [
+  // 2.6 kg CO₂, 0.01 kg CH₄ and 0.001 kg N₂O per litre: 3.145 kgCO₂e under AR5, 3.148 under AR4
+  { ...factor("Generator Fuel Consumption", 0), gases: { CO2: 2.6, CH4: 0.01, N2O: 0.001 } },
+  factor("Electricity Consumption", 0.4, "2000-01-01", "2023-12-31"),
+  factor("Electricity Consumption", 0.5, "2024-01-01"),
+  factor("Business Air Travel", 0.1),
+  // Not in the catalogue, so unclassified
+  factor("Forklift LPG", 1.5)
+];
+
+const records: ActivityRecord[] = [
+  { activity: "Generator Fuel Consumption", year: "2024", month: "Jan", value: 100 },
+  { activity: "Refrigerant Leakages/Refilling", year: "2024", month: "Jan", value: 2, gas: "R-410A" },
+  { activity: "Electricity Consumption", year: "2024", month: "Jan", value: 1000 },
+  { activity: "Electricity Consumption", year: "2024", month: "Feb", value: 2000 },
+  { activity: "Business Air Travel", year: "2024", month: "Feb", value: 500 },
+  { activity: "Forklift LPG", year: "2024", month: "Feb", value: 10 },
+  { activity: "Electricity Consumption", year: "2023", month: "Dec", value: 1000 }
+];
+
+const instruments: ContractualInstrument[] = [
+  // 1 MWh certificate for the whole of 2024 and every Scope 2 activity
+  { instrumentType: "REC", activity: "", year: "2024", month: "", mwh: 1, emissionFactor: 0, reference: "REC-1" },
+  // 0.5 MWh supplier contract for Feb 2024 at 0.2 kgCO₂e/kWh
+  { instrumentType: "Supplier-Specific Contract", activity: "Electricity Consumption", year: "2024", month: "Feb", mwh: 0.5, emissionFactor: 0.2, reference: "C-1" }
+];
+
+describe("calculateRecordsCO2e", () => {
+  it("uses the factor in effect in each record's period", () => {
+    const co2e = calculateRecordsCO2e(records, factors, "AR5", catalogue, [], "location");
+
+    expect(co2e[0]).toBeCloseTo(314.5);
+    expect(co2e[2]).toBeCloseTo(500);
+    expect(co2e[6]).toBeCloseTo(400);
+  });
+
+  it("converts refrigerants and gas-based factors with the selected GWP set", () => {
+    const ar5 = calculateRecordsCO2e(records, factors, "AR5", catalogue, [], "location");
+    const ar4 = calculateRecordsCO2e(records, factors, "AR4", catalogue, [], "location");
+
+    expect(ar5[1]).toBeCloseTo(2 * 1924);
+    expect(ar4[1]).toBeCloseTo(2 * 2088);
+    expect(ar4[0]).toBeCloseTo(314.8);
+  });
+
+  it("leaves location-based figures alone when instruments are present", () => {
+    const withInstruments = calculateRecordsCO2e(records, factors, "AR5", catalogue, instruments, "location");
+    expect(withInstruments).toEqual(calculateRecordsCO2e(records, factors, "AR5", catalogue, [], "location"));
+  });
+
+  it("allocates instruments to Scope 2 records in period order, monthly instruments first", () => {
+    const market = calculateRecordsCO2e(records, factors, "AR5", catalogue, instruments, "market");
+
+    // Jan: the annual certificate covers all 1000 kWh at 0 kgCO₂e and is used up
+    expect(market[2]).toBeCloseTo(0);
+    // Feb: 500 kWh on the contract at 0.2, the other 1500 kWh at the grid factor of 0.5
+    expect(market[3]).toBeCloseTo(100 + 750);
+    // 2023 has no instruments
+    expect(market[6]).toBeCloseTo(400);
+    // Other scopes are unaffected
+    expect(market[0]).toBeCloseTo(314.5);
+  });
+
+  it("converts records in MWh to kWh before allocating instruments", () => {
+    const mwhCatalogue = catalogue.map(entry =>
+      entry.activity === "Electricity Consumption" ? { ...entry, unit: "MWh" } : entry
+    );
+    const mwhRecords: ActivityRecord[] = [{ activity: "Electricity Consumption", year: "2024", month: "Jan", value: 2 }];
+    const mwhFactors = [factor("Electricity Consumption", 500)];
+
+    const market = calculateRecordsCO2e(mwhRecords, mwhFactors, "AR5", mwhCatalogue, [instruments[0]], "market");
+
+    // Half of the 2 MWh is covered by the 1 MWh certificate
+    expect(market[0]).toBeCloseTo(500);
+  });
+});
+
+describe("calculateEmissionTotals", () => {
+  const result = calculateEmissionTotals({ records, factors, catalogue, gwpSet: "AR5" });
+
+  it("totals emissions by scope, with activities missing from the catalogue unclassified", () => {
+    expect(result.scopes.scope1).toBeCloseTo(314.5 + 3848);
+    expect(result.scopes.scope2).toBeCloseTo(500 + 1000 + 400);
+    expect(result.scopes.scope3).toBeCloseTo(50);
+    expect(result.scopes.unclassified).toBeCloseTo(15);
+    expect(result.scopes.total).toBeCloseTo(4162.5 + 1900 + 50 + 15);
+  });
+
+  it("totals emissions by activity in order of first appearance", () => {
+    expect(result.activities.map(activity => activity.activity)).toEqual([
+      "Generator Fuel Consumption",
+      "Refrigerant Leakages/Refilling",
+      "Electricity Consumption",
+      "Business Air Travel",
+      "Forklift LPG"
+    ]);
+    expect(result.activities[2].scope).toBe(2);
+    expect(result.activities[2].co2e).toBeCloseTo(1900);
+    expect(result.activities[4].scope).toBe("unclassified");
+  });
+
+  it("adds up the mass of each gas", () => {
+    expect(result.gases.CO2).toBeCloseTo(260);
+    expect(result.gases.CH4).toBeCloseTo(1);
+    expect(result.gases.N2O).toBeCloseTo(0.1);
+    expect(result.gases["R-410A"]).toBeCloseTo(2);
+  });
+
+  it("uses the market-based figures for Scope 2 under the market-based method", () => {
+    const market = calculateEmissionTotals({ records, factors, catalogue, gwpSet: "AR5", instruments, scope2Method: "market" });
+
+    expect(market.scopes.scope2).toBeCloseTo(0 + 850 + 400);
+    expect(market.scopes.scope1).toBeCloseTo(result.scopes.scope1);
+  });
+
+  it("counts refrigerant records without a gas type", () => {
+    const legacy = calculateEmissionTotals({
+      records: [...records, { activity: "Refrigerant Leakages/Refilling", year: "2022", month: "Jan", value: 5 }],
+      factors,
+      catalogue,
+      gwpSet: "AR5"
+    });
+
+    expect(result.missingGas).toBe(0);
+    expect(legacy.missingGas).toBe(1);
+  });
+
+  describe("consolidation", () => {
+    const sites: Site[] = [
+      { name: "Group Co", level: "entity", parent: "", ownership: 60, operationalControl: true, financialControl: false },
+      { name: "Plant A", level: "site", parent: "Group Co", ownership: 100, operationalControl: true, financialControl: true },
+      { name: "Block 1", level: "building", parent: "Plant A", ownership: 100, operationalControl: true, financialControl: true },
+      { name: "JV Co", level: "entity", parent: "", ownership: 40, operationalControl: false, financialControl: true }
+    ];
+    const siteRecords: ActivityRecord[] = [
+      { activity: "Electricity Consumption", year: "2024", month: "Jan", value: 1000, site: "Block 1" }, // 500
+      { activity: "Business Air Travel", year: "2024", month: "Jan", value: 1000, site: "JV Co" }, // 100
+      { activity: "Generator Fuel Consumption", year: "2024", month: "Jan", value: 10, site: "JV Co" }, // 31.45
+      { activity: "Electricity Consumption", year: "2024", month: "Jan", value: 100 } // 50, no site
+    ];
+    const totals = (consolidation: "operational" | "financial" | "equity") =>
+      calculateEmissionTotals({ records: siteRecords, factors, catalogue, gwpSet: "AR5", sites, consolidation });
+
+    it("reports controlled entities in full and others not at all under a control approach", () => {
+      expect(totals("operational").scopes.total).toBeCloseTo(500 + 50);
+      expect(totals("financial").scopes.total).toBeCloseTo(100 + 31.45 + 50);
+    });
+
+    it("weights each record by its entity's ownership under equity share", () => {
+      const equity = totals("equity");
+
+      expect(equity.records[0]).toBeCloseTo(300);
+      expect(equity.records[1]).toBeCloseTo(40);
+      expect(equity.records[3]).toBeCloseTo(50);
+      expect(equity.scopes.total).toBeCloseTo(300 + 40 + 12.58 + 50);
+      expect(equity.gases.CO2).toBeCloseTo(26 * 0.4);
+    });
+
+    it("defaults to operational control", () => {
+      const defaulted = calculateEmissionTotals({ records: siteRecords, factors, catalogue, gwpSet: "AR5", sites });
+      expect(defaulted.scopes.total).toBeCloseTo(totals("operational").scopes.total);
+    });
+
+    it("regroups the reported emissions by site", () => {
+      const equity = totals("equity");
+      const grouped = groupRecordEmissions(siteRecords, equity, record => record.site || "Unassigned");
+
+      expect(grouped.groups).toEqual(["Block 1", "JV Co", "Unassigned"]);
+      expect(grouped.totals["JV Co"].scope1).toBeCloseTo(12.58);
+      expect(grouped.totals["JV Co"].scope3).toBeCloseTo(40);
+      expect(grouped.months.Jan["Block 1"]).toBeCloseTo(300);
+    });
+  });
+});
+
+describe("month and year helpers", () => {
+  const result = calculateEmissionTotals({ records, factors, catalogue, gwpSet: "AR5" });
+
+  it("sums each month over the activities", () => {
+    expect(result.months.Jan["Electricity Consumption"]).toBeCloseTo(500);
+    expect(result.months.Feb["Forklift LPG"]).toBeCloseTo(15);
+    expect(getMonthScopeTotal(result, "Jan", 1)).toBeCloseTo(314.5 + 3848);
+    expect(getMonthScopeTotal(result, "Feb", 2)).toBeCloseTo(1000);
+    expect(getMonthScopeTotal(result, "Feb", "unclassified")).toBeCloseTo(15);
+    expect(getMonthScopeTotal(result, "Mar", 1)).toBe(0);
+  });
+
+  it("sorts months in calendar order or in the given fiscal order", () => {
+    expect(getSortedMonths(result)).toEqual(["Jan", "Feb", "Dec"]);
+    expect(getSortedMonths(result, getFiscalMonthOrder("Apr"))).toEqual(["Dec", "Jan", "Feb"]);
+  });
+
+  it("totals each year by scope and sorts the years", () => {
+    expect(getSortedYears(result)).toEqual(["2023", "2024"]);
+    expect(result.years["2023"].scope2).toBeCloseTo(400);
+    expect(result.years["2024"].scope2).toBeCloseTo(1500);
+    expect(result.years["2024"].total).toBeCloseTo(result.scopes.total - 400);
+  });
+});
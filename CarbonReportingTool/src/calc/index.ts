@@ -0,0 +1,250 @@
+import { ActivityRecord, EmissionFactor, GasAmounts, calculateRecordEmissions, addGasAmounts } from "../emissionFactors";
+import { CatalogueActivity, ScopeClassification, classifyActivity, findCatalogueActivity, needsGasType } from "../activityCatalogue";
+import { ContractualInstrument, Scope2Method } from "../scope2";
+import { GWPSet } from "../gwp";
+import { Site } from "../sites";
+import { ConsolidationApproach, defaultConsolidationApproach, getConsolidationShare } from "../consolidation";
+
+/**
+ * Emissions calculation engine shared by the chart widgets. Everything here is pure: widgets fetch the
+ * activity data, factor registry, catalogue and instruments, and this module turns them into kgCO₂e.
+ */
+
+export interface CalculationInputs {
+  records: ActivityRecord[];
+  factors: EmissionFactor[];
+  catalogue: CatalogueActivity[];
+  gwpSet: GWPSet;
+  instruments?: ContractualInstrument[];
+  scope2Method?: Scope2Method;
+  // Organisational boundary: the share of each record reported depends on the entity it belongs to
+  sites?: Site[];
+  consolidation?: ConsolidationApproach;
+}
+
+export interface ScopeTotals {
+  scope1: number;
+  scope2: number;
+  scope3: number;
+  unclassified: number;
+  total: number;
+}
+
+export interface ActivityEmissions {
+  activity: string;
+  scope: ScopeClassification;
+  co2e: number;
+}
+
+export interface EmissionsResult {
+  records: number[]; // kgCO₂e of each input record reported by the group, in input order
+  activities: ActivityEmissions[]; // in order of first appearance in the records
+  scopes: ScopeTotals;
+  months: { [month: string]: { [activity: string]: number } };
+  years: { [year: string]: ScopeTotals };
+  gases: GasAmounts;
+  missingGas: number; // refrigerant records without a gas type (see needsGasType)
+}
+
+export const monthOrder: { [month: string]: number } = {
+  Jan: 1, Feb: 2, Mar: 3, Apr: 4, May: 5, Jun: 6,
+  Jul: 7, Aug: 8, Sep: 9, Oct: 10, Nov: 11, Dec: 12
+};
+
+export const emptyScopeTotals = (): ScopeTotals => ({ scope1: 0, scope2: 0, scope3: 0, unclassified: 0, total: 0 });
+
+const addToScope = (totals: ScopeTotals, scope: ScopeClassification, co2e: number) => {
+  if (scope === 1) totals.scope1 += co2e;
+  else if (scope === 2) totals.scope2 += co2e;
+  else if (scope === 3) totals.scope3 += co2e;
+  else totals.unclassified += co2e;
+  totals.total += co2e;
+};
+
+// Electricity of a record in kWh, based on the unit in the activity catalogue
+const getRecordKWh = (catalogue: CatalogueActivity[], record: ActivityRecord): number => {
+  const entry = findCatalogueActivity(catalogue, record.activity);
+  const unit = entry ? entry.unit.trim().toLowerCase() : "kwh";
+  return unit === "mwh" ? record.value * 1000 : record.value;
+};
+
+/**
+ * kgCO₂e of every record under the chosen Scope 2 method, in the order of the records.
+ *
+ * Location-based figures use the grid factor from the registry. Market-based figures allocate the
+ * MWh of the contractual instruments of each period to Scope 2 records (monthly and activity-specific
+ * instruments first) and apply the instrument's own factor to the covered kWh. Uncovered kWh stay at
+ * the grid factor, which the GHG Protocol allows when no residual mix factor is available.
+ */
+export const calculateRecordsCO2e = (
+  records: ActivityRecord[],
+  factors: EmissionFactor[],
+  gwpSet: GWPSet,
+  catalogue: CatalogueActivity[],
+  instruments: ContractualInstrument[],
+  method: Scope2Method
+): number[] => {
+  const locationBased = records.map(record => calculateRecordEmissions(factors, record, gwpSet).co2e);
+  if (method === "location" || instruments.length === 0) return locationBased;
+
+  const remainingKWh = instruments.map(instrument => instrument.mwh * 1000);
+  const marketBased = [...locationBased];
+
+  const scope2Records = records
+    .map((record, index) => ({ record, index }))
+    .filter(({ record }) => classifyActivity(catalogue, record.activity) === 2)
+    .sort((a, b) =>
+      String(a.record.year).localeCompare(String(b.record.year)) ||
+      (monthOrder[a.record.month || ""] || 0) - (monthOrder[b.record.month || ""] || 0)
+    );
+
+  scope2Records.forEach(({ record, index }) => {
+    const recordKWh = getRecordKWh(catalogue, record);
+    if (recordKWh <= 0) return;
+
+    const applicable = instruments
+      .map((instrument, instrumentIndex) => ({ instrument, instrumentIndex }))
+      .filter(({ instrument }) =>
+        instrument.year === String(record.year) &&
+        (!instrument.month || instrument.month === record.month) &&
+        (!instrument.activity || instrument.activity === record.activity)
+      )
+      .sort((a, b) =>
+        Number(!a.instrument.month) - Number(!b.instrument.month) ||
+        Number(!a.instrument.activity) - Number(!b.instrument.activity)
+      );
+
+    let uncoveredKWh = recordKWh;
+    let coveredCO2e = 0;
+
+    applicable.forEach(({ instrument, instrumentIndex }) => {
+      const allocated = Math.min(uncoveredKWh, remainingKWh[instrumentIndex]);
+      if (allocated <= 0) return;
+
+      remainingKWh[instrumentIndex] -= allocated;
+      uncoveredKWh -= allocated;
+      coveredCO2e += allocated * instrument.emissionFactor;
+    });
+
+    marketBased[index] = coveredCO2e + locationBased[index] * (uncoveredKWh / recordKWh);
+  });
+
+  return marketBased;
+};
+
+/**
+ * kgCO₂e of the records per record, activity, scope, month and year. Months are keyed by the month
+ * label only, so a range spanning several years sums the same month of each year, as the monthly
+ * charts always have.
+ *
+ * Each record is weighted by the share of its entity the group reports under the consolidation
+ * approach; without sites every record counts in full.
+ */
+export const calculateEmissionTotals = (inputs: CalculationInputs): EmissionsResult => {
+  const { records, factors, catalogue, gwpSet } = inputs;
+  const sites = inputs.sites || [];
+  const consolidation = inputs.consolidation || defaultConsolidationApproach;
+  const shares = records.map(record => getConsolidationShare(sites, record.site, consolidation));
+  const recordCO2e = calculateRecordsCO2e(
+    records, factors, gwpSet, catalogue, inputs.instruments || [], inputs.scope2Method || "location"
+  ).map((co2e, index) => co2e * shares[index]);
+
+  const byActivity: { [activity: string]: ActivityEmissions } = {};
+  const result: EmissionsResult = {
+    records: recordCO2e,
+    activities: [],
+    scopes: emptyScopeTotals(),
+    months: {},
+    years: {},
+    gases: {},
+    missingGas: 0
+  };
+
+  records.forEach((record, index) => {
+    const co2e = recordCO2e[index];
+
+    if (!byActivity[record.activity]) {
+      byActivity[record.activity] = {
+        activity: record.activity,
+        scope: classifyActivity(catalogue, record.activity),
+        co2e: 0
+      };
+      result.activities.push(byActivity[record.activity]);
+    }
+    const activity = byActivity[record.activity];
+    activity.co2e += co2e;
+
+    addToScope(result.scopes, activity.scope, co2e);
+
+    const month = record.month || "";
+    if (!result.months[month]) result.months[month] = {};
+    result.months[month][record.activity] = (result.months[month][record.activity] || 0) + co2e;
+
+    const year = String(record.year);
+    if (!result.years[year]) result.years[year] = emptyScopeTotals();
+    addToScope(result.years[year], activity.scope, co2e);
+
+    const gases = calculateRecordEmissions(factors, record, gwpSet).gases;
+    Object.keys(gases).forEach(gas => { gases[gas] *= shares[index]; });
+    addGasAmounts(result.gases, gases);
+
+    if (needsGasType(catalogue, record)) result.missingGas++;
+  });
+
+  return result;
+};
+
+// Months present in a result, in calendar order or in the given order (e.g. the fiscal year's)
+export const getSortedMonths = (result: EmissionsResult, order: { [month: string]: number } = monthOrder): string[] =>
+  Object.keys(result.months).sort((a, b) => (order[a] || 0) - (order[b] || 0));
+
+// Years present in a result, in ascending order
+export const getSortedYears = (result: EmissionsResult): string[] =>
+  Object.keys(result.years).sort((a, b) => parseInt(a) - parseInt(b));
+
+// kgCO₂e of one scope in one month
+export const getMonthScopeTotal = (
+  result: EmissionsResult,
+  month: string,
+  scope: ScopeClassification
+): number => result.activities
+  .filter(activity => activity.scope === scope)
+  .reduce((sum, activity) => sum + (result.months[month]?.[activity.activity] || 0), 0);
+
+export interface GroupedEmissions {
+  groups: string[]; // in order of first appearance in the records
+  totals: { [group: string]: ScopeTotals };
+  months: { [month: string]: { [group: string]: number } };
+}
+
+/**
+ * The emissions of a result regrouped by something other than activity, such as the site of each
+ * record. `groupOf` names the group of a record; records must be the ones the result was calculated from.
+ */
+export const groupRecordEmissions = (
+  records: ActivityRecord[],
+  result: EmissionsResult,
+  groupOf: (record: ActivityRecord) => string
+): GroupedEmissions => {
+  const scopes: { [activity: string]: ScopeClassification } = {};
+  result.activities.forEach(activity => { scopes[activity.activity] = activity.scope; });
+
+  const grouped: GroupedEmissions = { groups: [], totals: {}, months: {} };
+
+  records.forEach((record, index) => {
+    const co2e = result.records[index] || 0;
+    const group = groupOf(record);
+
+    if (!grouped.totals[group]) {
+      grouped.totals[group] = emptyScopeTotals();
+      grouped.groups.push(group);
+    }
+    addToScope(grouped.totals[group], scopes[record.activity] || "unclassified", co2e);
+
+    const month = record.month || "";
+    if (!grouped.months[month]) grouped.months[month] = {};
+    grouped.months[month][group] = (grouped.months[month][group] || 0) + co2e;
+  });
+
+  return grouped;
+};
@@ -1,7 +1,24 @@
 import React, { useEffect, useRef, useState, useMemo } from "react";
 import Highcharts from 'highcharts';
-import { WidgetWrapper, TitleBar, FilterPanel, FormField, Select, Input, Label, useToast, Button } from "uxp/components";
+import { WidgetWrapper, TitleBar, FilterPanel, FormField, Select, Input, Label, useToast, Button, ToggleFilter } from "uxp/components";
 import { IContextProvider } from "./uxp";
+import { EmissionFactor, GasAmounts, fetchEmissionFactors } from "./emissionFactors";
+import { ContractualInstrument, Scope2Method, fetchContractualInstruments, scope2MethodOptions } from "./scope2";
+import { calculateEmissionTotals, groupRecordEmissions } from "./calc";
+import { GWPSet, defaultGWPSet, parseGWPSet, getGWP, getGasLabel } from "./gwp";
+import { fetchCarbonSettings } from "./settings";
+import { getCurrentFiscalYear, getFiscalYearMonths, getPeriodRange, parseFiscalYearStart } from "./fiscalYear";
+import { ConsolidationApproach, defaultConsolidationApproach, describeConsolidation, parseConsolidationApproach } from "./consolidation";
+import { CatalogueActivity, describeMissingGas, fetchActivityCatalogue, getActivityCategory, getScopeLabel, scopeColors, scopeDescriptions } from "./activityCatalogue";
+import {
+  Breakdown,
+  Site,
+  breakdownOptions,
+  fetchSites,
+  getBreakdownGroup,
+  getGroupColor,
+  getSiteOptions,
+} from "./sites";
 
 export interface IWidgetProps {
   uxpContext?: IContextProvider;
@@ -9,13 +26,6 @@ export interface IWidgetProps {
   uiProps?: any;
 }
 
-// Emission factors for calculations
-const emissionFactors: { [key: string]: number } = {
-  "Generator Fuel Consumption": 3.761, // kgCO₂e per litre
-  "Refrigerant Leakages/Refilling": 1.000, // kgCO₂e per litre
-  "Electricity Consumption": 0.412 // kgCO₂e per kWh
-};
-
 const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
   const chartRef = useRef(null);
   const toast = useToast();
@@ -23,12 +33,21 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
   const [loading, setLoading] = useState(false);
   const [activityData, setActivityData] = useState<any[]>([]);
       const [availableActivities, setAvailableActivities] = useState<string[]>([]); // 🆕 for dropdown options
+  const [emissionFactors, setEmissionFactors] = useState<EmissionFactor[]>([]);
+  const [activityCatalogue, setActivityCatalogue] = useState<CatalogueActivity[]>([]);
+  const [gwpSet, setGwpSet] = useState<GWPSet>(defaultGWPSet);
+  const [consolidation, setConsolidation] = useState<ConsolidationApproach>(defaultConsolidationApproach);
+  const [instruments, setInstruments] = useState<ContractualInstrument[]>([]);
+  const [scope2Method, setScope2Method] = useState<Scope2Method>("location");
   // Updated filter states for date ranges
   const [fromMonth, setFromMonth] = useState<any>("Jan");
   const [toMonth, setToMonth] = useState<any>("Dec");
   const [fromYear, setFromYear] = useState<any>(new Date().getFullYear());
   const [toYear, setToYear] = useState<any>(new Date().getFullYear());
   const [activityName, setActivityName] = useState<string>("");
+  const [sites, setSites] = useState<Site[]>([]);
+  const [siteFilter, setSiteFilter] = useState<string>("");
+  const [breakdown, setBreakdown] = useState<Breakdown>("activity");
 
   const monthOptions = [
     { label: "January", value: "Jan" }, { label: "February", value: "Feb" },
@@ -60,13 +79,12 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
     try {
       const result = await props.uxpContext.executeAction(
         "carbon_reporting_80rr",
-        "GetDataPieChart",
-        { 
-          fromYear: fromYear,
-          toYear: toYear, 
-          fromMonth: fromMonth, 
-          toMonth: toMonth, 
-          activityName: activityName 
+        "GetAllData",
+        {
+          // the range may span years, e.g. Jul 2023 – Jun 2024
+          ...getPeriodRange(fromYear, fromMonth, toYear, toMonth),
+          activityName: activityName,
+          site: siteFilter
         },
         { json: true }
       );
@@ -77,7 +95,9 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
         activity: row.activity,
         year: row.year,
         month: row.month,
-        value: parseFloat(row.value)
+        value: parseFloat(row.value),
+        gas: row.gas || "",
+        site: row.site || ""
       })) || [];
 
       // Small delay to ensure state update completes
@@ -94,81 +114,119 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
     }
   };
 
-  // Calculate emissions dynamically from API data
-  const calculateEmissions = () => {
-    if (activityData.length === 0) {
-      return { 
-        dynamicEmissionData: [], 
-        scope1Total: 0, 
-        scope2Total: 0, 
-        totalEmissions: 0 
-      };
-    }
-
-    const emissionsByActivity: { [key: string]: number } = {};
-    
-    // Group and sum values by activity from real API data
-    activityData.forEach(item => {
-      if (!emissionsByActivity[item.activity]) {
-        emissionsByActivity[item.activity] = 0;
-      }
-      emissionsByActivity[item.activity] += item.value;
+  // Calculate emissions dynamically from API data, with Scope 2 under the given method
+  const calculateEmissions = (method: Scope2Method = scope2Method) => {
+    const result = calculateEmissionTotals({
+      records: activityData,
+      factors: emissionFactors,
+      catalogue: activityCatalogue,
+      gwpSet,
+      instruments,
+      scope2Method: method,
+      sites,
+      consolidation
     });
 
-    // Apply emission factors to calculate real CO2e emissions
-    const dynamicEmissionData = Object.keys(emissionsByActivity).map(activity => {
-      const totalActivityValue = emissionsByActivity[activity];
-      const emissionFactor = emissionFactors[activity] || 0;
-      const calculatedCO2e = totalActivityValue * emissionFactor;
-      
-      const isScope1 = activity.includes("Generator") || activity.includes("Refrigerant");
-      
-      return {
-        source: activity,
-        totalCO2e: calculatedCO2e,
-        scope: isScope1 ? 1 : 2,
-        category: isScope1 ? "Scope 1" : "Scope 2"
-      };
-    });
-
-    // Calculate scope totals from dynamic data
-    const scope1Total = dynamicEmissionData
-      .filter(item => item.scope === 1)
-      .reduce((sum, item) => sum + item.totalCO2e, 0);
-
-    const scope2Total = dynamicEmissionData
-      .filter(item => item.scope === 2)
-      .reduce((sum, item) => sum + item.totalCO2e, 0);
+    const dynamicEmissionData = result.activities.map(item => ({
+      source: item.activity,
+      totalCO2e: item.co2e,
+      scope: item.scope,
+      category: getScopeLabel(item.scope),
+      ghgCategory: getActivityCategory(activityCatalogue, item.activity)
+    }));
+
+    return {
+      dynamicEmissionData,
+      scope1Total: result.scopes.scope1,
+      scope2Total: result.scopes.scope2,
+      scope3Total: result.scopes.scope3,
+      // Activities missing from the activity catalogue are reported separately instead of being guessed
+      unclassifiedTotal: result.scopes.unclassified,
+      totalEmissions: result.scopes.total,
+      gasTotals: result.gases,
+      missingGas: result.missingGas,
+      // Scope totals of each entity, site or building when the chart is broken down by site
+      groupedEmissions: groupRecordEmissions(activityData, result, getBreakdownGroup(sites, breakdown))
+    };
+  };
 
-    const totalEmissions = scope1Total + scope2Total;
+  // Per-gas rows for the breakdown table and export; factors without a gas breakdown are reported as one CO₂e line
+  const getGasBreakdown = (gasTotals: GasAmounts, totalEmissions: number) => {
+    const rows = Object.keys(gasTotals).sort().map(gas => ({
+      gas: getGasLabel(gas),
+      mass: gasTotals[gas],
+      gwp: getGWP(gas, gwpSet),
+      co2e: gasTotals[gas] * getGWP(gas, gwpSet)
+    }));
+
+    const speciatedCO2e = rows.reduce((sum, row) => sum + row.co2e, 0);
+    const unspeciatedCO2e = totalEmissions - speciatedCO2e;
+    if (unspeciatedCO2e > 0.005) {
+      rows.push({ gas: "CO₂e (no gas breakdown)", mass: null, gwp: null, co2e: unspeciatedCO2e });
+    }
 
-    return { dynamicEmissionData, scope1Total, scope2Total, totalEmissions };
+    return rows;
   };
 
   const exportToCSV = () => {
-    const { dynamicEmissionData, scope1Total, scope2Total, totalEmissions } = calculateEmissions();
+    // Both Scope 2 methods are exported side by side, whichever one is shown
+    const locationBased = calculateEmissions("location");
+    const marketBased = calculateEmissions("market");
+    const { dynamicEmissionData, scope1Total, scope3Total, unclassifiedTotal, gasTotals, groupedEmissions, missingGas } = locationBased;
 
     if (!dynamicEmissionData.length) {
       toast.error("No data to export");
       return;
     }
 
-    const headers = ["Source", "Scope", "Total CO2e (kg)", "Scope 1 Total", "Scope 2 Total", "Total Emissions"];
-    const rows = dynamicEmissionData.map(row => [
+    const headers = [
+      "Source", "Scope", "Category", "Total CO2e (kg, location-based)", "Total CO2e (kg, market-based)",
+      "Scope 1 Total", "Scope 2 Total (location-based)", "Scope 2 Total (market-based)", "Scope 3 Total", "Unclassified Total",
+      "Total Emissions (location-based)", "Total Emissions (market-based)"
+    ];
+    const rows = dynamicEmissionData.map((row, index) => [
       row.source,
       row.category,
+      `"${row.ghgCategory}"`,
       row.totalCO2e.toFixed(2),
+      marketBased.dynamicEmissionData[index].totalCO2e.toFixed(2),
+      "",
+      "",
+      "",
+      "",
       "",
       "",
       ""
     ]);
 
     // Add summary row at the bottom
-    rows.push(["", "", "", scope1Total.toFixed(2), scope2Total.toFixed(2), totalEmissions.toFixed(2)]);
+    rows.push([
+      "", "", "", "", "",
+      scope1Total.toFixed(2), locationBased.scope2Total.toFixed(2), marketBased.scope2Total.toFixed(2), scope3Total.toFixed(2), unclassifiedTotal.toFixed(2),
+      locationBased.totalEmissions.toFixed(2), marketBased.totalEmissions.toFixed(2)
+    ]);
+
+    // Per-gas breakdown below the scope summary
+    rows.push([]);
+    rows.push(["Gas", "Mass (kg)", `GWP (${gwpSet})`, "CO2e (kg)"]);
+    getGasBreakdown(gasTotals, locationBased.totalEmissions).forEach(row => {
+      rows.push([row.gas, row.mass !== null ? row.mass.toFixed(3) : "", row.gwp !== null ? row.gwp.toString() : "", row.co2e.toFixed(2)]);
+    });
+
+    // Scope totals of each entity, site or building when broken down by site (location-based)
+    if (breakdown !== "activity") {
+      rows.push([]);
+      rows.push([getBreakdownLabel(breakdown), "Scope 1", "Scope 2 (location-based)", "Scope 3", "Unclassified", "Total"]);
+      groupedEmissions.groups.forEach(group => {
+        const totals = groupedEmissions.totals[group];
+        rows.push([`"${group}"`, ...[totals.scope1, totals.scope2, totals.scope3, totals.unclassified, totals.total].map(value => value.toFixed(2))]);
+      });
+    }
 
     const csvContent =
       "data:text/csv;charset=utf-8," +
-      [headers, ...rows].map(e => e.join(",")).join("\n");
+      [[describeConsolidation(consolidation)], ...(missingGas > 0 ? [[`"Warning: ${describeMissingGas(missingGas)}"`]] : []), headers, ...rows]
+        .map(e => e.join(",")).join("\n");
 
     const encodedUri = encodeURI(csvContent);
     const link = document.createElement("a");
@@ -179,68 +237,35 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
     document.body.removeChild(link);
   };
 
+  const getBreakdownLabel = (value: Breakdown) =>
+    breakdownOptions.find(option => option.value === value)?.label || value;
+
   useEffect(() => {
     fetchActivityData();
-  }, [fromMonth, toMonth, fromYear, toYear, activityName, props.uxpContext]);
+  }, [fromMonth, toMonth, fromYear, toYear, activityName, siteFilter, props.uxpContext]);
   useEffect(() => {
   fetchAvailableActivities();
+  fetchEmissionFactors(props.uxpContext).then(setEmissionFactors);
+  fetchActivityCatalogue(props.uxpContext).then(setActivityCatalogue);
+  fetchCarbonSettings(props.uxpContext).then(settings => {
+    setGwpSet(parseGWPSet(settings.gwpSet));
+    setConsolidation(parseConsolidationApproach(settings.consolidationApproach));
+    // The range starts out as the current fiscal year
+    const start = parseFiscalYearStart(settings.fiscalYearStart);
+    const period = getFiscalYearMonths(getCurrentFiscalYear(start), start);
+    setFromMonth(period.fromMonth);
+    setToMonth(period.toMonth);
+    setFromYear(period.fromYear);
+    setToYear(period.toYear);
+  });
+  fetchContractualInstruments(props.uxpContext).then(setInstruments);
+  fetchSites(props.uxpContext).then(setSites);
 }, []);
-  // Move calculateEmissions inside useEffect to ensure it uses fresh data
+  // Build the chart from the same calculation as the summary cards and export
   useEffect(() => {
     const chart = chartRef.current;
-    
-    // Calculate emissions fresh with current activityData
-    const calculateEmissionsForChart = () => {
-      if (activityData.length === 0) {
-        return { 
-          dynamicEmissionData: [], 
-          scope1Total: 0, 
-          scope2Total: 0, 
-          totalEmissions: 0 
-        };
-      }
-
-      const emissionsByActivity: { [key: string]: number } = {};
-      
-      // Group and sum values by activity from real API data
-      activityData.forEach(item => {
-        if (!emissionsByActivity[item.activity]) {
-          emissionsByActivity[item.activity] = 0;
-        }
-        emissionsByActivity[item.activity] += item.value;
-      });
 
-      // Apply emission factors to calculate real CO2e emissions
-      const dynamicEmissionData = Object.keys(emissionsByActivity).map(activity => {
-        const totalActivityValue = emissionsByActivity[activity];
-        const emissionFactor = emissionFactors[activity] || 0;
-        const calculatedCO2e = totalActivityValue * emissionFactor;
-        
-        const isScope1 = activity.includes("Generator") || activity.includes("Refrigerant");
-        
-        return {
-          source: activity,
-          totalCO2e: calculatedCO2e,
-          scope: isScope1 ? 1 : 2,
-          category: isScope1 ? "Scope 1" : "Scope 2"
-        };
-      });
-
-      // Calculate scope totals from dynamic data
-      const scope1Total = dynamicEmissionData
-        .filter(item => item.scope === 1)
-        .reduce((sum, item) => sum + item.totalCO2e, 0);
-
-      const scope2Total = dynamicEmissionData
-        .filter(item => item.scope === 2)
-        .reduce((sum, item) => sum + item.totalCO2e, 0);
-
-      const totalEmissions = scope1Total + scope2Total;
-
-      return { dynamicEmissionData, scope1Total, scope2Total, totalEmissions };
-    };
-
-    const { dynamicEmissionData, scope1Total, scope2Total, totalEmissions } = calculateEmissionsForChart();
+    const { dynamicEmissionData, scope1Total, scope2Total, scope3Total, unclassifiedTotal, totalEmissions, groupedEmissions } = calculateEmissions();
     
     if (chart) {
       // Prepare scope data for outer donut ring
@@ -263,21 +288,50 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
           description: 'Direct emissions from owned sources'
         },
         {
-          name: 'Scope 2 Emissions',
+          name: scope2Method === "market" ? 'Scope 2 Emissions (market-based)' : 'Scope 2 Emissions (location-based)',
           y: scope2Total,
           color: '#4ECDC4',
           description: 'Indirect emissions from purchased energy'
+        },
+        {
+          name: 'Scope 3 Emissions',
+          y: scope3Total,
+          color: scopeColors[3],
+          description: scopeDescriptions[3]
+        },
+        {
+          name: 'Unclassified Emissions',
+          y: unclassifiedTotal,
+          color: scopeColors.unclassified,
+          description: scopeDescriptions.unclassified
         }
       ].filter(item => item.y > 0); // Only show scopes with actual data
 
+      // Broken down by site, the inner ring has a slice per entity, site or building within each scope,
+      // in the order of the scopes of the outer ring
+      const groupData = (["scope1", "scope2", "scope3", "unclassified"] as const).flatMap(scope =>
+        groupedEmissions.groups
+          .map((group, index) => ({
+            name: `${group} (${scope === "unclassified" ? "Unclassified" : `Scope ${scope.slice(-1)}`})`,
+            y: groupedEmissions.totals[group][scope],
+            color: getGroupColor(group, index)
+          }))
+          .filter(item => item.y > 0)
+      );
+
       // Prepare detailed data for inner donut ring with distinct colors
-      const detailedData = dynamicEmissionData.map((item, index) => ({
+      const activitySlices = dynamicEmissionData.map((item, index) => ({
         name: item.source,
         y: item.totalCO2e,
         color: item.scope === 1 
           ? (index === 0 ? '#E74C3C' : '#C0392B') // Different reds for Scope 1 activities
-          : '#17A2B8' // Different teal for Scope 2 activities
+          : item.scope === 2
+            ? '#17A2B8' // Different teal for Scope 2 activities
+            : item.scope === 3
+              ? '#8E44AD' // Purple for Scope 3 activities
+              : '#868E96' // Grey for unclassified activities
       }));
+      const detailedData = breakdown === "activity" ? activitySlices : groupData;
 
       // Highcharts configuration for dynamic ESG donut chart
       const chartConfig: Highcharts.Options = {
@@ -437,12 +491,13 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
       // Create the dynamic chart
       Highcharts.chart(chartRef.current, chartConfig);
     }
-  }, [activityData]); // Only depend on activityData changes
+  }, [activityData, emissionFactors, activityCatalogue, gwpSet, instruments, scope2Method, sites, consolidation, breakdown]); // Recalculate when data, factors, scope mapping, GWP set, Scope 2 method, sites, consolidation approach or breakdown change
 
   // Get calculated emissions using useMemo to prevent unnecessary recalculations
-  const { dynamicEmissionData: memoizedEmissionData, scope1Total, scope2Total, totalEmissions } = useMemo(() => {
+  const { dynamicEmissionData: memoizedEmissionData, scope1Total, scope2Total, scope3Total, unclassifiedTotal, totalEmissions, gasTotals, missingGas } = useMemo(() => {
     return calculateEmissions();
-  }, [activityData]);
+  }, [activityData, emissionFactors, activityCatalogue, gwpSet, instruments, scope2Method, sites, consolidation, breakdown]);
+  const gasBreakdown = getGasBreakdown(gasTotals, totalEmissions);
   // 🆕 Convert activities array to Select options with "All" as default
   const activityOptions = [
     { label: "All Activities", value: "" },
@@ -462,6 +517,7 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
             setFromYear(null);
             setToYear(null);
             setActivityName("");
+            setSiteFilter("");
           }}
         >
           {/* Date Range Filters */}
@@ -518,7 +574,27 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
                           placeholder="Select activity"
                         />
                       </FormField>
+
+          <FormField>
+            <Label>Filter by Site</Label>
+            <Select
+              options={getSiteOptions(sites)}
+              selected={siteFilter}
+              onChange={(val) => setSiteFilter(val)}
+              placeholder="All Sites"
+            />
+          </FormField>
         </FilterPanel>
+        <ToggleFilter
+          options={scope2MethodOptions}
+          value={scope2Method}
+          onChange={(val) => setScope2Method(val as Scope2Method)}
+        />
+        <ToggleFilter
+          options={breakdownOptions}
+          value={breakdown}
+          onChange={(val) => setBreakdown(val as Breakdown)}
+        />
         <Button
           icon='fas cloud-download-alt'
           title='Export'
@@ -533,6 +609,12 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
         padding: '20px', 
         fontFamily: 'Arial, sans-serif'
       }}>
+        {missingGas > 0 && (
+          <div style={{ padding: '10px', marginBottom: '15px', background: '#fff3cd', border: '1px solid #ffc107', borderRadius: '4px', fontSize: '13px' }}>
+            ⚠️ {describeMissingGas(missingGas)}
+          </div>
+        )}
+
         {/* Dynamic ESG Summary Cards - AT THE TOP */}
         <div style={{ 
           display: 'flex', 
@@ -589,7 +671,7 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
               fontSize: '16px',
               fontWeight: 'bold'
             }}>
-              Scope 2 Emissions
+              Scope 2 Emissions ({scope2Method === "market" ? "market-based" : "location-based"})
             </h4>
             <p style={{ 
               fontSize: '24px', 
@@ -608,6 +690,76 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
             </p>
           </div>
 
+          <div style={{
+            flex: 1,
+            minWidth: '200px',
+            backgroundColor: '#f8f0fc',
+            border: `2px solid ${scopeColors[3]}`,
+            borderRadius: '8px',
+            padding: '15px',
+            textAlign: 'center' as const
+          }}>
+            <h4 style={{ 
+              margin: '0 0 8px 0', 
+              color: scopeColors[3],
+              fontSize: '16px',
+              fontWeight: 'bold'
+            }}>
+              Scope 3 Emissions
+            </h4>
+            <p style={{ 
+              fontSize: '24px', 
+              fontWeight: 'bold', 
+              margin: '0 0 5px 0',
+              color: '#2c3e50'
+            }}>
+              {scope3Total.toFixed(1)} kgCO₂e
+            </p>
+            <p style={{ 
+              fontSize: '12px', 
+              color: '#7f8c8d',
+              margin: 0
+            }}>
+              Value chain emissions such as travel, purchased goods & waste
+            </p>
+          </div>
+
+          {unclassifiedTotal > 0 && (
+            <div style={{
+              flex: 1,
+              minWidth: '200px',
+              backgroundColor: '#f8f9fa',
+              border: `2px solid ${scopeColors.unclassified}`,
+              borderRadius: '8px',
+              padding: '15px',
+              textAlign: 'center' as const
+            }}>
+              <h4 style={{ 
+                margin: '0 0 8px 0', 
+                color: '#6c757d',
+                fontSize: '16px',
+                fontWeight: 'bold'
+              }}>
+                Unclassified Emissions
+              </h4>
+              <p style={{ 
+                fontSize: '24px', 
+                fontWeight: 'bold', 
+                margin: '0 0 5px 0',
+                color: '#2c3e50'
+              }}>
+                {unclassifiedTotal.toFixed(1)} kgCO₂e
+              </p>
+              <p style={{ 
+                fontSize: '12px', 
+                color: '#7f8c8d',
+                margin: 0
+              }}>
+                Map these activities to a scope in the Activity Catalogue
+              </p>
+            </div>
+          )}
+
           <div style={{
             flex: 1,
             minWidth: '200px',
@@ -641,6 +793,43 @@ const ESGDonutChart: React.FunctionComponent<IWidgetProps> = (props) => {
             </p>
           </div>
         </div>
+
+        {/* Per-gas breakdown */}
+        {gasBreakdown.length > 0 && (
+          <div style={{
+            marginBottom: '20px',
+            border: '1px solid #e9ecef',
+            borderRadius: '8px',
+            overflow: 'hidden'
+          }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f8f9fa' }}>
+                  <th style={{ padding: '8px 12px', textAlign: 'left' }}>Gas</th>
+                  <th style={{ padding: '8px 12px', textAlign: 'right' }}>Mass (kg)</th>
+                  <th style={{ padding: '8px 12px', textAlign: 'right' }}>GWP ({gwpSet})</th>
+                  <th style={{ padding: '8px 12px', textAlign: 'right' }}>kgCO₂e</th>
+                </tr>
+              </thead>
+              <tbody>
+                {gasBreakdown.map(row => (
+                  <tr key={row.gas} style={{ borderTop: '1px solid #e9ecef' }}>
+                    <td style={{ padding: '8px 12px' }}>{row.gas}</td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{row.mass !== null ? row.mass.toFixed(3) : '–'}</td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{row.gwp !== null ? row.gwp : '–'}</td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{row.co2e.toFixed(1)}</td>
+                  </tr>
+                ))}
+                <tr style={{ borderTop: '2px solid #dee2e6', fontWeight: 'bold' }}>
+                  <td style={{ padding: '8px 12px' }}>Total</td>
+                  <td></td>
+                  <td></td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}>{totalEmissions.toFixed(1)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
         </div>
     <div style={{ 
       width: '100%', 
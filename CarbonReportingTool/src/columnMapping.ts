@@ -0,0 +1,227 @@
+import { IContextProvider } from "./uxp";
+import { templateColumns, normaliseMonth, sheetColumn } from "./spreadsheet";
+import { validMonths } from "./uploadValidation";
+
+export type DateFormat = "yyyy-MM-dd" | "dd/MM/yyyy" | "MM/dd/yyyy" | "MMM yyyy";
+
+export const dateFormatOptions = [
+  { label: "2024-01-31 (yyyy-MM-dd)", value: "yyyy-MM-dd" },
+  { label: "31/01/2024 (dd/MM/yyyy)", value: "dd/MM/yyyy" },
+  { label: "01/31/2024 (MM/dd/yyyy)", value: "MM/dd/yyyy" },
+  { label: "Jan 2024 (MMM yyyy)", value: "MMM yyyy" }
+];
+
+export const periodSourceOptions = [
+  { label: "Year and Month columns", value: "columns" },
+  { label: "A single date column", value: "date" }
+];
+
+// Fields that can be given one value for the whole file when the source has no column for them
+export const fixedValueFields: string[] = ["Activity", "Unit", "Gas", "Site"];
+
+/**
+ * How the columns of a source file map onto the upload template.
+ * Year and Month come either from their own columns or from one date column split into both.
+ */
+export interface ColumnMapping {
+  columns: { [field: string]: string }; // template field -> source column, "" when not mapped
+  fixedValues: { [field: string]: string }; // used for unmapped fields in fixedValueFields
+  periodSource: "columns" | "date";
+  dateColumn: string;
+  dateFormat: DateFormat;
+}
+
+// A mapping saved under a name (carbon_upload_profiles collection) for files with the same layout
+export interface UploadProfile {
+  _id?: string;
+  name: string;
+  mapping: ColumnMapping;
+}
+
+// Header spellings recognised without a saved profile, lower case
+const columnSynonyms: { [field: string]: string[] } = {
+  Activity: ["activity", "activity name", "emission source", "source"],
+  Year: ["year", "reporting year"],
+  Month: ["month", "reporting month"],
+  Value: ["value", "amount", "quantity", "qty", "consumption", "usage"],
+  Unit: ["unit", "units", "uom", "unit of measure"],
+  Gas: ["gas", "gas type", "refrigerant"],
+  Site: ["site", "facility", "building", "location", "plant"]
+};
+
+// Any header mentioning a date or period ("Read Date", "Billing Period") can hold the year and month
+const isDateHeader = (column: string): boolean => /date|period/i.test(column);
+
+export const emptyMapping = (): ColumnMapping => ({
+  columns: templateColumns.reduce((acc, field) => ({ ...acc, [field]: "" }), {}),
+  fixedValues: {},
+  periodSource: "columns",
+  dateColumn: "",
+  dateFormat: "yyyy-MM-dd"
+});
+
+// Source columns of parsed rows, in order of first appearance
+export const getSourceColumns = (rows: any[]): string[] => {
+  const columns: string[] = [];
+  rows.forEach((row) => Object.keys(row).forEach((key) => {
+    if (key !== sheetColumn && !columns.includes(key)) columns.push(key);
+  }));
+  return columns;
+};
+
+const findColumn = (columns: string[], names: string[]): string =>
+  columns.find((col) => names.includes(col.trim().toLowerCase())) || "";
+
+// The file already uses the template headers, so it can be imported without the mapping step
+export const hasTemplateLayout = (columns: string[]): boolean =>
+  ["Activity", "Year", "Month", "Value"].every((field) => findColumn(columns, [field.toLowerCase()]));
+
+const expandYear = (year: string): string => (year.length === 2 ? `20${year}` : year);
+
+/**
+ * Year and month of a date cell in the given format, null when it does not match.
+ * Excel date cells arrive as Date objects and are read whatever the format.
+ */
+export const parsePeriod = (value: any, format: DateFormat): { year: string; month: string } | null => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : { year: String(value.getFullYear()), month: normaliseMonth(value) };
+  }
+
+  const text = String(value ?? "").trim();
+  let year = "";
+  let month = "";
+
+  if (format === "yyyy-MM-dd") {
+    const match = text.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.]\d{1,2})?\b/);
+    if (match) [year, month] = [match[1], match[2]];
+  } else if (format === "dd/MM/yyyy" || format === "MM/dd/yyyy") {
+    const match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+    if (match) [year, month] = [expandYear(match[3]), format === "dd/MM/yyyy" ? match[2] : match[1]];
+  } else {
+    const match = text.match(/^([A-Za-z]{3,9})[\s\-/.']*(\d{4}|\d{2})$/);
+    if (match) [year, month] = [expandYear(match[2]), match[1]];
+  }
+
+  const monthName = normaliseMonth(month);
+  if (!year || !validMonths.includes(monthName)) return null;
+  return { year, month: monthName };
+};
+
+// Date format that reads every sample value, preferring day-first for ambiguous slash dates
+const detectDateFormat = (samples: any[]): DateFormat => {
+  const formats: DateFormat[] = ["yyyy-MM-dd", "dd/MM/yyyy", "MM/dd/yyyy", "MMM yyyy"];
+  const values = samples.filter((value) => String(value ?? "").trim() !== "");
+  return formats.find((format) => values.every((value) => parsePeriod(value, format))) || "yyyy-MM-dd";
+};
+
+/**
+ * Mapping guessed from the source headers: template headers and common synonyms ("Quantity", "UoM")
+ * are matched ignoring case, and a date or period column is used when Year or Month are missing.
+ */
+export const guessMapping = (rows: any[]): ColumnMapping => {
+  const sourceColumns = getSourceColumns(rows);
+  const mapping = emptyMapping();
+
+  templateColumns.forEach((field) => {
+    mapping.columns[field] = findColumn(sourceColumns, columnSynonyms[field]);
+  });
+
+  if (!mapping.columns.Year || !mapping.columns.Month) {
+    const dateColumn = sourceColumns.find(isDateHeader);
+    if (dateColumn) {
+      mapping.periodSource = "date";
+      mapping.dateColumn = dateColumn;
+      mapping.dateFormat = detectDateFormat(rows.slice(0, 20).map((row) => row[dateColumn]));
+    }
+  }
+
+  return mapping;
+};
+
+// A saved mapping whose columns all exist in the source file
+export const fitsColumns = (mapping: ColumnMapping, sourceColumns: string[]): boolean => {
+  const used = Object.values(mapping.columns).concat(mapping.periodSource === "date" ? [mapping.dateColumn] : []);
+  return used.filter(Boolean).every((col) => sourceColumns.includes(col));
+};
+
+// Problems that stop the mapping from producing complete rows
+export const getMappingErrors = (mapping: ColumnMapping): string[] => {
+  const errors: string[] = [];
+  if (!mapping.columns.Activity && !(mapping.fixedValues.Activity || "").trim()) {
+    errors.push("Map the Activity column or enter one activity for the whole file.");
+  }
+  if (mapping.periodSource === "date") {
+    if (!mapping.dateColumn) errors.push("Select the date column to read the year and month from.");
+  } else {
+    if (!mapping.columns.Year) errors.push("Map the Year column.");
+    if (!mapping.columns.Month) errors.push("Map the Month column.");
+  }
+  if (!mapping.columns.Value) errors.push("Map the Value column.");
+  return errors;
+};
+
+const cellText = (value: any): string => String(value ?? "").trim();
+
+/**
+ * Rows in template layout (Activity, Year, Month, Value, Unit, Gas, Site) built from source rows with the
+ * mapping. Dates that cannot be read are kept as they are, so validation points at the row. The sheet a row
+ * came from is carried over, and can also be mapped as the Site of workbooks with one sheet per site.
+ * Rows without a value are treated as not reported and dropped: blank lines and the rows of a generated
+ * template that the field team left empty.
+ */
+export const applyMapping = (rows: any[], mapping: ColumnMapping): any[] => {
+  const mapped: any[] = [];
+
+  rows.forEach((row) => {
+    const result: any = templateColumns.reduce((acc, field) => ({ ...acc, [field]: "" }), {});
+
+    templateColumns.filter((field) => field !== "Year" && field !== "Month").forEach((field) => {
+      const column = mapping.columns[field];
+      result[field] = column ? cellText(row[column]) : cellText(mapping.fixedValues[field]);
+    });
+
+    if (mapping.periodSource === "date") {
+      const cell = row[mapping.dateColumn];
+      const period = parsePeriod(cell, mapping.dateFormat);
+      result.Year = period ? period.year : cellText(cell);
+      result.Month = period ? period.month : cellText(cell);
+    } else {
+      const year = row[mapping.columns.Year];
+      result.Year = year instanceof Date ? String(year.getFullYear()) : cellText(year);
+      result.Month = normaliseMonth(row[mapping.columns.Month]);
+    }
+
+    if (result.Value === "") return;
+    if (row[sheetColumn] !== undefined) result[sheetColumn] = row[sheetColumn];
+    mapped.push(result);
+  });
+
+  return mapped;
+};
+
+export const fetchUploadProfiles = async (uxpContext?: IContextProvider): Promise<UploadProfile[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetUploadProfiles",
+      {},
+      { json: true }
+    );
+
+    return (result || [])
+      .map((row: any) => {
+        try {
+          return { _id: row._id, name: row.name || "", mapping: { ...emptyMapping(), ...JSON.parse(row.mapping) } };
+        } catch (error) {
+          console.error(`Invalid mapping in upload profile "${row.name}":`, error);
+          return null;
+        }
+      })
+      .filter((profile: UploadProfile | null) => profile && profile.name);
+  } catch (error) {
+    console.error("Error fetching upload profiles:", error);
+    return [];
+  }
+};
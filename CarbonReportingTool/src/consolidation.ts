@@ -0,0 +1,54 @@
+import { Site, getSiteAtLevel, findSite } from "./sites";
+
+/**
+ * GHG Protocol consolidation approaches for group reporting. Under a control approach the group reports
+ * all of the emissions of the entities it controls and none of the others; under equity share it
+ * reports each entity's emissions in proportion to its ownership.
+ */
+export type ConsolidationApproach = "operational" | "financial" | "equity";
+
+export const consolidationApproaches: ConsolidationApproach[] = ["operational", "financial", "equity"];
+
+export const defaultConsolidationApproach: ConsolidationApproach = "operational";
+
+export const consolidationOptions = [
+  { label: "Operational control", value: "operational" },
+  { label: "Financial control", value: "financial" },
+  { label: "Equity share", value: "equity" }
+];
+
+export const consolidationLabels: { [approach: string]: string } = {
+  operational: "Operational control",
+  financial: "Financial control",
+  equity: "Equity share"
+};
+
+export const parseConsolidationApproach = (value?: string | null): ConsolidationApproach => {
+  return consolidationApproaches.includes(value as ConsolidationApproach)
+    ? (value as ConsolidationApproach)
+    : defaultConsolidationApproach;
+};
+
+// Share (0–1) of an entity's emissions the group reports under an approach
+export const getEntityShare = (entity: Site, approach: ConsolidationApproach): number => {
+  if (approach === "equity") return Math.min(Math.max(entity.ownership, 0), 100) / 100;
+  if (approach === "financial") return entity.financialControl ? 1 : 0;
+  return entity.operationalControl ? 1 : 0;
+};
+
+/**
+ * Share of a record's emissions the group reports, from the entity its site rolls up to. Records with
+ * no site or no entity above them belong to the reporting organisation itself and count in full.
+ */
+export const getConsolidationShare = (
+  sites: Site[],
+  site: string | undefined,
+  approach: ConsolidationApproach
+): number => {
+  const entity = findSite(sites, getSiteAtLevel(sites, site, "entity"));
+  return entity ? getEntityShare(entity, approach) : 1;
+};
+
+// Line naming the approach, written at the top of the emission exports
+export const describeConsolidation = (approach: ConsolidationApproach): string =>
+  `Consolidation approach: ${consolidationLabels[approach]}`;
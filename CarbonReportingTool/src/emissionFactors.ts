@@ -0,0 +1,193 @@
+import { IContextProvider } from "./uxp";
+import { GWPSet, defaultGWPSet, getGWP } from "./gwp";
+import { getPeriodStart } from "./fiscalYear";
+
+// Mass of each gas, keyed by gas ("CO2", "CH4", "R-134a", ...)
+export interface GasAmounts {
+  [gas: string]: number;
+}
+
+// A single entry in the emission-factor registry (carbon_emission_factors collection)
+export interface EmissionFactor {
+  activity: string;
+  unit: string;
+  value: number; // kgCO₂e per unit
+  source: string;
+  scope: string; // "Scope 1" | "Scope 2" | ...
+  category: string;
+  description?: string;
+  validFrom: string; // yyyy-MM-dd
+  validTo?: string | null; // yyyy-MM-dd, empty while the factor is current
+  retirementSource?: string; // source reference given when the factor was retired
+  gases?: GasAmounts; // kg of each gas per unit; when present, value is derived from these with the selected GWP set
+}
+
+// A monthly activity-data record (carbon_reporting_80rr collection)
+export interface ActivityRecord {
+  activity: string;
+  year: string | number;
+  month?: string | null;
+  value: number;
+  gas?: string; // refrigerant gas type; value is then the mass released in kg
+  site?: string; // entity, site or building the data was recorded for (carbon_sites collection)
+}
+
+export interface RecordEmissions {
+  co2e: number; // kgCO₂e
+  gases: GasAmounts; // kg of each gas; empty when the factor is not broken down by gas
+}
+
+const parseGases = (gases: any): GasAmounts | undefined => {
+  if (!gases) return undefined;
+
+  try {
+    const parsed = typeof gases === "string" ? JSON.parse(gases) : gases;
+    const amounts: GasAmounts = {};
+    Object.keys(parsed).forEach(gas => {
+      const amount = parseFloat(parsed[gas]);
+      if (!isNaN(amount)) amounts[gas] = amount;
+    });
+    return Object.keys(amounts).length > 0 ? amounts : undefined;
+  } catch (error) {
+    console.error("Invalid gas breakdown on emission factor:", gases);
+    return undefined;
+  }
+};
+
+/**
+ * Load the emission-factor registry from the model.
+ * The GetEmissionFactors action seeds the registry with the default
+ * SEFR / EMA factors the first time it is called on a tenant.
+ */
+export const fetchEmissionFactors = async (uxpContext?: IContextProvider): Promise<EmissionFactor[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetEmissionFactors",
+      {},
+      { json: true }
+    );
+
+    return (result || []).map((row: any) => ({
+      activity: row.activity,
+      unit: row.unit,
+      value: parseFloat(row.value) || 0,
+      source: row.source || "",
+      scope: row.scope || "",
+      category: row.category || "",
+      description: row.description || "",
+      validFrom: row.validFrom || "",
+      validTo: row.validTo || null,
+      retirementSource: row.retirementSource || "",
+      gases: parseGases(row.gases)
+    }));
+  } catch (error) {
+    console.error("Error fetching emission factors:", error);
+    return [];
+  }
+};
+
+// Most recent entry of every activity, including activities whose factor has been retired
+export const getLatestEmissionFactors = (factors: EmissionFactor[]): EmissionFactor[] => {
+  const latest: { [activity: string]: EmissionFactor } = {};
+
+  factors.forEach(factor => {
+    const existing = latest[factor.activity];
+    if (!existing || factor.validFrom > existing.validFrom) {
+      latest[factor.activity] = factor;
+    }
+  });
+
+  return Object.values(latest);
+};
+
+// Current factors, i.e. entries that have not been superseded or retired
+export const getCurrentEmissionFactors = (factors: EmissionFactor[]): EmissionFactor[] => {
+  return getLatestEmissionFactors(factors).filter(factor => !factor.validTo);
+};
+
+// Superseded entries of an activity, newest first
+export const getEmissionFactorHistory = (factors: EmissionFactor[], activity: string): EmissionFactor[] => {
+  return factors
+    .filter(f => f.activity === activity && !!f.validTo)
+    .sort((a, b) => b.validFrom.localeCompare(a.validFrom));
+};
+
+// Factor entry that was in effect for an activity on the given date (yyyy-MM-dd)
+export const findEmissionFactor = (factors: EmissionFactor[], activity: string, date: string): EmissionFactor | null => {
+  const candidates = factors
+    .filter(f => f.activity === activity)
+    .filter(f => !f.validFrom || f.validFrom <= date)
+    .filter(f => !f.validTo || f.validTo >= date)
+    .sort((a, b) => (b.validFrom || "").localeCompare(a.validFrom || ""));
+
+  return candidates[0] || null;
+};
+
+// kgCO₂e per unit of a factor entry; gas-based factors are converted with the given GWP set
+export const getFactorCO2e = (factor: EmissionFactor, gwpSet: GWPSet = defaultGWPSet): number => {
+  if (!factor.gases) return factor.value;
+
+  return Object.keys(factor.gases).reduce((sum, gas) => sum + factor.gases![gas] * getGWP(gas, gwpSet), 0);
+};
+
+/**
+ * kgCO₂e per unit for an activity, 0 when the registry has no factor for it.
+ * When a reporting period is given, the factor that applied in that period is used,
+ * so publishing a new factor does not restate past years.
+ */
+export const getEmissionFactor = (
+  factors: EmissionFactor[],
+  activity: string,
+  year?: string | number | null,
+  month?: string | null,
+  gwpSet: GWPSet = defaultGWPSet
+): number => {
+  const factor = year
+    ? findEmissionFactor(factors, activity, getPeriodStart(year, month))
+    : getCurrentEmissionFactors(factors).find(f => f.activity === activity);
+
+  return factor ? getFactorCO2e(factor, gwpSet) : 0;
+};
+
+/**
+ * Emissions of one activity-data record, as CO₂e and per gas.
+ * Refrigerant records carry the gas type and the mass released in kg, so they are converted
+ * directly with the gas's GWP; everything else goes through the emission-factor registry.
+ */
+export const calculateRecordEmissions = (
+  factors: EmissionFactor[],
+  record: ActivityRecord,
+  gwpSet: GWPSet = defaultGWPSet
+): RecordEmissions => {
+  const value = record.value || 0;
+
+  if (record.gas) {
+    return {
+      co2e: value * getGWP(record.gas, gwpSet),
+      gases: { [record.gas]: value }
+    };
+  }
+
+  const factor = findEmissionFactor(factors, record.activity, getPeriodStart(record.year, record.month));
+  if (!factor) return { co2e: 0, gases: {} };
+
+  const gases: GasAmounts = {};
+  if (factor.gases) {
+    Object.keys(factor.gases).forEach(gas => {
+      gases[gas] = value * factor.gases![gas];
+    });
+  }
+
+  return { co2e: value * getFactorCO2e(factor, gwpSet), gases };
+};
+
+// Adds the gas amounts of b into a
+export const addGasAmounts = (a: GasAmounts, b: GasAmounts): GasAmounts => {
+  Object.keys(b).forEach(gas => {
+    a[gas] = (a[gas] || 0) + b[gas];
+  });
+  return a;
+};
@@ -0,0 +1,193 @@
+import { IContextProvider } from "./uxp";
+import { SummaryRow, fetchEmissionsSummary, getYearScopeTotals } from "./emissionsSummary";
+import { EmissionsResult, ScopeTotals, calculateEmissionTotals, groupRecordEmissions } from "./calc";
+import { fetchEmissionFactors } from "./emissionFactors";
+import { fetchActivityCatalogue } from "./activityCatalogue";
+import { fetchContractualInstruments, Scope2Method } from "./scope2";
+import { fetchSites } from "./sites";
+import { fetchCarbonSettings } from "./settings";
+import { GWPSet, getGWP, gwpSets, knownGases, parseGWPSet } from "./gwp";
+import { parseConsolidationApproach } from "./consolidation";
+import { getFiscalYear, parseFiscalYearStart } from "./fiscalYear";
+import { Collections, runActionScript } from "./testing/modelScripts";
+
+/**
+ * GetEmissionsSummary repeats the calculation of src/calc next to the data. These tests run the action's
+ * script from the model against the same stored documents as the client-side engine, so the server-side
+ * charts and the client-side dashboards and exports cannot drift apart unnoticed.
+ */
+
+// Runs the action script with the given inputs against the stored documents
+const runSummaryScript = (db: Collections, inputs: any): Promise<any[]> =>
+  runActionScript("GetEmissionsSummary", db, inputs).then(output => output.summary);
+
+// The model as the widgets see it: the summary from the script, everything else as stored
+const fakeContext = (db: Collections): IContextProvider => ({
+  executeAction: (_model: string, action: string, params: any) => {
+    if (action === "GetEmissionsSummary") return runSummaryScript(db, params);
+    const collection: { [action: string]: string } = {
+      GetEmissionFactors: "carbon_emission_factors",
+      GetActivityCatalogue: "carbon_activities",
+      GetContractualInstruments: "carbon_contractual_instruments",
+      GetSites: "carbon_sites",
+      GetCarbonSettings: "carbon_settings"
+    };
+    return Promise.resolve(db[collection[action]] || []);
+  }
+} as any);
+
+// The client-side engine over the same documents, as the widgets load them
+const calculateClientSide = async (db: Collections, scope2Method: Scope2Method): Promise<EmissionsResult> => {
+  const context = fakeContext(db);
+  const [factors, catalogue, instruments, sites, settings] = await Promise.all([
+    fetchEmissionFactors(context),
+    fetchActivityCatalogue(context),
+    fetchContractualInstruments(context),
+    fetchSites(context),
+    fetchCarbonSettings(context)
+  ]);
+  const records = db.carbon_reporting_80rr.map(row => ({
+    activity: row.activity,
+    year: row.year,
+    month: row.month,
+    value: parseFloat(row.value),
+    gas: row.gas || "",
+    site: row.site || ""
+  }));
+
+  return calculateEmissionTotals({
+    records,
+    factors,
+    catalogue,
+    gwpSet: parseGWPSet(settings.gwpSet),
+    instruments,
+    scope2Method,
+    sites,
+    consolidation: parseConsolidationApproach(settings.consolidationApproach)
+  });
+};
+
+const expectSameTotals = (server: ScopeTotals, client: ScopeTotals) => {
+  (["scope1", "scope2", "scope3", "unclassified", "total"] as const).forEach(scope => {
+    expect(server[scope]).toBeCloseTo(client[scope], 6);
+  });
+};
+
+const record = (activity: string, year: string, month: string, value: string, extra: any = {}) =>
+  ({ activity, year, month, value, gas: "", site: "", ...extra });
+
+const tenant = (settings: { [key: string]: string }): Collections => ({
+  carbon_settings: Object.keys(settings).map(key => ({ key, value: settings[key] })),
+  carbon_activities: [
+    { activity: "Generator Fuel Consumption", scope: "1", category: "Stationary Combustion", unit: "litres" },
+    { activity: "Refrigerant Leakages/Refilling", scope: "1", category: "Fugitive Emissions", unit: "kg", refrigerant: "true" },
+    { activity: "Electricity Consumption", scope: "2", category: "Purchased Electricity", unit: "kWh" },
+    { activity: "Chilled Water", scope: "2", category: "Purchased Cooling", unit: "MWh" },
+    { activity: "Business Air Travel", scope: "3", category: "6. Business Travel", unit: "km" }
+  ],
+  carbon_emission_factors: [
+    { activity: "Generator Fuel Consumption", unit: "litres", value: "0", gases: JSON.stringify({ CO2: 2.6, CH4: 0.01, N2O: 0.001 }), validFrom: "2000-01-01", validTo: "" },
+    { activity: "Electricity Consumption", unit: "kWh", value: "0.4", validFrom: "2000-01-01", validTo: "2023-12-31" },
+    { activity: "Electricity Consumption", unit: "kWh", value: "0.5", validFrom: "2024-01-01", validTo: "" },
+    { activity: "Chilled Water", unit: "MWh", value: "120", validFrom: "2000-01-01", validTo: "" },
+    { activity: "Business Air Travel", unit: "km", value: "0.1", validFrom: "2000-01-01", validTo: "" },
+    { activity: "Forklift LPG", unit: "kg", value: "1.5", validFrom: "2000-01-01", validTo: "" }
+  ],
+  carbon_contractual_instruments: [
+    { instrumentType: "REC", activity: "", year: "2024", month: "", mwh: "1.5", emissionFactor: "0", reference: "REC-1" },
+    { instrumentType: "Supplier-Specific Contract", activity: "Electricity Consumption", year: "2024", month: "Feb", mwh: "0.5", emissionFactor: "0.2", reference: "C-1" }
+  ],
+  carbon_sites: [
+    { name: "Group Co", level: "entity", parent: "", ownership: "60", operationalControl: "true", financialControl: "false" },
+    { name: "Plant A", level: "site", parent: "Group Co", ownership: "", operationalControl: "", financialControl: "" },
+    { name: "Block 1", level: "building", parent: "Plant A", ownership: "", operationalControl: "", financialControl: "" },
+    { name: "JV Co", level: "entity", parent: "", ownership: "40", operationalControl: "false", financialControl: "true" }
+  ],
+  carbon_reporting_80rr: [
+    record("Generator Fuel Consumption", "2024", "Jan", "100", { site: "Block 1" }),
+    record("Generator Fuel Consumption", "2024", "Jun", "40", { site: "JV Co" }),
+    record("Refrigerant Leakages/Refilling", "2024", "Mar", "2", { gas: "R-410A" }),
+    record("Refrigerant Leakages/Refilling", "2023", "Nov", "1.5", { gas: "R-134a", site: "Plant A" }),
+    record("Electricity Consumption", "2024", "Jan", "1000", { site: "Block 1" }),
+    // Spelled differently from the catalogue, which is matched ignoring case and spaces. Its factor lookup is
+    // exact, so it has no location-based emissions, but as Scope 2 it takes certificate kWh from the next record.
+    record(" electricity consumption", "2024", "Feb", "300", { site: "JV Co" }),
+    record("Electricity Consumption", "2024", "Feb", "2000"),
+    record("Chilled Water", "2024", "Apr", "0.8"),
+    record("Electricity Consumption", "2023", "Dec", "1000"),
+    record("Business Air Travel", "2024", "Feb", "500", { site: "JV Co" }),
+    record("Forklift LPG", "2024", "May", "10")
+  ]
+});
+
+describe("GetEmissionsSummary parity with src/calc", () => {
+  const settingsCases: { [name: string]: { [key: string]: string } } = {
+    "defaults": {},
+    "AR6, equity share and an April fiscal year": { gwpSet: "AR6", consolidationApproach: "equity", fiscalYearStart: "Apr" },
+    "AR4 and financial control": { gwpSet: "AR4", consolidationApproach: "financial" }
+  };
+
+  Object.keys(settingsCases).forEach(name => {
+    describe(name, () => {
+      const db = tenant(settingsCases[name]);
+
+      (["location", "market"] as Scope2Method[]).forEach(scope2Method => {
+        it(`agrees on the ${scope2Method}-based totals by year and scope`, async () => {
+          const client = await calculateClientSide(db, scope2Method);
+          const server = getYearScopeTotals(
+            await fetchEmissionsSummary(fakeContext(db), { groupBy: ["year", "scope"], scope2Method })
+          );
+
+          expect(Object.keys(server).sort()).toEqual(Object.keys(client.years).sort());
+          Object.keys(client.years).forEach(year => expectSameTotals(server[year], client.years[year]));
+        });
+
+        it(`agrees on the ${scope2Method}-based totals by activity`, async () => {
+          const client = await calculateClientSide(db, scope2Method);
+          const server = await fetchEmissionsSummary(fakeContext(db), { groupBy: ["activity"], scope2Method });
+
+          expect(server.map(row => row.activity).sort()).toEqual(client.activities.map(a => a.activity).sort());
+          client.activities.forEach(activity => {
+            const row = server.find(r => r.activity === activity.activity) as SummaryRow;
+            expect(row.co2e).toBeCloseTo(activity.co2e, 6);
+          });
+        });
+      });
+
+      it("agrees on the totals by fiscal year", async () => {
+        const client = await calculateClientSide(db, "location");
+        const start = parseFiscalYearStart(settingsCases[name].fiscalYearStart);
+        const records = db.carbon_reporting_80rr.map(row => ({ ...row, value: parseFloat(row.value) }));
+        const byFiscalYear = groupRecordEmissions(records, client, r => String(getFiscalYear(r.year, r.month, start)));
+        const server = getYearScopeTotals(
+          await fetchEmissionsSummary(fakeContext(db), { groupBy: ["fiscalYear", "scope"], scope2Method: "location" }),
+          "fiscalYear"
+        );
+
+        expect(Object.keys(server).sort()).toEqual(byFiscalYear.groups.slice().sort());
+        byFiscalYear.groups.forEach(year => expectSameTotals(server[year], byFiscalYear.totals[year]));
+      });
+    });
+  });
+
+  it("classifies activities spelled differently from the catalogue like the client", async () => {
+    const db = tenant({});
+    const server = await fetchEmissionsSummary(fakeContext(db), { groupBy: ["activity", "scope"], scope2Method: "location" });
+
+    expect(server.find(row => row.activity === " electricity consumption")?.scope).toBe("2");
+  });
+
+  gwpSets.forEach((gwpSet: GWPSet) => {
+    it(`uses the GWP values of src/gwp.ts for every gas under ${gwpSet}`, async () => {
+      const db = tenant({ gwpSet });
+      db.carbon_reporting_80rr = knownGases.map(gas => record(`Release of ${gas}`, "2024", "Jan", "1", { gas }));
+
+      const server = await fetchEmissionsSummary(fakeContext(db), { groupBy: ["activity"], scope2Method: "location" });
+
+      knownGases.forEach(gas => {
+        const row = server.find(r => r.activity === `Release of ${gas}`) as SummaryRow;
+        expect(row.co2e).toBeCloseTo(getGWP(gas, gwpSet), 6);
+      });
+    });
+  });
+});
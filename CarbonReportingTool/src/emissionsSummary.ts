@@ -0,0 +1,80 @@
+import { IContextProvider } from "./uxp";
+import { ScopeTotals, emptyScopeTotals } from "./calc";
+import { Scope2Method } from "./scope2";
+import { SiteLevel } from "./sites";
+
+// Dimensions GetEmissionsSummary can group by; fiscalYear is the tenant's fiscal year, numbered by the year it starts in
+export type SummaryDimension = "year" | "fiscalYear" | "month" | "activity" | "scope" | "site";
+
+export interface SummaryQuery {
+  fromYear?: string | number | null;
+  fromMonth?: string | null; // defaults to Jan of fromYear
+  toYear?: string | number | null;
+  toMonth?: string | null; // defaults to Dec of toYear
+  groupBy: SummaryDimension[];
+  scope2Method: Scope2Method;
+  activityName?: string;
+  site?: string; // the site and everything below it
+  siteLevel?: SiteLevel; // rolls the site dimension up to this level
+}
+
+// kgCO₂e of one group; only the dimensions that were grouped by are set
+export interface SummaryRow {
+  year?: string;
+  fiscalYear?: string;
+  month?: string;
+  activity?: string;
+  scope?: string; // "1" | "2" | "3" | "unclassified"
+  site?: string;
+  co2e: number;
+}
+
+/**
+ * CO₂e aggregated in the model (GetEmissionsSummary) with the same factors, GWP set, Scope 2 method and
+ * consolidation approach as the client-side engine, so charts of long histories receive a handful of
+ * totals instead of every activity-data record.
+ */
+export const fetchEmissionsSummary = async (
+  uxpContext: IContextProvider | undefined,
+  query: SummaryQuery
+): Promise<SummaryRow[]> => {
+  if (!uxpContext) return [];
+
+  const result = await uxpContext.executeAction(
+    "carbon_reporting_80rr",
+    "GetEmissionsSummary",
+    {
+      fromYear: query.fromYear ? String(query.fromYear) : "",
+      fromMonth: query.fromMonth || "",
+      toYear: query.toYear ? String(query.toYear) : "",
+      toMonth: query.toMonth || "",
+      groupBy: query.groupBy.join(","),
+      scope2Method: query.scope2Method,
+      activityName: query.activityName || "",
+      site: query.site || "",
+      siteLevel: query.siteLevel || ""
+    },
+    { json: true }
+  );
+
+  return (result || []).map((row: any) => ({ ...row, co2e: parseFloat(row.co2e) || 0 }));
+};
+
+// Scope totals per year of a summary grouped by year (or fiscal year) and scope
+export const getYearScopeTotals = (
+  rows: SummaryRow[],
+  dimension: "year" | "fiscalYear" = "year"
+): { [year: string]: ScopeTotals } => {
+  const years: { [year: string]: ScopeTotals } = {};
+  rows.forEach(row => {
+    const year = row[dimension] || "";
+    if (!years[year]) years[year] = emptyScopeTotals();
+    const totals = years[year];
+    if (row.scope === "1") totals.scope1 += row.co2e;
+    else if (row.scope === "2") totals.scope2 += row.co2e;
+    else if (row.scope === "3") totals.scope3 += row.co2e;
+    else totals.unclassified += row.co2e;
+    totals.total += row.co2e;
+  });
+  return years;
+};
@@ -0,0 +1,95 @@
+import {
+  describeFiscalYear,
+  getCalendarYear,
+  getFiscalYear,
+  getFiscalYearFilter,
+  getFiscalYearLabel,
+  getFiscalYearMonths,
+  getPeriodRange,
+  getPeriodStart
+} from "./fiscalYear";
+import { validMonths } from "./uploadValidation";
+import { Collections, runActionScript } from "./testing/modelScripts";
+
+describe("fiscal years starting in April", () => {
+  it("numbers Apr 2024 – Mar 2025 as 2024", () => {
+    expect(getFiscalYear(2024, "Apr", "Apr")).toBe(2024);
+    expect(getFiscalYear("2024", "Dec", "Apr")).toBe(2024);
+    expect(getFiscalYear(2025, "Jan", "Apr")).toBe(2024);
+    expect(getFiscalYear(2025, "Mar", "Apr")).toBe(2024);
+    expect(getFiscalYear(2025, "Apr", "Apr")).toBe(2025);
+  });
+
+  it("finds the calendar year of a month of the fiscal year", () => {
+    expect(getCalendarYear(2024, "Apr", "Apr")).toBe(2024);
+    expect(getCalendarYear(2024, "Feb", "Apr")).toBe(2025);
+  });
+
+  it("labels the fiscal year with both calendar years", () => {
+    expect(getFiscalYearLabel(2024, "Apr")).toBe("FY2024/25");
+    expect(getFiscalYearLabel(1999, "Jul")).toBe("FY1999/00");
+    expect(describeFiscalYear(2024, "Apr")).toBe("FY2024/25 (Apr 2024 – Mar 2025)");
+  });
+
+  it("runs from April to March of the next year", () => {
+    expect(getFiscalYearMonths(2024, "Apr")).toEqual({ fromYear: 2024, fromMonth: "Apr", toYear: 2025, toMonth: "Mar" });
+    expect(getFiscalYearFilter(2024, null, "Apr")).toEqual({ startDate: "2024-04-01", endDate: "2025-03-01" });
+    expect(getFiscalYearFilter(2024, "Feb", "Apr")).toEqual({ year: 2025, month: "Feb" });
+  });
+});
+
+describe("calendar years", () => {
+  it("are fiscal years starting in January", () => {
+    expect(getFiscalYear(2024, "Jan", "Jan")).toBe(2024);
+    expect(getFiscalYear(2024, "Dec", "Jan")).toBe(2024);
+    expect(getFiscalYearLabel(2024, "Jan")).toBe("2024");
+    expect(getFiscalYearMonths(2024, "Jan")).toEqual({ fromYear: 2024, fromMonth: "Jan", toYear: 2024, toMonth: "Dec" });
+  });
+
+  it("filter a month of every year when no year is set", () => {
+    expect(getFiscalYearFilter(null, "Mar", "Jan")).toEqual({ year: null, month: "Mar" });
+  });
+});
+
+describe("periods", () => {
+  it("start on the first day of the month", () => {
+    expect(getPeriodStart("2024", "Mar")).toBe("2024-03-01");
+    expect(getPeriodStart(2024)).toBe("2024-01-01");
+  });
+
+  it("range from the start of the first month to the start of the last", () => {
+    expect(getPeriodRange(2023, "Jul", 2024, "Jun")).toEqual({ startDate: "2023-07-01", endDate: "2024-06-01" });
+    expect(getPeriodRange(2023, null, null, null)).toEqual({ startDate: "2023-01-01", endDate: "" });
+  });
+});
+
+describe("GetEmissionsSummary fiscal years", () => {
+  // One record of 1 kgCO₂e in every month of 2023 to 2025
+  const tenant = (fiscalYearStart: string): Collections => ({
+    carbon_settings: [{ key: "fiscalYearStart", value: fiscalYearStart }],
+    carbon_activities: [{ activity: "Business Air Travel", scope: "3", category: "6. Business Travel", unit: "km" }],
+    carbon_emission_factors: [{ activity: "Business Air Travel", unit: "km", value: "1", validFrom: "2000-01-01", validTo: "" }],
+    carbon_reporting_80rr: ([] as any[]).concat(...["2023", "2024", "2025"].map(year => validMonths.map(month => ({
+      activity: "Business Air Travel", year, month, value: "1", gas: "", site: "", periodStart: getPeriodStart(year, month)
+    }))))
+  });
+
+  const summary = (db: Collections, inputs: any): Promise<any[]> =>
+    runActionScript("GetEmissionsSummary", db, { scope2Method: "location", ...inputs }).then(output => output.summary);
+
+  validMonths.forEach(start => {
+    it(`numbers fiscal years starting in ${start} like src/fiscalYear.ts`, async () => {
+      const rows = await summary(tenant(start), { groupBy: "year,month,fiscalYear" });
+
+      expect(rows).toHaveLength(36);
+      rows.forEach(row => expect(row.fiscalYear).toBe(String(getFiscalYear(row.year, row.month, start))));
+    });
+  });
+
+  it("returns the twelve months of a fiscal year for its range", async () => {
+    const rows = await summary(tenant("Apr"), { ...getFiscalYearMonths(2024, "Apr"), groupBy: "year,month,fiscalYear" });
+
+    expect(rows).toHaveLength(12);
+    rows.forEach(row => expect(row.fiscalYear).toBe("2024"));
+  });
+});
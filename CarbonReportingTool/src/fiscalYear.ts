@@ -0,0 +1,117 @@
+import { validMonths } from "./uploadValidation";
+
+/**
+ * Fiscal years of the tenant (fiscalYearStart setting, the month the year starts in). A fiscal year is
+ * numbered by the calendar year it starts in: with an April start, Apr 2024 – Mar 2025 is fiscal year 2024,
+ * labelled "FY2024/25". With the default January start fiscal and calendar years are the same.
+ */
+
+export const defaultFiscalYearStart = "Jan";
+
+export const fiscalYearStartOptions = [
+  { label: "January", value: "Jan" }, { label: "February", value: "Feb" },
+  { label: "March", value: "Mar" }, { label: "April", value: "Apr" },
+  { label: "May", value: "May" }, { label: "June", value: "Jun" },
+  { label: "July", value: "Jul" }, { label: "August", value: "Aug" },
+  { label: "September", value: "Sep" }, { label: "October", value: "Oct" },
+  { label: "November", value: "Nov" }, { label: "December", value: "Dec" },
+];
+
+export const parseFiscalYearStart = (value?: string | null): string => {
+  return validMonths.includes(value as string) ? (value as string) : defaultFiscalYearStart;
+};
+
+// The twelve months in fiscal order, e.g. Apr … Mar
+export const getFiscalMonths = (start: string): string[] => {
+  const index = validMonths.indexOf(start);
+  return [...validMonths.slice(index), ...validMonths.slice(0, index)];
+};
+
+// Position (1–12) of each month within the fiscal year, for sorting monthly charts
+export const getFiscalMonthOrder = (start: string): { [month: string]: number } => {
+  const order: { [month: string]: number } = {};
+  getFiscalMonths(start).forEach((month, index) => { order[month] = index + 1; });
+  return order;
+};
+
+// Fiscal year a calendar month falls in
+export const getFiscalYear = (year: string | number, month: string | null | undefined, start: string): number => {
+  const calendarYear = Number(year);
+  return validMonths.indexOf(month || "Jan") < validMonths.indexOf(start) ? calendarYear - 1 : calendarYear;
+};
+
+// Calendar year of a month of a fiscal year, e.g. Feb of FY2024/25 is in 2025
+export const getCalendarYear = (fiscalYear: string | number, month: string, start: string): number => {
+  return validMonths.indexOf(month) < validMonths.indexOf(start) ? Number(fiscalYear) + 1 : Number(fiscalYear);
+};
+
+export const isCalendarYear = (start: string): boolean => start === "Jan";
+
+// "2024" for calendar years, "FY2024/25" otherwise
+export const getFiscalYearLabel = (fiscalYear: string | number, start: string): string => {
+  const year = Number(fiscalYear);
+  return isCalendarYear(start) ? String(year) : `FY${year}/${String(year + 1).slice(-2)}`;
+};
+
+// First and last month of a fiscal year
+export const getFiscalYearMonths = (fiscalYear: string | number, start: string) => {
+  const months = getFiscalMonths(start);
+  return {
+    fromYear: Number(fiscalYear),
+    fromMonth: months[0],
+    toYear: getCalendarYear(fiscalYear, months[11], start),
+    toMonth: months[11],
+  };
+};
+
+// e.g. "FY2024/25 (Apr 2024 – Mar 2025)", shown under the year filters
+export const describeFiscalYear = (fiscalYear: string | number, start: string): string => {
+  const { fromYear, fromMonth, toYear, toMonth } = getFiscalYearMonths(fiscalYear, start);
+  return `${getFiscalYearLabel(fiscalYear, start)} (${fromMonth} ${fromYear} – ${toMonth} ${toYear})`;
+};
+
+export const getCurrentFiscalYear = (start: string): number => {
+  const now = new Date();
+  return getFiscalYear(now.getFullYear(), validMonths[now.getMonth()], start);
+};
+
+const monthNumbers: { [key: string]: string } = {
+  Jan: "01", Feb: "02", Mar: "03", Apr: "04", May: "05", Jun: "06",
+  Jul: "07", Aug: "08", Sep: "09", Oct: "10", Nov: "11", Dec: "12"
+};
+
+// First day of a reporting period as yyyy-MM-dd, e.g. ("2024", "Mar") -> "2024-03-01"
+export const getPeriodStart = (year: string | number, month?: string | null): string => {
+  return `${year}-${(month && monthNumbers[month]) || "01"}-01`;
+};
+
+/**
+ * startDate and endDate of the periods from one month to another, as the range filters send them to
+ * GetAllData, e.g. Jul 2023 – Jun 2024 -> "2023-07-01" to "2024-06-01". Records are matched on the start of
+ * their period, so the end date is the start of the last month. An empty year leaves that end open.
+ */
+export const getPeriodRange = (
+  fromYear?: string | number | null,
+  fromMonth?: string | null,
+  toYear?: string | number | null,
+  toMonth?: string | null
+): { startDate: string; endDate: string } => ({
+  startDate: fromYear ? getPeriodStart(fromYear, fromMonth || "Jan") : "",
+  endDate: toYear ? getPeriodStart(toYear, toMonth || "Dec") : ""
+});
+
+/**
+ * GetAllData parameters of the Year and Month filters of the monthly widgets, where the year is a fiscal
+ * year: one month of it, the whole fiscal year as a date range, or a month of every year when no year is set.
+ */
+export const getFiscalYearFilter = (
+  fiscalYear: string | number | null | undefined,
+  month: string | null | undefined,
+  start: string
+): { year?: number | null; month?: string | null; startDate?: string; endDate?: string } => {
+  if (!fiscalYear) return { year: null, month: month || null };
+  if (month) return { year: getCalendarYear(fiscalYear, month, start), month };
+
+  const { fromYear, fromMonth, toYear, toMonth } = getFiscalYearMonths(fiscalYear, start);
+  return getPeriodRange(fromYear, fromMonth, toYear, toMonth);
+};
@@ -0,0 +1,55 @@
+export type GWPSet = "AR4" | "AR5" | "AR6";
+
+export const gwpSets: GWPSet[] = ["AR4", "AR5", "AR6"];
+
+export const defaultGWPSet: GWPSet = "AR5";
+
+export const gwpSetLabels: { [set: string]: string } = {
+  AR4: "IPCC AR4 (100-year)",
+  AR5: "IPCC AR5 (100-year)",
+  AR6: "IPCC AR6 (100-year)"
+};
+
+interface GasDefinition {
+  label: string;
+  refrigerant: boolean;
+  gwp: { [set: string]: number };
+}
+
+// 100-year global warming potentials. Refrigerant blends use the mass-weighted GWP of their components.
+const gases: { [gas: string]: GasDefinition } = {
+  "CO2": { label: "CO₂", refrigerant: false, gwp: { AR4: 1, AR5: 1, AR6: 1 } },
+  "CH4": { label: "CH₄", refrigerant: false, gwp: { AR4: 25, AR5: 28, AR6: 27.9 } },
+  "N2O": { label: "N₂O", refrigerant: false, gwp: { AR4: 298, AR5: 265, AR6: 273 } },
+  "SF6": { label: "SF₆", refrigerant: false, gwp: { AR4: 22800, AR5: 23500, AR6: 25200 } },
+  "R-22": { label: "R-22 (HCFC-22)", refrigerant: true, gwp: { AR4: 1810, AR5: 1760, AR6: 1960 } },
+  "R-32": { label: "R-32 (HFC-32)", refrigerant: true, gwp: { AR4: 675, AR5: 677, AR6: 771 } },
+  "R-125": { label: "R-125 (HFC-125)", refrigerant: true, gwp: { AR4: 3500, AR5: 3170, AR6: 3740 } },
+  "R-134a": { label: "R-134a (HFC-134a)", refrigerant: true, gwp: { AR4: 1430, AR5: 1300, AR6: 1530 } },
+  "R-404A": { label: "R-404A", refrigerant: true, gwp: { AR4: 3922, AR5: 3943, AR6: 4728 } },
+  "R-407C": { label: "R-407C", refrigerant: true, gwp: { AR4: 1774, AR5: 1624, AR6: 1908 } },
+  "R-410A": { label: "R-410A", refrigerant: true, gwp: { AR4: 2088, AR5: 1924, AR6: 2256 } },
+  "R-1234yf": { label: "R-1234yf (HFO)", refrigerant: true, gwp: { AR4: 4, AR5: 1, AR6: 0.501 } }
+};
+
+// Every gas with a GWP value
+export const knownGases: string[] = Object.keys(gases);
+
+// Gases a factor can be broken down into (fuel combustion etc.)
+export const combustionGases: string[] = ["CO2", "CH4", "N2O"];
+
+export const refrigerantGases: string[] = Object.keys(gases).filter(gas => gases[gas].refrigerant);
+
+export const isKnownGas = (gas: string): boolean => !!gases[gas];
+
+export const getGasLabel = (gas: string): string => (gases[gas] ? gases[gas].label : gas);
+
+// GWP of a gas in the given set, 0 for gases we have no GWP for
+export const getGWP = (gas: string, gwpSet: GWPSet): number => {
+  const definition = gases[gas];
+  return definition ? definition.gwp[gwpSet] : 0;
+};
+
+export const parseGWPSet = (value?: string | null): GWPSet => {
+  return gwpSets.includes(value as GWPSet) ? (value as GWPSet) : defaultGWPSet;
+};
@@ -13,6 +13,9 @@ import AnnualCarbonEmissionChart from "./AnnualCarbonEmissionChart";
 import CarbonReportingTool from "./upload";
 import AnnualCarbonEmissionWithBaselineComparison from "./AnnualCarbonEmissionWithBaselineComparison";
 import BaselineValueManagement from "./BaselineValueManagement";
+import ActivityCatalogueManagement from "./ActivityCatalogueManagement";
+import ContractualInstrumentsManagement from "./ContractualInstrumentsManagement";
+import SiteManagement from "./SiteManagement";
 
 
 
@@ -29,6 +32,9 @@ registerWidget({ id: "ESGStackedBarChart", widget: ESGStackedBarChart });
 registerWidget({ id: "AnnualCarbonEmissionChart", widget: AnnualCarbonEmissionChart });
 registerWidget({ id: "AnnualCarbonEmissionWithBaselineComparison", widget: AnnualCarbonEmissionWithBaselineComparison });
 registerWidget({ id: "ESGAreaChart", widget: ESGAreaChart });
+registerWidget({ id: "ActivityCatalogueManagement", widget: ActivityCatalogueManagement });
+registerWidget({ id: "ContractualInstrumentsManagement", widget: ContractualInstrumentsManagement });
+registerWidget({ id: "SiteManagement", widget: SiteManagement });
 
 
 
@@ -0,0 +1,49 @@
+import { IContextProvider } from "./uxp";
+
+export type Scope2Method = "location" | "market";
+
+export const scope2MethodOptions = [
+  { label: "Location-based", value: "location" },
+  { label: "Market-based", value: "market" }
+];
+
+export const instrumentTypes: string[] = ["REC", "Green Tariff", "PPA", "Supplier-Specific Contract"];
+
+// A contractual instrument (carbon_contractual_instruments collection) covering electricity in one period
+export interface ContractualInstrument {
+  _id?: string;
+  instrumentType: string;
+  activity: string; // Scope 2 activity it covers; empty covers every Scope 2 activity
+  year: string;
+  month: string; // empty when the instrument covers the whole year
+  mwh: number;
+  emissionFactor: number; // kgCO₂e per kWh claimed by the instrument, 0 for renewable certificates
+  reference: string; // certificate / contract number
+}
+
+export const fetchContractualInstruments = async (uxpContext?: IContextProvider): Promise<ContractualInstrument[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetContractualInstruments",
+      {},
+      { json: true }
+    );
+
+    return (result || []).map((row: any) => ({
+      _id: row._id,
+      instrumentType: row.instrumentType || "",
+      activity: row.activity || "",
+      year: row.year ? row.year.toString() : "",
+      month: row.month || "",
+      mwh: parseFloat(row.mwh) || 0,
+      emissionFactor: parseFloat(row.emissionFactor) || 0,
+      reference: row.reference || ""
+    }));
+  } catch (error) {
+    console.error("Error fetching contractual instruments:", error);
+    return [];
+  }
+};
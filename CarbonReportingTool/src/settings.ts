@@ -0,0 +1,37 @@
+import { IContextProvider } from "./uxp";
+
+// Tenant-wide reporting settings (carbon_settings collection), keyed by setting name
+export interface CarbonSettings {
+  [key: string]: string;
+}
+
+export const fetchCarbonSettings = async (uxpContext?: IContextProvider): Promise<CarbonSettings> => {
+  if (!uxpContext) return {};
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetCarbonSettings",
+      {},
+      { json: true }
+    );
+
+    const settings: CarbonSettings = {};
+    (result || []).forEach((row: any) => {
+      settings[row.key] = row.value;
+    });
+    return settings;
+  } catch (error) {
+    console.error("Error fetching carbon settings:", error);
+    return {};
+  }
+};
+
+export const saveCarbonSetting = async (uxpContext: IContextProvider | undefined, key: string, value: string) => {
+  await uxpContext?.executeAction(
+    "carbon_reporting_80rr",
+    "SaveCarbonSetting",
+    { key, value },
+    { json: true }
+  );
+};
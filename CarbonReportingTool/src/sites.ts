@@ -0,0 +1,112 @@
+import { IContextProvider } from "./uxp";
+
+// Levels of the organisational hierarchy: an entity has sites, a site has buildings
+export type SiteLevel = "entity" | "site" | "building";
+
+export const siteLevels: SiteLevel[] = ["entity", "site", "building"];
+
+export const siteLevelOptions = [
+  { label: "Entity", value: "entity" },
+  { label: "Site", value: "site" },
+  { label: "Building", value: "building" }
+];
+
+// Level the parent of each level has; entities are the top of the hierarchy
+export const parentLevels: { [level: string]: SiteLevel | "" } = { entity: "", site: "entity", building: "site" };
+
+// An entity, site or building (carbon_sites collection). Records and children refer to it by name.
+export interface Site {
+  _id?: string;
+  name: string;
+  level: SiteLevel;
+  parent: string; // name of the entity or site above it, "" for entities
+  // Entities only: how the group holds the entity, for the consolidation approach
+  ownership: number; // group's equity share in percent
+  operationalControl: boolean;
+  financialControl: boolean;
+}
+
+// Label of records with no site, which were stored before sites were introduced
+export const unassignedSite = "Unassigned";
+
+// What the charts break emissions down by: the activity, or the entity, site or building of each record
+export type Breakdown = "activity" | SiteLevel;
+
+export const breakdownOptions = [
+  { label: "Activity", value: "activity" },
+  { label: "Entity", value: "entity" },
+  { label: "Site", value: "site" },
+  { label: "Building", value: "building" }
+];
+
+export const fetchSites = async (uxpContext?: IContextProvider): Promise<Site[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetSites",
+      {},
+      { json: true }
+    );
+
+    return (result || [])
+      .map((row: any) => ({
+        _id: row._id,
+        name: row.name || "",
+        level: row.level as SiteLevel,
+        parent: row.parent || "",
+        // Entities saved before ownership was recorded are wholly owned and controlled
+        ownership: isNaN(parseFloat(row.ownership)) ? 100 : parseFloat(row.ownership),
+        operationalControl: row.operationalControl !== "false",
+        financialControl: row.financialControl !== "false"
+      }))
+      .filter((site: Site) => site.name && siteLevels.includes(site.level));
+  } catch (error) {
+    console.error("Error fetching sites:", error);
+    return [];
+  }
+};
+
+export const findSite = (sites: Site[], name: string): Site | undefined =>
+  sites.find((site) => site.name === name);
+
+/**
+ * The site a record's site rolls up to at a level: the entity of a building, the site of a building and so
+ * on. Records without a site, or recorded above the level (an entity-level record viewed by site), are
+ * grouped as unassigned.
+ */
+export const getSiteAtLevel = (sites: Site[], name: string | undefined, level: SiteLevel): string => {
+  let site = name ? findSite(sites, name) : undefined;
+  while (site && site.level !== level) {
+    site = site.parent ? findSite(sites, site.parent) : undefined;
+  }
+  return site ? site.name : unassignedSite;
+};
+
+// "All Sites" followed by the hierarchy in tree order, each level indented (non-breaking spaces) below its parent
+export const getSiteOptions = (sites: Site[]): { label: string; value: string }[] => {
+  const options = [{ label: "All Sites", value: "" }];
+  const addChildren = (parent: string, depth: number) => {
+    sites
+      .filter((site) => site.parent === parent)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((site) => {
+        options.push({ label: `${"\u00A0".repeat(depth * 4)}${site.name}`, value: site.name });
+        addChildren(site.name, depth + 1);
+      });
+  };
+  addChildren("", 0);
+  return options;
+};
+
+// Colours of the groups of a site breakdown, reused in order when there are more groups
+const groupPalette = ["#3498DB", "#E67E22", "#2ECC71", "#9B59B6", "#F1C40F", "#1ABC9C", "#E74C3C", "#34495E"];
+
+export const getGroupColor = (group: string, index: number): string =>
+  group === unassignedSite ? "#ADB5BD" : groupPalette[index % groupPalette.length];
+
+// Names the group of a record under a breakdown: its activity, or its site rolled up to the level
+export const getBreakdownGroup = (sites: Site[], breakdown: Breakdown) =>
+  (record: { activity: string; site?: string }): string =>
+    breakdown === "activity" ? record.activity : getSiteAtLevel(sites, record.site, breakdown);
@@ -0,0 +1,89 @@
+import * as XLSX from "xlsx";
+
+// Columns of the upload template, in template order
+export const templateColumns: string[] = ["Activity", "Year", "Month", "Value", "Unit", "Gas", "Site"];
+
+const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+export const isSpreadsheetFile = (file: File): boolean => /\.(xlsx|xls)$/i.test(file.name);
+
+export const readWorkbook = (file: File): Promise<XLSX.WorkBook> => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        resolve(XLSX.read(new Uint8Array(e.target?.result as ArrayBuffer), { type: "array", cellDates: true }));
+      } catch (error) {
+        reject(error);
+      }
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+// "1", "01", "January", "jan" or a date cell -> "Jan"; anything else is returned unchanged
+export const normaliseMonth = (value: any): string => {
+  if (value instanceof Date) return monthNames[value.getMonth()];
+
+  const text = String(value ?? "").trim();
+  const number = parseInt(text, 10);
+  if (/^\d{1,2}$/.test(text) && number >= 1 && number <= 12) return monthNames[number - 1];
+
+  const match = monthNames.find((month) => text.toLowerCase().startsWith(month.toLowerCase()));
+  return match || text;
+};
+
+// Sheets shown in Excel; hidden sheets (e.g. the dropdown lists of the generated template) are not imported
+export const getVisibleSheetNames = (workbook: XLSX.WorkBook): string[] =>
+  workbook.SheetNames.filter((_, index) => !workbook.Workbook?.Sheets?.[index]?.Hidden);
+
+// Column added to rows imported from several sheets, naming the sheet each row came from
+export const sheetColumn = "Sheet";
+
+// Rows of one sheet with their original headers; date cells stay Date objects for the column mapping
+export const getSheetRows = (workbook: XLSX.WorkBook, sheetName: string): any[] => {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) return [];
+
+  return XLSX.utils.sheet_to_json<any>(sheet, { defval: "", raw: true })
+    .filter((row) => Object.keys(row).some((col) => String(row[col]).trim() !== ""));
+};
+
+// Rows of several sheets, each with the sheet it came from
+export const getWorkbookRows = (workbook: XLSX.WorkBook, sheetNames: string[]): any[] =>
+  sheetNames.reduce(
+    (rows: any[], sheetName) => rows.concat(getSheetRows(workbook, sheetName).map((row) => ({ ...row, [sheetColumn]: sheetName }))),
+    []
+  );
+
+/**
+ * Mapped rows of several sheets combined into one upload.
+ * Rows for the same activity, period, gas, site and unit on different sheets (e.g. one sheet per
+ * meter) are added together, since the upload replaces a record with the same activity and period.
+ */
+export const combineSheetRows = (rows: any[]): any[] => {
+  const combined: { [key: string]: any } = {};
+  const order: string[] = [];
+
+  rows.forEach((row, index) => {
+    const value = parseFloat(row.Value);
+    const key = isNaN(value)
+      ? `#${index}`
+      : ["Activity", "Year", "Month", "Gas", "Site", "Unit"].map((col) => (row[col] || "").toLowerCase()).join("|");
+
+    if (!combined[key]) {
+      combined[key] = { ...row };
+      order.push(key);
+      return;
+    }
+
+    const existing = combined[key];
+    existing.Value = (parseFloat(existing.Value) + value).toString();
+    if (!existing[sheetColumn].split(", ").includes(row[sheetColumn])) {
+      existing[sheetColumn] = `${existing[sheetColumn]}, ${row[sheetColumn]}`;
+    }
+  });
+
+  return order.map((key) => combined[key]);
+};
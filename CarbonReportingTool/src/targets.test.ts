@@ -0,0 +1,100 @@
+import { ReductionTarget, describeTarget, getRequiredEmissions, getTargetReduction, isOnTrack } from "./targets";
+import { runActionScript } from "./testing/modelScripts";
+
+const target = (overrides: Partial<ReductionTarget> = {}): ReductionTarget => ({
+  name: "Net zero path",
+  type: "absolute",
+  reduction: 50,
+  baselineYear: 2020,
+  targetYear: 2030,
+  pathway: "linear",
+  metric: "",
+  denominators: {},
+  ...overrides
+});
+
+describe("getTargetReduction", () => {
+  it("uses the entered reduction on a linear pathway", () => {
+    expect(getTargetReduction(target())).toBe(50);
+  });
+
+  it("derives the reduction from the annual rate of an SBTi-style pathway", () => {
+    expect(getTargetReduction(target({ pathway: "sbti-1.5" }))).toBeCloseTo(42);
+    expect(getTargetReduction(target({ pathway: "sbti-wb2c" }))).toBeCloseTo(25);
+  });
+
+  it("caps SBTi-style reductions at 100%", () => {
+    expect(getTargetReduction(target({ pathway: "sbti-1.5", targetYear: 2050 }))).toBe(100);
+    expect(describeTarget(target({ pathway: "sbti-1.5", targetYear: 2050 }))).toBe("100% absolute reduction by 2050 against 2020");
+  });
+});
+
+describe("getRequiredEmissions", () => {
+  it("reaches the reduction in a straight line and holds it after the target year", () => {
+    const linear = target();
+
+    expect(getRequiredEmissions(linear, 1000, 2020)).toBeCloseTo(1000);
+    expect(getRequiredEmissions(linear, 1000, 2025)).toBeCloseTo(750);
+    expect(getRequiredEmissions(linear, 1000, 2030)).toBeCloseTo(500);
+    expect(getRequiredEmissions(linear, 1000, 2035)).toBeCloseTo(500);
+  });
+
+  it("follows the capped SBTi-style reduction", () => {
+    const sbti = target({ pathway: "sbti-1.5", targetYear: 2050 });
+
+    expect(getRequiredEmissions(sbti, 1000, 2035)).toBeCloseTo(500);
+    expect(getRequiredEmissions(sbti, 1000, 2050)).toBeCloseTo(0);
+  });
+
+  it("has no required value before the baseline year or without baseline emissions", () => {
+    expect(getRequiredEmissions(target(), 1000, 2019)).toBeNull();
+    expect(getRequiredEmissions(target(), 0, 2025)).toBeNull();
+  });
+
+  it("has no trajectory when the target year is not after the baseline year", () => {
+    expect(getRequiredEmissions(target({ targetYear: 2020 }), 1000, 2020)).toBeNull();
+    expect(getRequiredEmissions(target({ targetYear: 2018 }), 1000, 2025)).toBeNull();
+  });
+
+  it("converts an intensity trajectory back to emissions with each year's metric value", () => {
+    // 1000 tCO₂e over 10,000 m² is 0.1 tCO₂e/m² in 2020, so 0.075 tCO₂e/m² in 2025
+    const intensity = target({ type: "intensity", metric: "m²", denominators: { "2020": 10000, "2025": 12000 } });
+
+    expect(getRequiredEmissions(intensity, 1000, 2025)).toBeCloseTo(0.075 * 12000);
+  });
+
+  it("has no intensity value for years or baselines without a metric value", () => {
+    const intensity = target({ type: "intensity", metric: "m²", denominators: { "2020": 10000 } });
+    const noBase = target({ type: "intensity", metric: "m²", denominators: { "2025": 12000 } });
+
+    expect(getRequiredEmissions(intensity, 1000, 2025)).toBeNull();
+    expect(getRequiredEmissions(noBase, 1000, 2025)).toBeNull();
+  });
+
+  it("is on track at or below the required value", () => {
+    expect(isOnTrack(750, 750)).toBe(true);
+    expect(isOnTrack(751, 750)).toBe(false);
+    expect(isOnTrack(751, null)).toBeNull();
+  });
+});
+
+describe("SaveReductionTarget", () => {
+  const save = (inputs: any) => runActionScript("SaveReductionTarget", {}, {
+    name: "Net zero path", type: "absolute", reduction: "50", baselineYear: "2020", targetYear: "2030", pathway: "linear", ...inputs
+  });
+
+  it("rejects a target year that is not after the baseline year", async () => {
+    await expect(save({ targetYear: "2020" })).rejects.toBe("targetYear must be after baselineYear");
+    await expect(save({ targetYear: "2019" })).rejects.toBe("targetYear must be after baselineYear");
+  });
+
+  it("stores the reduction of an SBTi-style pathway capped at 100%", async () => {
+    const output = await save({ pathway: "sbti-1.5", targetYear: "2050", reduction: "" });
+    expect(output.target.reduction).toBe("100");
+  });
+
+  it("rejects an intensity target without a metric value for the baseline year", async () => {
+    await expect(save({ type: "intensity", metric: "m²", denominators: JSON.stringify({ "2025": 12000 }) }))
+      .rejects.toBe("An intensity target needs a positive m² for the baseline year 2020");
+  });
+});
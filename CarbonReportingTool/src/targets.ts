@@ -0,0 +1,118 @@
+import { IContextProvider } from "./uxp";
+
+/**
+ * Emission reduction targets (carbon_targets collection): a reduction of a percentage of the baseline
+ * by a target year, reached in a straight line from the baseline year. An intensity target reduces
+ * emissions per unit of a metric (floor area, revenue, …) rather than total emissions.
+ */
+export type TargetType = "absolute" | "intensity";
+
+// linear: straight line to the entered reduction; SBTi-style pathways reduce a fixed share of base-year emissions a year
+export type TargetPathway = "linear" | "sbti-1.5" | "sbti-wb2c";
+
+export interface ReductionTarget {
+  _id?: string;
+  name: string;
+  type: TargetType;
+  reduction: number; // percent of the baseline by the target year
+  baselineYear: number;
+  targetYear: number;
+  pathway: TargetPathway;
+  metric: string; // intensity targets only
+  denominators: { [year: string]: number }; // intensity targets only: metric value of each year
+}
+
+export const targetTypeOptions = [
+  { label: "Absolute", value: "absolute" },
+  { label: "Intensity", value: "intensity" }
+];
+
+export const targetPathwayOptions = [
+  { label: "Linear to the entered reduction", value: "linear" },
+  { label: "SBTi 1.5°C (4.2% a year)", value: "sbti-1.5" },
+  { label: "SBTi well-below 2°C (2.5% a year)", value: "sbti-wb2c" }
+];
+
+// Percent of base-year emissions an SBTi-style pathway reduces each year
+export const pathwayRates: { [pathway: string]: number } = { linear: 0, "sbti-1.5": 4.2, "sbti-wb2c": 2.5 };
+
+const parseDenominators = (denominators: any): { [year: string]: number } => {
+  if (!denominators) return {};
+  try {
+    const parsed = typeof denominators === "string" ? JSON.parse(denominators) : denominators;
+    const values: { [year: string]: number } = {};
+    Object.keys(parsed || {}).forEach(year => {
+      const value = parseFloat(parsed[year]);
+      if (!isNaN(value)) values[year] = value;
+    });
+    return values;
+  } catch (error) {
+    console.error("Invalid denominators on reduction target:", denominators);
+    return {};
+  }
+};
+
+export const fetchTargets = async (uxpContext?: IContextProvider): Promise<ReductionTarget[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetReductionTargets",
+      {},
+      { json: true }
+    );
+
+    return (result || []).map((row: any) => ({
+      _id: row._id,
+      name: row.name || "",
+      type: row.type === "intensity" ? "intensity" : "absolute",
+      reduction: parseFloat(row.reduction) || 0,
+      baselineYear: Number(row.baselineYear),
+      targetYear: Number(row.targetYear),
+      pathway: row.pathway in pathwayRates ? row.pathway : "linear",
+      metric: row.metric || "",
+      denominators: parseDenominators(row.denominators)
+    }));
+  } catch (error) {
+    console.error("Error fetching reduction targets:", error);
+    return [];
+  }
+};
+
+// Reduction by the target year: entered for linear targets, derived from the annual rate for SBTi-style pathways
+export const getTargetReduction = (target: ReductionTarget): number => {
+  const rate = pathwayRates[target.pathway];
+  return rate ? Math.min(rate * (target.targetYear - target.baselineYear), 100) : target.reduction;
+};
+
+// e.g. "42% absolute reduction by 2030 against 2020"
+export const describeTarget = (target: ReductionTarget, yearLabel: (year: number) => string = String): string => {
+  const kind = target.type === "intensity" ? `reduction per ${target.metric}` : "absolute reduction";
+  return `${getTargetReduction(target).toFixed(1).replace(/\.0$/, "")}% ${kind} by ${yearLabel(target.targetYear)} against ${yearLabel(target.baselineYear)}`;
+};
+
+/**
+ * Emissions allowed in a year on the target's trajectory, given the baseline emissions of its baseline
+ * year. The reduction is reached in a straight line and held after the target year. An intensity
+ * trajectory is converted back to emissions with the year's metric value, so years without one (or
+ * before the baseline) have no required value. SaveReductionTarget only accepts target years after the
+ * baseline year; a target stored without one has no trajectory.
+ */
+export const getRequiredEmissions = (target: ReductionTarget, baselineEmissions: number, year: number): number | null => {
+  if (!(target.targetYear > target.baselineYear)) return null;
+  if (year < target.baselineYear || baselineEmissions <= 0) return null;
+
+  const progress = Math.min((year - target.baselineYear) / (target.targetYear - target.baselineYear), 1);
+  const remaining = 1 - (getTargetReduction(target) / 100) * progress;
+  if (target.type === "absolute") return baselineEmissions * remaining;
+
+  const baseDenominator = target.denominators[String(target.baselineYear)];
+  const denominator = target.denominators[String(year)];
+  if (!baseDenominator || denominator === undefined) return null;
+  return (baselineEmissions / baseDenominator) * remaining * denominator;
+};
+
+// On track when a year's emissions are at or below its required value
+export const isOnTrack = (emissions: number, required: number | null): boolean | null =>
+  required === null ? null : emissions <= required;
@@ -0,0 +1,69 @@
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * Runs the script actions of carbon_reporting_80rr.Model.v2.json in Jest, against collections held in memory.
+ * The queries support what the scripts use: equality, $in, $gte/$lte, $and and $or.
+ */
+export type Collections = { [collection: string]: any[] };
+
+const model = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "../../models/carbon_reporting_80rr.Model.v2.json"), "utf8")
+);
+
+export const getActionScript = (action: string): string =>
+  model.models[0].Definition.flows.blocks.find(
+    (block: any) => block.surface === action && block.type === "es6javascript"
+  ).code;
+
+// Missing fields compare as null, as they do in the model's store
+const matchesCondition = (value: any, condition: any): boolean => {
+  const stored = value === undefined ? null : value;
+  if (condition === null || typeof condition !== "object") return stored === condition;
+  return Object.keys(condition).every(operator => {
+    if (operator === "$in") return condition.$in.indexOf(stored) !== -1;
+    if (operator === "$gte") return stored !== null && stored >= condition.$gte;
+    if (operator === "$lte") return stored !== null && stored <= condition.$lte;
+    throw new Error(`Unsupported query operator ${operator}`);
+  });
+};
+
+const matches = (doc: any, query: any = {}): boolean =>
+  Object.keys(query).every(key => {
+    if (key === "$and") return query.$and.every((part: any) => matches(doc, part));
+    if (key === "$or") return query.$or.some((part: any) => matches(doc, part));
+    return matchesCondition(doc[key], query[key]);
+  });
+
+const memoryCollections = (db: Collections) => {
+  let nextId = 1;
+  const docs = (name: string) => (db[name] = db[name] || []);
+
+  return {
+    findOne: (name: string, query: any) => Promise.resolve(docs(name).find(doc => matches(doc, query)) || {}),
+    findMany: (name: string, query: any) => Promise.resolve(docs(name).filter(doc => matches(doc, query))),
+    insertOne: (name: string, doc: any) => {
+      docs(name).push({ _id: `id-${nextId++}`, ...doc });
+      return Promise.resolve();
+    },
+    updateOne: (name: string, query: any, update: any) => {
+      const doc = docs(name).find(d => matches(d, query));
+      if (doc) Object.assign(doc, update);
+      return Promise.resolve();
+    },
+    deleteOne: (name: string, query: any) => {
+      const index = docs(name).findIndex(doc => matches(doc, query));
+      if (index !== -1) docs(name).splice(index, 1);
+      return Promise.resolve();
+    }
+  };
+};
+
+// Resolves to what the script passes to runtime.done, and rejects with what it passes to runtime.error
+export const runActionScript = (action: string, db: Collections, inputs: any): Promise<any> =>
+  new Promise((resolve, reject) => {
+    const collections = memoryCollections(db);
+    const runtime = { inputs: () => inputs, done: resolve, error: reject };
+    const lucy = { currentModel: () => ({ collections: () => collections }) };
+    new Function("runtime", "lucy", getActionScript(action))(runtime, lucy);
+  });
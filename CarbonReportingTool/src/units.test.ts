@@ -0,0 +1,82 @@
+import { convertUnit, findUnit, normaliseActivityValue } from "./units";
+import { CatalogueActivity } from "./activityCatalogue";
+import { EmissionFactor } from "./emissionFactors";
+
+const factor = (activity: string, unit: string, validFrom = "2000-01-01", validTo: string | null = null): EmissionFactor => ({
+  activity, unit, value: 1, source: "", scope: "", category: "", validFrom, validTo
+});
+
+describe("convertUnit", () => {
+  it("converts kWh and MWh", () => {
+    expect(convertUnit(2500, "kWh", "MWh")).toBeCloseTo(2.5);
+    expect(convertUnit(2.5, "MWh", "kWh")).toBeCloseTo(2500);
+  });
+
+  it("converts litres and m³", () => {
+    expect(convertUnit(1500, "litres", "m³")).toBeCloseTo(1.5);
+    expect(convertUnit(1.5, "m3", "litres")).toBeCloseTo(1500);
+  });
+
+  it("converts kg and tonnes", () => {
+    expect(convertUnit(2000, "kg", "tonnes")).toBeCloseTo(2);
+    expect(convertUnit(2, "t", "kg")).toBeCloseTo(2000);
+  });
+
+  it("accepts the unit spellings seen in uploads", () => {
+    expect(findUnit(" Liters ")).toBe("litres");
+    expect(convertUnit(3, "MWH", "kwh")).toBeCloseTo(3000);
+  });
+
+  it("rejects units of different dimensions", () => {
+    expect(convertUnit(10, "kWh", "litres")).toBeNull();
+    expect(convertUnit(10, "km", "kg")).toBeNull();
+  });
+
+  it("converts volume and mass only with a density", () => {
+    expect(convertUnit(100, "litres", "kg")).toBeNull();
+    expect(convertUnit(100, "litres", "kg", 0.84)).toBeCloseTo(84);
+    expect(convertUnit(84, "kg", "litres", 0.84)).toBeCloseTo(100);
+  });
+});
+
+describe("normaliseActivityValue", () => {
+  const catalogue: CatalogueActivity[] = [
+    { activity: "Diesel", scope: 1, category: "Stationary Combustion", unit: "litres", density: 0.84 },
+    { activity: "Electricity Consumption", scope: 2, category: "Purchased Electricity", unit: "kWh" },
+    { activity: "Refrigerant Leakages/Refilling", scope: 1, category: "Fugitive Emissions", unit: "kg", refrigerant: true }
+  ];
+  const factors = [
+    factor("Electricity Consumption", "kWh", "2000-01-01", "2023-12-31"),
+    factor("Electricity Consumption", "MWh", "2024-01-01")
+  ];
+  const record = (activity: string, value: number, unit: string, year = "2023", gas?: string) =>
+    ({ activity, year, month: "Jan", value, unit, gas });
+
+  it("converts to the unit of the emission factor in effect for the period", () => {
+    expect(normaliseActivityValue(factors, catalogue, record("Electricity Consumption", 3, "MWh"))).toEqual({ value: 3000, unit: "kWh" });
+    expect(normaliseActivityValue(factors, catalogue, record("Electricity Consumption", 3000, "kWh", "2024")).value).toBeCloseTo(3);
+  });
+
+  it("falls back to the catalogue unit and its density", () => {
+    expect(normaliseActivityValue(factors, catalogue, record("Diesel", 1, "m³"))).toEqual({ value: 1000, unit: "litres" });
+    expect(normaliseActivityValue(factors, catalogue, record("Diesel", 84, "kg")).value).toBeCloseTo(100);
+  });
+
+  it("normalises refrigerant amounts to kg", () => {
+    expect(normaliseActivityValue(factors, catalogue, record("Refrigerant Leakages/Refilling", 0.5, "t", "2023", "R-410A"))).toEqual({ value: 500, unit: "kg" });
+  });
+
+  it("keeps values reported without a unit in the calculation unit", () => {
+    expect(normaliseActivityValue(factors, catalogue, record("Electricity Consumption", 42, ""))).toEqual({ value: 42, unit: "kWh" });
+  });
+
+  it("rejects units that cannot be converted instead of passing the value through", () => {
+    const incompatible = normaliseActivityValue(factors, catalogue, record("Electricity Consumption", 10, "litres"));
+    const unknown = normaliseActivityValue(factors, catalogue, record("Electricity Consumption", 10, "barrels"));
+
+    expect(incompatible.value).toBeNull();
+    expect(incompatible.error).toBe('"litres" cannot be converted to kWh for Electricity Consumption.');
+    expect(unknown.value).toBeNull();
+    expect(unknown.error).toBe('"barrels" is not a supported unit for Electricity Consumption.');
+  });
+});
@@ -0,0 +1,148 @@
+import { CatalogueActivity, findCatalogueActivity } from "./activityCatalogue";
+import { EmissionFactor, findEmissionFactor } from "./emissionFactors";
+import { getPeriodStart } from "./fiscalYear";
+
+export type UnitDimension = "volume" | "mass" | "energy" | "distance";
+
+interface UnitDefinition {
+  dimension: UnitDimension;
+  toBase: number; // size of one unit in litres, kg, kWh or km
+}
+
+// Units activity data can be reported in, keyed by the canonical unit name
+const units: { [unit: string]: UnitDefinition } = {
+  "litres": { dimension: "volume", toBase: 1 },
+  "m³": { dimension: "volume", toBase: 1000 },
+  "US gallons": { dimension: "volume", toBase: 3.785411784 },
+  "imperial gallons": { dimension: "volume", toBase: 4.54609 },
+  "kg": { dimension: "mass", toBase: 1 },
+  "g": { dimension: "mass", toBase: 0.001 },
+  "tonnes": { dimension: "mass", toBase: 1000 },
+  "lb": { dimension: "mass", toBase: 0.45359237 },
+  "kWh": { dimension: "energy", toBase: 1 },
+  "MWh": { dimension: "energy", toBase: 1000 },
+  "GWh": { dimension: "energy", toBase: 1000000 },
+  "MJ": { dimension: "energy", toBase: 1 / 3.6 },
+  "GJ": { dimension: "energy", toBase: 1000 / 3.6 },
+  "therms": { dimension: "energy", toBase: 29.3071 },
+  "km": { dimension: "distance", toBase: 1 },
+  "miles": { dimension: "distance", toBase: 1.609344 }
+};
+
+// Spellings seen in uploads, lower case, mapped to the canonical unit name
+const unitAliases: { [alias: string]: string } = {
+  "l": "litres", "litre": "litres", "litres": "litres", "liter": "litres", "liters": "litres", "ltr": "litres",
+  "m3": "m³", "m³": "m³", "cubic metres": "m³", "cubic meters": "m³",
+  "gal": "US gallons", "gallon": "US gallons", "gallons": "US gallons", "us gal": "US gallons", "us gallons": "US gallons",
+  "imp gal": "imperial gallons", "imperial gallon": "imperial gallons", "imperial gallons": "imperial gallons",
+  "kg": "kg", "kgs": "kg", "kilogram": "kg", "kilograms": "kg",
+  "g": "g", "gram": "g", "grams": "g",
+  "t": "tonnes", "tonne": "tonnes", "tonnes": "tonnes", "metric ton": "tonnes", "metric tons": "tonnes",
+  "lb": "lb", "lbs": "lb", "pound": "lb", "pounds": "lb",
+  "kwh": "kWh", "mwh": "MWh", "gwh": "GWh", "mj": "MJ", "gj": "GJ",
+  "therm": "therms", "therms": "therms",
+  "km": "km", "kilometre": "km", "kilometres": "km", "kilometer": "km", "kilometers": "km",
+  "mi": "miles", "mile": "miles", "miles": "miles"
+};
+
+export const supportedUnits: string[] = Object.keys(units);
+
+// Canonical name of a unit, null when the unit is not in the conversion table
+export const findUnit = (unit?: string | null): string | null => {
+  if (!unit) return null;
+  return unitAliases[unit.trim().toLowerCase()] || null;
+};
+
+const isSameUnit = (a: string, b: string): boolean => {
+  const canonicalA = findUnit(a);
+  const canonicalB = findUnit(b);
+  if (canonicalA && canonicalB) return canonicalA === canonicalB;
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+};
+
+/**
+ * Converts a value between two units, null when they cannot be converted.
+ * Volume and mass convert into each other only when a density (kg per litre) is given,
+ * which the activity catalogue holds for fuels.
+ */
+export const convertUnit = (value: number, fromUnit: string, toUnit: string, density?: number): number | null => {
+  if (isSameUnit(fromUnit, toUnit)) return value;
+
+  const from = units[findUnit(fromUnit) || ""];
+  const to = units[findUnit(toUnit) || ""];
+  if (!from || !to) return null;
+
+  let base = value * from.toBase;
+
+  if (from.dimension !== to.dimension) {
+    if (!density || density <= 0) return null;
+    if (from.dimension === "volume" && to.dimension === "mass") base = base * density;
+    else if (from.dimension === "mass" && to.dimension === "volume") base = base / density;
+    else return null;
+  }
+
+  return base / to.toBase;
+};
+
+/**
+ * Unit the calculation expects for an activity in a period: kg for refrigerant gases, otherwise the
+ * unit of the emission factor in effect, falling back to the unit in the activity catalogue.
+ */
+export const getCalculationUnit = (
+  factors: EmissionFactor[],
+  catalogue: CatalogueActivity[],
+  activity: string,
+  year: string | number,
+  month?: string | null,
+  gas?: string
+): string | null => {
+  if (gas) return "kg";
+
+  const factor = findEmissionFactor(factors, activity, getPeriodStart(year, month));
+  if (factor && factor.unit) return factor.unit;
+
+  const entry = findCatalogueActivity(catalogue, activity);
+  return entry && entry.unit ? entry.unit : null;
+};
+
+export interface NormalisedValue {
+  value: number | null; // value in the calculation unit, null when it could not be converted
+  unit: string; // calculation unit
+  error?: string;
+}
+
+/**
+ * Normalises a reported value to the unit the calculation expects for the activity.
+ * A blank reported unit means the value is already in that unit.
+ */
+export const normaliseActivityValue = (
+  factors: EmissionFactor[],
+  catalogue: CatalogueActivity[],
+  record: { activity: string; year: string | number; month?: string | null; value: number; unit?: string; gas?: string }
+): NormalisedValue => {
+  const targetUnit = getCalculationUnit(factors, catalogue, record.activity, record.year, record.month, record.gas);
+  const reportedUnit = (record.unit || "").trim();
+
+  if (!targetUnit) {
+    return reportedUnit
+      ? { value: record.value, unit: reportedUnit }
+      : { value: null, unit: "", error: `No unit is defined for "${record.activity}". Add it to the activity catalogue.` };
+  }
+  if (!reportedUnit) return { value: record.value, unit: targetUnit };
+
+  const entry = findCatalogueActivity(catalogue, record.activity);
+  const converted = convertUnit(record.value, reportedUnit, targetUnit, entry?.density);
+
+  if (converted === null) {
+    const dimensions = [units[findUnit(reportedUnit) || ""], units[findUnit(targetUnit) || ""]]
+      .map(definition => definition && definition.dimension);
+    const needsDensity = dimensions.includes("volume") && dimensions.includes("mass") && !entry?.density;
+
+    const reason = !findUnit(reportedUnit)
+      ? `"${reportedUnit}" is not a supported unit`
+      : `"${reportedUnit}" cannot be converted to ${targetUnit}${needsDensity ? " without a fuel density in the activity catalogue" : ""}`;
+    return { value: null, unit: targetUnit, error: `${reason} for ${record.activity}.` };
+  }
+
+  return { value: converted, unit: targetUnit };
+};
@@ -6,10 +6,59 @@ import {
   useToast,
   Modal,
   ActionResponse,
+  Checkbox,
+  FormField,
+  Label,
+  Select,
+  Input,
 } from "uxp/components";
 import { useRef, useState } from "react";
 import Papa from "papaparse";
+import * as XLSX from "xlsx";
 import { IContextProvider } from "./uxp";
+import { CatalogueActivity, fetchActivityCatalogue } from "./activityCatalogue";
+import { EmissionFactor, fetchEmissionFactors } from "./emissionFactors";
+import { normaliseActivityValue } from "./units";
+import {
+  templateColumns,
+  sheetColumn,
+  isSpreadsheetFile,
+  readWorkbook,
+  getSheetRows,
+  getWorkbookRows,
+  getVisibleSheetNames,
+  combineSheetRows,
+} from "./spreadsheet";
+import { TemplateFormat, templateFormatOptions, buildTemplateRows, buildTemplateWorkbook, toCSV } from "./uploadTemplate";
+import {
+  ColumnMapping,
+  UploadProfile,
+  DateFormat,
+  dateFormatOptions,
+  periodSourceOptions,
+  fixedValueFields,
+  getSourceColumns,
+  hasTemplateLayout,
+  guessMapping,
+  fitsColumns,
+  getMappingErrors,
+  applyMapping,
+  fetchUploadProfiles,
+} from "./columnMapping";
+import {
+  MergeStrategy,
+  RowDiff,
+  StoredRecord,
+  mergeStrategyOptions,
+  fetchStoredRecords,
+  findClashingRows,
+  diffUploadRows,
+  describeMergeEffect,
+} from "./uploadDiff";
+import { RowUploadResult, createUploadBatch, insertRowsInChunks } from "./uploadBatches";
+import { Site, fetchSites, getSiteOptions } from "./sites";
+import UploadHistory from "./UploadHistory";
+import { ValidationResult, getField, validateRows, countRowErrors, hasValidationErrors, withCatalogueActivity } from "./uploadValidation";
 
 export interface IWidgetProps {
   uxpContext?: IContextProvider;
@@ -17,13 +66,44 @@ export interface IWidgetProps {
   uiProps?: any;
 }
 
+/**
+ * Converts each row's Value to the unit of the activity's emission factor and spells its Activity as in
+ * the catalogue. Rows keep the reported figures as ReportedValue / ReportedUnit. Rows must have passed validateRows.
+ */
+const normaliseRows = (rows: any[], factors: EmissionFactor[], catalogue: CatalogueActivity[]) => {
+  return rows.map((row) => withCatalogueActivity(row, catalogue)).map((row) => {
+    const rawValue = getField(row, "Value");
+    const reportedUnit = getField(row, "Unit");
+    const result = normaliseActivityValue(factors, catalogue, {
+      activity: getField(row, "Activity"),
+      year: getField(row, "Year"),
+      month: getField(row, "Month"),
+      value: parseFloat(rawValue),
+      unit: reportedUnit,
+      gas: getField(row, "Gas"),
+    });
+
+    return {
+      ...row,
+      Value: String(result.value),
+      Unit: result.unit,
+      ReportedValue: rawValue,
+      ReportedUnit: reportedUnit || result.unit,
+    };
+  });
+};
+
 // Custom Table Component
 const DataTable: React.FC<{
   data: any[];
   onEdit: (index: number, newData: any) => void;
   onDelete: (index: number) => void;
   onAdd: (newData: any) => void;
-}> = ({ data, onEdit, onDelete, onAdd }) => {
+  rowErrors?: { [index: number]: string[] };
+  excludedRows?: number[];
+  onToggleExclude?: (index: number) => void;
+  rowDiffs?: { [index: number]: RowDiff };
+}> = ({ data, onEdit, onDelete, onAdd, rowErrors = {}, excludedRows = [], onToggleExclude, rowDiffs }) => {
   const [editingIndex, setEditingIndex] = useState<number | null>(null);
   const [editData, setEditData] = useState<any>({});
   const [showAddForm, setShowAddForm] = useState(false);
@@ -35,6 +115,20 @@ const DataTable: React.FC<{
   const totalPages = Math.ceil(data.length / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
   const paginatedData = data.slice(startIndex, startIndex + itemsPerPage);
+  const showIssues = Object.keys(rowErrors).length > 0 || excludedRows.length > 0;
+  const showStatus = !!rowDiffs && Object.keys(rowDiffs).length > 0;
+
+  // Comparison with the stored record of the same activity, period and gas
+  const renderStatus = (diff?: RowDiff) => {
+    if (!diff) return null;
+    if (diff.status === "new") return <span style={{ color: '#2b8a3e' }}>New</span>;
+    if (diff.status === "identical") return <span style={{ color: '#868e96' }}>Identical</span>;
+    return (
+      <span style={{ color: '#e67700' }}>
+        Changed (stored: {diff.existingValue}{diff.existingUnit ? ` ${diff.existingUnit}` : ""})
+      </span>
+    );
+  };
 
   const handleEdit = (index: number) => {
     const actualIndex = startIndex + index;
@@ -80,7 +174,10 @@ const DataTable: React.FC<{
         alignItems: 'center', 
         marginBottom: '16px' 
       }}>
-        <h3>Uploaded Data ({data.length} records)</h3>
+        <h3>
+          Uploaded Data ({data.length} records)
+          {excludedRows.length > 0 && <span style={{ color: '#868e96' }}> · {excludedRows.length} excluded</span>}
+        </h3>
         <Button title="Add Record" onClick={handleAdd} />
       </div>
 
@@ -143,6 +240,28 @@ const DataTable: React.FC<{
                   {col}
                 </th>
               ))}
+              {showStatus && (
+                <th style={{
+                  padding: '12px',
+                  textAlign: 'left',
+                  borderBottom: '1px solid #eee',
+                  background: '#f8f9fa',
+                  fontWeight: 'bold'
+                }}>
+                  Status
+                </th>
+              )}
+              {showIssues && (
+                <th style={{
+                  padding: '12px',
+                  textAlign: 'left',
+                  borderBottom: '1px solid #eee',
+                  background: '#f8f9fa',
+                  fontWeight: 'bold'
+                }}>
+                  Issues
+                </th>
+              )}
               <th style={{
                 padding: '12px',
                 textAlign: 'left',
@@ -158,17 +277,23 @@ const DataTable: React.FC<{
             {paginatedData.map((row, index) => {
               const actualIndex = startIndex + index;
               const isEditing = editingIndex === actualIndex;
+              const errors = rowErrors[actualIndex];
+              const isExcluded = excludedRows.includes(actualIndex);
+              // Failing rows are highlighted until they are fixed or excluded from the upload
+              const background = isEditing ? '#fff3cd' : isExcluded ? '#f1f3f5' : errors ? '#fdecea' : 'transparent';
               
               return (
-                <tr key={actualIndex} style={{ background: isEditing ? '#fff3cd' : 'transparent' }}
-                    onMouseEnter={(e) => !isEditing && (e.currentTarget.style.background = '#f8f9fa')}
-                    onMouseLeave={(e) => !isEditing && (e.currentTarget.style.background = 'transparent')}
+                <tr key={actualIndex} style={{ background }}
+                    onMouseEnter={(e) => !isEditing && (e.currentTarget.style.background = errors && !isExcluded ? '#f9d6d5' : '#f8f9fa')}
+                    onMouseLeave={(e) => !isEditing && (e.currentTarget.style.background = background)}
                 >
                   {columns.map((col) => (
                     <td key={col} style={{
                       padding: '12px',
                       textAlign: 'left',
-                      borderBottom: '1px solid #eee'
+                      borderBottom: '1px solid #eee',
+                      color: isExcluded ? '#868e96' : undefined,
+                      textDecoration: isExcluded && !isEditing ? 'line-through' : undefined
                     }}>
                       {isEditing ? (
                         <input
@@ -187,6 +312,29 @@ const DataTable: React.FC<{
                       )}
                     </td>
                   ))}
+                  {showStatus && (
+                    <td style={{
+                      padding: '12px',
+                      textAlign: 'left',
+                      borderBottom: '1px solid #eee',
+                      fontSize: '12px'
+                    }}>
+                      {!isExcluded && renderStatus(rowDiffs![actualIndex])}
+                    </td>
+                  )}
+                  {showIssues && (
+                    <td style={{
+                      padding: '12px',
+                      textAlign: 'left',
+                      borderBottom: '1px solid #eee',
+                      fontSize: '12px',
+                      color: isExcluded ? '#868e96' : '#c0392b'
+                    }}>
+                      {isExcluded ? 'Excluded from upload' : (errors || []).map((error) => (
+                        <div key={error}>{error}</div>
+                      ))}
+                    </td>
+                  )}
                   <td style={{
                     padding: '12px',
                     textAlign: 'left',
@@ -253,6 +401,22 @@ const DataTable: React.FC<{
                         >
                           Delete
                         </button>
+                        {onToggleExclude && (errors || isExcluded) && (
+                          <button 
+                            onClick={() => onToggleExclude(actualIndex)}
+                            style={{
+                              padding: '4px 8px',
+                              border: 'none',
+                              borderRadius: '4px',
+                              cursor: 'pointer',
+                              fontSize: '12px',
+                              background: '#6c757d',
+                              color: 'white'
+                            }}
+                          >
+                            {isExcluded ? 'Include' : 'Exclude'}
+                          </button>
+                        )}
                       </div>
                     )}
                   </td>
@@ -314,73 +478,166 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
   const [loading, setLoading] = React.useState(false);
   const [fileName, setFileName] = React.useState<string | null>(null);
   const [showReviewModal, setShowReviewModal] = React.useState(false);
+  const [emissionFactors, setEmissionFactors] = React.useState<EmissionFactor[]>([]);
+  const [activityCatalogue, setActivityCatalogue] = React.useState<CatalogueActivity[]>([]);
+  const [sites, setSites] = React.useState<Site[]>([]);
+  const [workbook, setWorkbook] = React.useState<XLSX.WorkBook | null>(null);
+  const [workbookName, setWorkbookName] = React.useState<string | null>(null);
+  const [selectedSheets, setSelectedSheets] = React.useState<string[]>([]);
+  const [sourceRows, setSourceRows] = React.useState<any[] | null>(null);
+  const [sourceName, setSourceName] = React.useState<string | null>(null);
+  const [mapping, setMapping] = React.useState<ColumnMapping | null>(null);
+  const [showMappingModal, setShowMappingModal] = React.useState(false);
+  const [uploadProfiles, setUploadProfiles] = React.useState<UploadProfile[]>([]);
+  const [profileName, setProfileName] = React.useState("");
+  const [storedRecords, setStoredRecords] = React.useState<StoredRecord[]>([]);
+  const [mergeStrategy, setMergeStrategy] = React.useState<MergeStrategy>("overwrite");
+  const [showHistory, setShowHistory] = React.useState(false);
+  const [uploadProgress, setUploadProgress] = React.useState<{ done: number; total: number } | null>(null);
+  const [showTemplateModal, setShowTemplateModal] = React.useState(false);
+  const [templateYear, setTemplateYear] = React.useState(new Date().getFullYear().toString());
+  const [templateActivities, setTemplateActivities] = React.useState<string[]>([]);
+  const [templateSites, setTemplateSites] = React.useState<string[]>([]);
+  const [templateFormat, setTemplateFormat] = React.useState<TemplateFormat>("xlsx");
+  const [uploadSummary, setUploadSummary] = React.useState<{ rows: any[]; results: RowUploadResult[] } | null>(null);
 
   const toast = useToast();
 
+  // 🔹 Factor units and fuel densities are needed to convert uploaded values, sites to check the Site column
+  React.useEffect(() => {
+    fetchEmissionFactors(props.uxpContext).then(setEmissionFactors);
+    fetchActivityCatalogue(props.uxpContext).then(setActivityCatalogue);
+    fetchSites(props.uxpContext).then(setSites);
+    fetchUploadProfiles(props.uxpContext).then(setUploadProfiles);
+  }, []);
+
+  // 🔹 Stored records are loaded with each file to show what the upload would change
+  React.useEffect(() => {
+    if (fileName) fetchStoredRecords(props.uxpContext).then(setStoredRecords);
+  }, [fileName]);
+
+  const [excludedRows, setExcludedRows] = React.useState<number[]>([]);
+
+  // Rows clashing with another included row of the file are reported like validation errors
+  const validation: ValidationResult = React.useMemo(() => {
+    const rows: any[] = Array.isArray(parsedData) ? parsedData : [];
+    const result = validateRows(rows, emissionFactors, activityCatalogue, sites);
+    const included = rows.map((_, index) => index).filter((index) => !excludedRows.includes(index));
+    const clashes = findClashingRows(rows.map((row) => withCatalogueActivity(row, activityCatalogue)), included);
+    Object.keys(clashes).map(Number).forEach((index) => {
+      result.rowErrors[index] = (result.rowErrors[index] || []).concat(clashes[index]);
+    });
+    return result;
+  }, [parsedData, emissionFactors, activityCatalogue, sites, excludedRows]);
+
+  // Diff of the included, valid rows against the stored records
+  const rowDiffs: { [index: number]: RowDiff } = React.useMemo(() => {
+    if (!Array.isArray(parsedData)) return {};
+    const indexes = parsedData
+      .map((_, index) => index)
+      .filter((index) => !excludedRows.includes(index) && !validation.rowErrors[index]);
+    const diffs = diffUploadRows(
+      normaliseRows(indexes.map((index) => parsedData[index]), emissionFactors, activityCatalogue),
+      storedRecords
+    );
+    return indexes.reduce((acc, rowIndex, i) => ({ ...acc, [rowIndex]: diffs[i] }), {});
+  }, [parsedData, excludedRows, validation, emissionFactors, activityCatalogue, storedRecords]);
+
+  const diffCounts = Object.values(rowDiffs).reduce(
+    (counts: { [status: string]: number }, diff) => ({ ...counts, [diff.status]: (counts[diff.status] || 0) + 1 }),
+    {}
+  );
+
+  // Rows that still fail validation and have not been excluded block the upload
+  const failingRows = Object.keys(validation.rowErrors)
+    .map(Number)
+    .filter((index) => !excludedRows.includes(index));
+  const uploadBlocked = validation.fileErrors.length > 0 || failingRows.length > 0;
+
   const resetState = () => {
     setParsedData(null);
+    setExcludedRows([]);
     setFileName(null);
     setLoading(false);
+    setWorkbook(null);
+    setWorkbookName(null);
+    setSelectedSheets([]);
+    setSourceRows(null);
+    setSourceName(null);
+    setMapping(null);
+    setShowMappingModal(false);
+    setProfileName("");
+    setStoredRecords([]);
+    setMergeStrategy("overwrite");
   };
 
-  const downloadEmptySheet = () => {
-    // Define the template structure with predefined activities
-    const templateData = [
-      // Header row
-      ["Activity", "Year", "Month", "Value"],
-      
-      // Predefined activity rows with empty values for user input
-      ["Generator Fuel Consumption", "20xx", "Jan", ""],
-      ["Refrigerant Leakages/Refilling", "20xx", "Jan", ""],
-      
-      // Additional empty rows for more data entry
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-      ["", "20xx", "", ""],
-    ];
-  
-    // Convert to CSV format
-    const csvContent = templateData
-      .map(row => row.map(cell => {
-        // Handle cells that might contain commas by wrapping in quotes
-        if (cell.includes(',')) {
-          return `"${cell}"`;
-        }
-        return cell;
-      }).join(','))
-      .join('\n');
-  
-    // Create and download the file
-    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+  // Configured sites in hierarchy order, without the "All Sites" entry of the dashboard filters
+  const siteOptions = getSiteOptions(sites).filter((option) => option.value);
+
+  const downloadFile = (blob: Blob, name: string) => {
     const link = document.createElement("a");
     link.href = URL.createObjectURL(blob);
-    link.setAttribute("download", "Empty_Carbon_Report.csv");
+    link.setAttribute("download", name);
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
   };
 
+  const openTemplateModal = () => {
+    setTemplateActivities(activityCatalogue.map((a) => a.activity));
+    setShowTemplateModal(true);
+  };
+
+  const toggleTemplateSite = (site: string, checked: boolean) => {
+    setTemplateSites((prev) =>
+      checked
+        ? siteOptions.map((option) => option.value).filter((name) => name === site || prev.includes(name))
+        : prev.filter((name) => name !== site)
+    );
+  };
+
+  const toggleTemplateActivity = (activity: string, checked: boolean) => {
+    setTemplateActivities((prev) =>
+      checked
+        ? activityCatalogue.map((a) => a.activity).filter((name) => name === activity || prev.includes(name))
+        : prev.filter((name) => name !== activity)
+    );
+  };
+
+  // 🔹 One pre-filled row per selected activity, month and site of the reporting year
+  const downloadTemplate = () => {
+    if (!/^\d{4}$/.test(templateYear.trim())) {
+      toast.error("Enter the reporting year, e.g. 2025.");
+      return;
+    }
+    const activities = activityCatalogue.filter((a) => templateActivities.includes(a.activity));
+    if (activities.length === 0) {
+      toast.error("Select at least one activity.");
+      return;
+    }
+
+    const year = templateYear.trim();
+    const rows = buildTemplateRows({ year, activities, sites: templateSites });
+
+    if (templateFormat === "csv") {
+      downloadFile(new Blob([toCSV(rows)], { type: "text/csv;charset=utf-8;" }), `Carbon_Report_${year}.csv`);
+    } else {
+      downloadFile(
+        new Blob([buildTemplateWorkbook(rows, activityCatalogue, siteOptions.map((option) => option.value))], {
+          type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        }),
+        `Carbon_Report_${year}.xlsx`
+      );
+    }
+    setShowTemplateModal(false);
+  };
+
   const parseCSVFile = (file: File) => {
     Papa.parse(file, {
       header: true,
       skipEmptyLines: true,
       complete: (results: Papa.ParseResult<any>) => {
-        const jsonData = results.data.map((row: any) => {
-          const cleanedRow: any = {};
-          for (const key in row) {
-            cleanedRow[key] = row[key] ?? "";
-          }
-          return cleanedRow;
-        });
-        setParsedData(jsonData);
-        setFileName(file.name);
+        loadSourceRows(results.data, file.name);
       },
       error: (err) => {
         console.error("CSV parsing error:", err);
@@ -389,24 +646,237 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
     });
   };
 
-  const uploadToLucy = () => {
+  // 🔹 Workbooks with a single sheet are imported straight away; otherwise the user picks the sheets
+  const parseSpreadsheetFile = async (file: File) => {
+    try {
+      const book = await readWorkbook(file);
+      const sheetNames = getVisibleSheetNames(book);
+      if (sheetNames.length <= 1) {
+        loadSourceRows(sheetNames.length ? getSheetRows(book, sheetNames[0]) : [], file.name);
+        return;
+      }
+      setWorkbook(book);
+      setWorkbookName(file.name);
+      setSelectedSheets(sheetNames);
+    } catch (err) {
+      console.error("Excel parsing error:", err);
+      toast.error("Failed to read Excel file");
+    }
+  };
+
+  const parseFile = (file: File) => {
+    if (isSpreadsheetFile(file)) parseSpreadsheetFile(file);
+    else parseCSVFile(file);
+  };
+
+  const toggleSheet = (sheetName: string, checked: boolean) => {
+    setSelectedSheets((prev) =>
+      checked
+        ? getVisibleSheetNames(workbook!).filter((name) => name === sheetName || prev.includes(name))
+        : prev.filter((name) => name !== sheetName)
+    );
+  };
+
+  const importSelectedSheets = () => {
+    if (!workbook || selectedSheets.length === 0) {
+      toast.error("Select at least one sheet to import.");
+      return;
+    }
+
+    const rows = getWorkbookRows(workbook, selectedSheets);
+    if (rows.length === 0) {
+      toast.error("The selected sheets have no rows.");
+      return;
+    }
+
+    setWorkbook(null);
+    loadSourceRows(rows, `${workbookName} (${selectedSheets.join(", ")})`);
+  };
+
+  // 🔹 Mapped rows become the upload; rows from several sheets are combined per activity and period
+  const showMappedRows = (rows: any[], columnMapping: ColumnMapping, name: string) => {
+    const mapped = applyMapping(rows, columnMapping);
+    setParsedData(rows.some((row) => row[sheetColumn] !== undefined) ? combineSheetRows(mapped) : mapped);
+    setExcludedRows([]);
+    setFileName(name);
+    setShowMappingModal(false);
+  };
+
+  // 🔹 Files with the template headers are imported directly; other layouts go through the column mapping,
+  // starting from a saved profile that fits the file's columns or from a guess based on the headers
+  const loadSourceRows = (rows: any[], name: string) => {
+    if (rows.length === 0) {
+      toast.error("The file has no rows.");
+      return;
+    }
+
+    const columns = getSourceColumns(rows);
+    const profile = uploadProfiles.find((p) => fitsColumns(p.mapping, columns) && getMappingErrors(p.mapping).length === 0);
+    const initialMapping = !hasTemplateLayout(columns) && profile ? profile.mapping : guessMapping(rows);
+
+    setSourceRows(rows);
+    setSourceName(name);
+    setMapping(initialMapping);
+    setProfileName(!hasTemplateLayout(columns) && profile ? profile.name : "");
+
+    if (hasTemplateLayout(columns)) {
+      showMappedRows(rows, initialMapping, name);
+    } else {
+      setParsedData(null);
+      setFileName(null);
+      setShowMappingModal(true);
+    }
+  };
+
+  const updateMapping = (changes: Partial<ColumnMapping>) => {
+    setMapping((prev) => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const updateMappedColumn = (field: string, column: string) => {
+    setMapping((prev) => (prev ? { ...prev, columns: { ...prev.columns, [field]: column } } : prev));
+  };
+
+  const updateFixedValue = (field: string, value: string) => {
+    setMapping((prev) => (prev ? { ...prev, fixedValues: { ...prev.fixedValues, [field]: value } } : prev));
+  };
+
+  const selectUploadProfile = (name: string) => {
+    const profile = uploadProfiles.find((p) => p.name === name);
+    if (!profile || !sourceRows) return;
+
+    if (!fitsColumns(profile.mapping, getSourceColumns(sourceRows))) {
+      toast.error(`"${name}" uses columns this file does not have.`);
+    }
+    setMapping(profile.mapping);
+    setProfileName(profile.name);
+  };
+
+  const applyColumnMapping = () => {
+    if (!mapping || !sourceRows) return;
+
+    const errors = getMappingErrors(mapping);
+    if (errors.length > 0) {
+      toast.error(errors[0]);
+      return;
+    }
+    if (applyMapping(sourceRows, mapping).length === 0) {
+      toast.error("No rows have values in the mapped columns.");
+      return;
+    }
+
+    showMappedRows(sourceRows, mapping, sourceName || "");
+  };
+
+  const saveUploadProfile = async () => {
+    if (!mapping) return;
+
+    const name = profileName.trim();
+    if (!name) {
+      toast.error("Enter a name for the profile.");
+      return;
+    }
+    const errors = getMappingErrors(mapping);
+    if (errors.length > 0) {
+      toast.error(errors[0]);
+      return;
+    }
+
+    try {
+      await props.uxpContext?.executeAction(
+        "carbon_reporting_80rr",
+        "SaveUploadProfile",
+        { name, mapping: JSON.stringify(mapping) },
+        { json: true }
+      );
+      toast.success(`Profile "${name}" saved`);
+      setUploadProfiles(await fetchUploadProfiles(props.uxpContext));
+    } catch (error) {
+      console.error("Error saving upload profile:", error);
+      toast.error("Failed to save profile. Please try again.");
+    }
+  };
+
+  const closeMappingModal = () => {
+    // Without mapped rows there is nothing left to review
+    if (parsedData) setShowMappingModal(false);
+    else resetState();
+  };
+
+  const sourceColumns = sourceRows ? getSourceColumns(sourceRows) : [];
+  const sourceColumnOptions = sourceColumns.map((col) => ({ label: col, value: col }));
+  // Workbooks with one sheet per site can take the site from the sheet name
+  const siteColumnOptions = sourceRows?.some((row) => row[sheetColumn] !== undefined)
+    ? [...sourceColumnOptions, { label: "Sheet name", value: sheetColumn }]
+    : sourceColumnOptions;
+  const mappingErrors = mapping ? getMappingErrors(mapping) : [];
+  const mappingPreview = mapping && sourceRows && mappingErrors.length === 0
+    ? applyMapping(sourceRows.slice(0, 20), mapping).slice(0, 5)
+    : [];
+
+  const uploadToLucy = async () => {
     if (!parsedData || !Array.isArray(parsedData)) {
       toast.error("Parsed data is empty or invalid.");
       return;
     }
+
+    const includedRows = parsedData.filter((_, index) => !excludedRows.includes(index));
+    if (includedRows.length === 0) {
+      toast.error("All rows are excluded. Nothing to upload.");
+      return;
+    }
+
+    const result = validateRows(includedRows, emissionFactors, activityCatalogue, sites);
+    const clashes = findClashingRows(
+      includedRows.map((row) => withCatalogueActivity(row, activityCatalogue)),
+      includedRows.map((_, index) => index)
+    );
+    if (Object.keys(clashes).length > 0) {
+      toast.error(`${Object.keys(clashes).length} row(s) share an activity, period, gas and site. Fix or exclude them before uploading.`);
+      return;
+    }
+    if (hasValidationErrors(result)) {
+      toast.error(
+        result.fileErrors[0] ||
+        `${countRowErrors(result)} row(s) fail validation. Fix or exclude them before uploading.`
+      );
+      return;
+    }
+
+    const rows = normaliseRows(includedRows, emissionFactors, activityCatalogue);
+
+    if (!props.uxpContext) return;
+
     setLoading(true);
+    setUploadProgress({ done: 0, total: rows.length });
     try {
-      props.uxpContext?.executeAction(
-        "carbon_reporting_80rr",
-        "InsertCarbonReport",
-        { CarbonInputData: JSON.stringify(parsedData) }
+      // 🔹 Every upload is a batch, so it can be rolled back from the upload history
+      const batch = await createUploadBatch(props.uxpContext, fileName || "", mergeStrategy);
+      const results = await insertRowsInChunks(
+        props.uxpContext,
+        rows,
+        mergeStrategy,
+        batch.batchId,
+        (done, total) => setUploadProgress({ done, total })
       );
-      toast.success("Data uploaded successfully!");
-      resetState();
+
+      setUploadSummary({ rows: includedRows, results });
+      const failed = includedRows.filter((_, index) => results[index].status === "failed");
+      if (failed.length === 0) {
+        toast.success(`${rows.length} row(s) uploaded successfully!`);
+        resetState();
+      } else {
+        // Failed rows stay loaded so they can be fixed and uploaded again
+        toast.error(`${failed.length} of ${rows.length} row(s) failed to upload.`);
+        setParsedData(failed);
+        setExcludedRows([]);
+        fetchStoredRecords(props.uxpContext).then(setStoredRecords);
+      }
     } catch (error: any) {
-      toast.error(`Upload failed: ${error.message || "Unknown error"}`);
+      console.error("Upload error:", error);
+      toast.error(`Upload failed: ${error?.message || error || "Unknown error"}`);
     } finally {
       setLoading(false);
+      setUploadProgress(null);
     }
   };
 
@@ -421,6 +891,15 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
 
   const handleDelete = (index: number) => {
     setParsedData((prev: any[]) => prev.filter((_, i) => i !== index));
+    setExcludedRows((prev) => prev.filter((i) => i !== index).map((i) => (i > index ? i - 1 : i)));
+  };
+
+  const toggleExcluded = (index: number) => {
+    setExcludedRows((prev) => (prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index]));
+  };
+
+  const excludeFailingRows = () => {
+    setExcludedRows((prev) => [...prev, ...failingRows]);
   };
 
   const handleAdd = (newData: any) => {
@@ -432,7 +911,8 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
       <TitleBar title="Bulk Data Upload" />
 
       <div className="upload-controls">
-        <Button title="Download Empty Sheet" onClick={downloadEmptySheet} />
+        <Button title="Download Template" onClick={openTemplateModal} />
+        <Button title="Upload History" onClick={() => setShowHistory(true)} />
       </div>
 
       <div
@@ -449,7 +929,7 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
           e.preventDefault();
           e.currentTarget.classList.remove("highlight");
           const file = e.dataTransfer.files?.[0];
-          if (file) parseCSVFile(file);
+          if (file) parseFile(file);
         }}
         onClick={() => {
           if (!loading) fileInputRef.current?.click();
@@ -466,7 +946,23 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
             </div>
             <p className="parsed-info">
               ✅ <strong>{parsedData.length}</strong> rows parsed
+              {uploadBlocked && <> · ⚠️ review errors before uploading</>}
             </p>
+            {uploadProgress && (
+              <div style={{ width: '100%', maxWidth: '400px', margin: '0 auto 12px auto' }}>
+                <div style={{ background: '#e9ecef', borderRadius: '4px', height: '8px', overflow: 'hidden' }}>
+                  <div style={{
+                    background: '#28a745',
+                    height: '100%',
+                    width: `${uploadProgress.total ? (uploadProgress.done / uploadProgress.total) * 100 : 0}%`,
+                    transition: 'width 0.3s'
+                  }} />
+                </div>
+                <div style={{ fontSize: '12px', marginTop: '4px' }}>
+                  Uploading {uploadProgress.done} of {uploadProgress.total} rows...
+                </div>
+              </div>
+            )}
             <div className="action-buttons">
               <Button
                 title="Review"
@@ -475,6 +971,13 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
                 }}
                 disabled={loading}
               />
+              {sourceRows && (
+                <Button
+                  title="Map Columns"
+                  onClick={() => setShowMappingModal(true)}
+                  disabled={loading}
+                />
+              )}
               <Button
                 title="Cancel"
                 onClick={() => {
@@ -486,7 +989,7 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
           </>
         ) : (
           <p className="placeholder-text">
-            Drag & drop a CSV file here,<br />or click to select
+            Drag & drop a CSV or Excel file here,<br />or click to select
           </p>
         )}
       </div>
@@ -494,21 +997,81 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
       <Modal
         show={showReviewModal}
         onClose={() => setShowReviewModal(false)}
-        title="Review and Edit CSV Data"
+        title="Review and Edit Uploaded Data"
       >
         <div className="modal-body">
+          {uploadBlocked && (
+            <div style={{
+              background: '#fdecea',
+              border: '1px solid #f5c6cb',
+              borderRadius: '8px',
+              padding: '12px 16px',
+              margin: '16px 16px 0 16px',
+              color: '#721c24'
+            }}>
+              {validation.fileErrors.map((error) => (
+                <div key={error}><strong>⚠️ {error}</strong></div>
+              ))}
+              {failingRows.length > 0 && (
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+                  <span>
+                    <strong>⚠️ {failingRows.length} row(s) fail validation.</strong> Fix them in the table
+                    or exclude them from the upload.
+                  </span>
+                  <Button title="Exclude failing rows" onClick={excludeFailingRows} />
+                </div>
+              )}
+            </div>
+          )}
+          {Object.keys(rowDiffs).length > 0 && (
+            <div style={{
+              background: '#f8f9fa',
+              border: '1px solid #ddd',
+              borderRadius: '8px',
+              padding: '12px 16px',
+              margin: '16px 16px 0 16px'
+            }}>
+              <strong>Compared with stored data</strong>
+              {(["new", "changed", "identical"] as const)
+                .filter((status) => diffCounts[status])
+                .map((status) => (
+                  <div key={status}>
+                    {diffCounts[status]} {status} row(s) {describeMergeEffect(status, mergeStrategy)}
+                  </div>
+                ))}
+              {(diffCounts.changed || diffCounts.identical) && (
+                <FormField>
+                  <Label>Rows that already exist</Label>
+                  <Select
+                    options={mergeStrategyOptions}
+                    selected={mergeStrategy}
+                    onChange={(val) => setMergeStrategy(val as MergeStrategy)}
+                  />
+                </FormField>
+              )}
+            </div>
+          )}
           {parsedData && (
             <DataTable
               data={parsedData}
               onEdit={handleEdit}
               onDelete={handleDelete}
               onAdd={handleAdd}
+              rowErrors={validation.rowErrors}
+              excludedRows={excludedRows}
+              onToggleExclude={toggleExcluded}
+              rowDiffs={rowDiffs}
             />
           )}
           <div className="modal-actions">
             <Button
               title="Upload"
+              disabled={uploadBlocked}
               onClick={() => {
+                if (uploadBlocked) {
+                  toast.error("Fix or exclude the rows with errors before uploading.");
+                  return;
+                }
                 uploadToLucy();
                 setShowReviewModal(false);
               }}
@@ -521,14 +1084,311 @@ const CarbonReportingTool: React.FunctionComponent<IWidgetProps> = (props) => {
         </div>
       </Modal>
 
+      <Modal
+        show={!!workbook}
+        onClose={() => resetState()}
+        title="Select Sheets to Import"
+      >
+        <div className="modal-body">
+          {workbook && (
+            <>
+              <p>
+                <strong>{workbookName}</strong> has {getVisibleSheetNames(workbook).length} sheets. Rows for the same
+                activity and month on different sheets are added together.
+              </p>
+              {getVisibleSheetNames(workbook).map((sheetName) => (
+                <div key={sheetName} style={{ padding: '6px 0' }}>
+                  <Checkbox
+                    checked={selectedSheets.includes(sheetName)}
+                    onChange={(checked) => toggleSheet(sheetName, checked)}
+                    label={`${sheetName} (${getSheetRows(workbook, sheetName).length} rows)`}
+                  />
+                </div>
+              ))}
+            </>
+          )}
+          <div className="modal-actions">
+            <Button title="Import" onClick={importSelectedSheets} />
+            <Button title="Cancel" onClick={() => resetState()} />
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        show={showMappingModal && !!mapping}
+        onClose={closeMappingModal}
+        title="Map Columns"
+      >
+        <div className="modal-body">
+          {mapping && (
+            <div style={{ padding: '16px' }}>
+              <p>
+                Choose the column of <strong>{sourceName}</strong> that holds each field. Activity, Unit and Gas can
+                instead be given one value for the whole file. Save the mapping as a profile to reuse it for the
+                next file with the same layout.
+                {parsedData && " Applying the mapping again discards edits made in the review table."}
+              </p>
+
+              {uploadProfiles.length > 0 && (
+                <FormField>
+                  <Label>Saved profile</Label>
+                  <Select
+                    options={uploadProfiles.map((p) => ({ label: p.name, value: p.name }))}
+                    selected={uploadProfiles.some((p) => p.name === profileName) ? profileName : ""}
+                    onChange={selectUploadProfile}
+                    placeholder="Start from a saved profile"
+                  />
+                </FormField>
+              )}
+
+              <FormField>
+                <Label>Year and month from</Label>
+                <Select
+                  options={periodSourceOptions}
+                  selected={mapping.periodSource}
+                  onChange={(val) => updateMapping({ periodSource: val as ColumnMapping["periodSource"] })}
+                />
+              </FormField>
+
+              {mapping.periodSource === "date" && (
+                <>
+                  <FormField>
+                    <Label>Date column *</Label>
+                    <Select
+                      options={sourceColumnOptions}
+                      selected={mapping.dateColumn}
+                      onChange={(val) => updateMapping({ dateColumn: val })}
+                      placeholder="Select column"
+                    />
+                  </FormField>
+                  <FormField>
+                    <Label>Date format</Label>
+                    <Select
+                      options={dateFormatOptions}
+                      selected={mapping.dateFormat}
+                      onChange={(val) => updateMapping({ dateFormat: val as DateFormat })}
+                    />
+                  </FormField>
+                </>
+              )}
+
+              {templateColumns
+                .filter((field) => mapping.periodSource === "columns" || (field !== "Year" && field !== "Month"))
+                .map((field) => (
+                  <FormField key={field}>
+                    <Label>{field}{["Year", "Month", "Value"].includes(field) ? " *" : ""}</Label>
+                    <Select
+                      options={field === "Site" ? siteColumnOptions : sourceColumnOptions}
+                      selected={mapping.columns[field]}
+                      onChange={(val) => updateMappedColumn(field, val)}
+                      onClear={() => updateMappedColumn(field, "")}
+                      placeholder={fixedValueFields.includes(field) ? "Not mapped – same value for every row" : "Select column"}
+                    />
+                    {fixedValueFields.includes(field) && !mapping.columns[field] && (
+                      field === "Activity" ? (
+                        <Select
+                          options={activityCatalogue.map((a) => ({ label: a.activity, value: a.activity }))}
+                          selected={mapping.fixedValues.Activity || ""}
+                          onChange={(val) => updateFixedValue("Activity", val)}
+                          placeholder="Activity of every row"
+                        />
+                      ) : field === "Site" ? (
+                        <Select
+                          options={siteOptions}
+                          selected={mapping.fixedValues.Site || ""}
+                          onChange={(val) => updateFixedValue("Site", val)}
+                          onClear={() => updateFixedValue("Site", "")}
+                          placeholder={sites.length > 0 ? "Site of every row" : "No sites configured"}
+                        />
+                      ) : (
+                        <Input
+                          type="text"
+                          value={mapping.fixedValues[field] || ""}
+                          onChange={(val) => updateFixedValue(field, val)}
+                          placeholder={field === "Unit" ? "Unit of every row, e.g. kWh" : "Gas of every row, e.g. R-410A"}
+                        />
+                      )
+                    )}
+                  </FormField>
+                ))}
+
+              {mappingErrors.length > 0 ? (
+                <div style={{
+                  background: '#fdecea',
+                  border: '1px solid #f5c6cb',
+                  borderRadius: '8px',
+                  padding: '12px 16px',
+                  color: '#721c24'
+                }}>
+                  {mappingErrors.map((error) => (
+                    <div key={error}>⚠️ {error}</div>
+                  ))}
+                </div>
+              ) : (
+                <div style={{ overflowX: 'auto', border: '1px solid #ddd', borderRadius: '8px' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                    <thead>
+                      <tr>
+                        {templateColumns.map((col) => (
+                          <th key={col} style={{ padding: '8px', textAlign: 'left', background: '#f8f9fa' }}>{col}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {mappingPreview.map((row, index) => (
+                        <tr key={index}>
+                          {templateColumns.map((col) => (
+                            <td key={col} style={{ padding: '8px', borderTop: '1px solid #eee' }}>{row[col]}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <FormField>
+                <Label>Save as profile</Label>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <Input
+                    type="text"
+                    value={profileName}
+                    onChange={setProfileName}
+                    placeholder="e.g. Utility meter export"
+                  />
+                  <Button title="Save Profile" onClick={saveUploadProfile} />
+                </div>
+              </FormField>
+            </div>
+          )}
+          <div className="modal-actions">
+            <Button title="Apply" onClick={applyColumnMapping} disabled={mappingErrors.length > 0} />
+            <Button title="Cancel" onClick={closeMappingModal} />
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        show={!!uploadSummary}
+        onClose={() => setUploadSummary(null)}
+        title="Upload Summary"
+      >
+        <div className="modal-body">
+          {uploadSummary && (
+            <div style={{ padding: '16px' }}>
+              <p>
+                {(["inserted", "updated", "skipped", "failed"] as const).map((status) => (
+                  <span key={status} style={{ marginRight: '16px' }}>
+                    <strong>{uploadSummary.results.filter((result) => result.status === status).length}</strong> {status}
+                  </span>
+                ))}
+              </p>
+              {uploadSummary.results.some((result) => result.status === "failed") && (
+                <>
+                  <p>The failed rows are still loaded. Fix them in the review table and upload them again.</p>
+                  <div style={{ overflowX: 'auto', border: '1px solid #ddd', borderRadius: '8px' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                      <thead>
+                        <tr>
+                          {["Activity", "Year", "Month", "Value", "Error"].map((col) => (
+                            <th key={col} style={{ padding: '8px', textAlign: 'left', background: '#f8f9fa' }}>{col}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {uploadSummary.rows.map((row, index) => {
+                          const result = uploadSummary.results[index];
+                          if (result.status !== "failed") return null;
+                          return (
+                            <tr key={index}>
+                              {["Activity", "Year", "Month", "Value"].map((col) => (
+                                <td key={col} style={{ padding: '8px', borderTop: '1px solid #eee' }}>{getField(row, col)}</td>
+                              ))}
+                              <td style={{ padding: '8px', borderTop: '1px solid #eee', color: '#c0392b' }}>{result.error}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+          <div className="modal-actions">
+            <Button title="Close" onClick={() => setUploadSummary(null)} />
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        show={showTemplateModal}
+        onClose={() => setShowTemplateModal(false)}
+        title="Download Template"
+      >
+        <div className="modal-body">
+          <div style={{ padding: '16px' }}>
+            <FormField>
+              <Label>Reporting year *</Label>
+              <Input type="text" value={templateYear} onChange={setTemplateYear} placeholder="e.g. 2025" />
+            </FormField>
+            {siteOptions.length > 0 && (
+              <FormField>
+                <Label>Sites ({templateSites.length > 0 ? `a row per site for ${templateSites.length}` : "none – Site left blank"})</Label>
+                {siteOptions.map((option) => (
+                  <div key={option.value} style={{ padding: '4px 0' }}>
+                    <Checkbox
+                      checked={templateSites.includes(option.value)}
+                      onChange={(checked) => toggleTemplateSite(option.value, checked)}
+                      label={option.label}
+                    />
+                  </div>
+                ))}
+              </FormField>
+            )}
+            <FormField>
+              <Label>Format</Label>
+              <Select
+                options={templateFormatOptions}
+                selected={templateFormat}
+                onChange={(val) => setTemplateFormat(val as TemplateFormat)}
+              />
+            </FormField>
+            <FormField>
+              <Label>Activities ({templateActivities.length} of {activityCatalogue.length})</Label>
+              {activityCatalogue.length === 0 && <p>The activity catalogue is empty.</p>}
+              {activityCatalogue.map((activity) => (
+                <div key={activity.activity} style={{ padding: '4px 0' }}>
+                  <Checkbox
+                    checked={templateActivities.includes(activity.activity)}
+                    onChange={(checked) => toggleTemplateActivity(activity.activity, checked)}
+                    label={`${activity.activity} (${activity.unit})`}
+                  />
+                </div>
+              ))}
+            </FormField>
+          </div>
+          <div className="modal-actions">
+            <Button title="Download" onClick={downloadTemplate} />
+            <Button title="Cancel" onClick={() => setShowTemplateModal(false)} />
+          </div>
+        </div>
+      </Modal>
+
+      <UploadHistory
+        uxpContext={props.uxpContext}
+        show={showHistory}
+        onClose={() => setShowHistory(false)}
+      />
+
       <input
         type="file"
-        accept=".csv"
+        accept=".csv,.xlsx,.xls"
         style={{ display: "none" }}
         ref={fileInputRef}
         onChange={(e) => {
           const file = e.target.files?.[0];
-          if (file) parseCSVFile(file);
+          if (file) parseFile(file);
           e.target.value = "";
         }}
       />
@@ -0,0 +1,117 @@
+import { IContextProvider } from "./uxp";
+
+// One bulk upload (carbon_upload_batches collection); its records carry the batchId
+export interface UploadBatch {
+  batchId: string;
+  fileName: string;
+  uploadedBy: string;
+  uploadedAt: string; // ISO timestamp
+  strategy: string;
+  rowCount: number;
+  inserted: number;
+  updated: number;
+  skipped: number;
+  failed: number;
+  status: "active" | "rolledBack";
+  rolledBackAt: string;
+  rolledBackBy: string;
+}
+
+export const fetchUploadBatches = async (uxpContext?: IContextProvider): Promise<UploadBatch[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetUploadBatches",
+      {},
+      { json: true }
+    );
+
+    return (result || []).map((row: any) => ({
+      batchId: row.batchId || "",
+      fileName: row.fileName || "",
+      uploadedBy: row.uploadedBy || "",
+      uploadedAt: row.uploadedAt || "",
+      strategy: row.strategy || "overwrite",
+      rowCount: parseInt(row.rowCount) || 0,
+      inserted: parseInt(row.inserted) || 0,
+      updated: parseInt(row.updated) || 0,
+      skipped: parseInt(row.skipped) || 0,
+      failed: parseInt(row.failed) || 0,
+      status: row.status === "rolledBack" ? "rolledBack" : "active",
+      rolledBackAt: row.rolledBackAt || "",
+      rolledBackBy: row.rolledBackBy || ""
+    }));
+  } catch (error) {
+    console.error("Error fetching upload batches:", error);
+    return [];
+  }
+};
+
+// Starts a batch for an upload; InsertCarbonReport tags the records with its batchId
+export const createUploadBatch = async (
+  uxpContext: IContextProvider,
+  fileName: string,
+  strategy: string
+): Promise<UploadBatch> => {
+  const batch = await uxpContext.executeAction(
+    "carbon_reporting_80rr",
+    "CreateUploadBatch",
+    { fileName, uploadedBy: uxpContext.userKey || "", strategy },
+    { json: true }
+  );
+  if (!batch || !batch.batchId) throw new Error("No upload batch was created");
+  return batch;
+};
+
+export type RowUploadStatus = "inserted" | "updated" | "skipped" | "failed";
+
+export interface RowUploadResult {
+  status: RowUploadStatus;
+  error?: string; // server error of a failed row
+}
+
+// Rows sent per InsertCarbonReport call; each call has to finish within the script timeout
+export const uploadChunkSize = 100;
+
+/**
+ * Sends the rows to InsertCarbonReport in chunks, one chunk at a time, and returns the outcome of every
+ * row in input order. A chunk that fails as a whole marks all of its rows as failed with the error and
+ * the remaining chunks are still sent.
+ */
+export const insertRowsInChunks = async (
+  uxpContext: IContextProvider,
+  rows: any[],
+  strategy: string,
+  batchId: string,
+  onProgress: (done: number, total: number) => void
+): Promise<RowUploadResult[]> => {
+  const results: RowUploadResult[] = [];
+
+  for (let start = 0; start < rows.length; start += uploadChunkSize) {
+    const chunk = rows.slice(start, start + uploadChunkSize);
+
+    try {
+      const response = await uxpContext.executeAction(
+        "carbon_reporting_80rr",
+        "InsertCarbonReport",
+        { CarbonInputData: JSON.stringify(chunk), strategy, batchId },
+        { json: true }
+      );
+      const chunkResults: RowUploadResult[] = chunk.map(() => ({ status: "failed", error: "No result returned for this row." }));
+      (response?.rows || []).forEach((row: any) => {
+        if (chunkResults[row.index]) chunkResults[row.index] = { status: row.status, error: row.error };
+      });
+      results.push(...chunkResults);
+    } catch (error: any) {
+      console.error("Error uploading rows:", error);
+      const message = error?.message || String(error || "Unknown error");
+      results.push(...chunk.map((): RowUploadResult => ({ status: "failed", error: message })));
+    }
+
+    onProgress(Math.min(start + uploadChunkSize, rows.length), rows.length);
+  }
+
+  return results;
+};
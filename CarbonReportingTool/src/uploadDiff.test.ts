@@ -0,0 +1,54 @@
+import { IContextProvider } from "./uxp";
+import { RowStatus, diffUploadRows, fetchStoredRecords } from "./uploadDiff";
+import { Collections, runActionScript } from "./testing/modelScripts";
+
+// What InsertCarbonReport does with a row of each preview status under the default overwrite strategy
+const expectedWrite: { [status in RowStatus]: string } = { new: "inserted", changed: "updated", identical: "updated" };
+
+const storedContext = (db: Collections): IContextProvider => ({
+  executeAction: () => Promise.resolve(db.carbon_reporting_80rr)
+} as any);
+
+const stored = (): Collections => ({
+  carbon_sites: [{ name: "Plant A", level: "site", parent: "" }],
+  carbon_reporting_80rr: [
+    // Stored before gas types and sites were introduced, so the fields are missing altogether
+    { _id: "legacy", activity: "Electricity Consumption", year: "2023", month: "Jan", value: "100", unit: "kWh" },
+    { _id: "empty", activity: "Electricity Consumption", year: "2023", month: "Feb", value: "100", unit: "kWh", gas: "", site: "" },
+    { _id: "gas", activity: "Refrigerant Leakages/Refilling", year: "2023", month: "Jan", value: "2", unit: "kg", gas: "R-410A", site: "Plant A" }
+  ]
+});
+
+const row = (activity: string, month: string, value: string, gas = "", site = "") =>
+  ({ Activity: activity, Year: "2023", Month: month, Value: value, Unit: "", Gas: gas, Site: site });
+
+describe("upload preview and InsertCarbonReport", () => {
+  const rows = [
+    row("Electricity Consumption", "Jan", "120"),
+    row("Electricity Consumption", "Feb", "100"),
+    row("Refrigerant Leakages/Refilling", "Jan", "3", "R-410A", "Plant A"),
+    row("Refrigerant Leakages/Refilling", "Jan", "3", "R-134a", "Plant A"),
+    row("Electricity Consumption", "Mar", "50")
+  ];
+
+  it("match rows to the same stored records, including records stored without a gas or site", async () => {
+    const db = stored();
+    const preview = diffUploadRows(rows, await fetchStoredRecords(storedContext(db)));
+
+    const output = await runActionScript("InsertCarbonReport", db, { CarbonInputData: rows, strategy: "overwrite" });
+
+    expect(preview.map(diff => diff.status)).toEqual(["changed", "identical", "changed", "new", "new"]);
+    expect(output.result.rows.map((result: any) => result.status)).toEqual(preview.map(diff => expectedWrite[diff.status]));
+  });
+
+  it("update a record stored without a gas rather than adding a second copy", async () => {
+    const db = stored();
+
+    await runActionScript("InsertCarbonReport", db, { CarbonInputData: [rows[0]], strategy: "overwrite" });
+
+    const january = db.carbon_reporting_80rr.filter(record => record.activity === "Electricity Consumption" && record.month === "Jan");
+    expect(january).toHaveLength(1);
+    expect(january[0]._id).toBe("legacy");
+    expect(january[0].value).toBe("120");
+  });
+});
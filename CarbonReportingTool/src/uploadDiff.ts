@@ -0,0 +1,120 @@
+import { IContextProvider } from "./uxp";
+import { getField } from "./uploadValidation";
+
+// What InsertCarbonReport does with a row whose activity, period, gas and site already have a record
+export type MergeStrategy = "overwrite" | "skip" | "sum";
+
+export const mergeStrategyOptions = [
+  { label: "Overwrite existing values", value: "overwrite" },
+  { label: "Skip rows that already exist", value: "skip" },
+  { label: "Add to existing values", value: "sum" }
+];
+
+export type RowStatus = "new" | "changed" | "identical";
+
+export interface RowDiff {
+  status: RowStatus;
+  existingValue?: number; // stored value in the calculation unit
+  existingUnit?: string;
+}
+
+// A record already in the carbon_reporting_80rr collection
+export interface StoredRecord {
+  activity: string;
+  year: string;
+  month: string;
+  gas: string;
+  site: string;
+  value: number;
+  unit: string;
+}
+
+// Same key InsertCarbonReport upserts on
+const recordKey = (activity: string, year: string, month: string, gas: string, site: string): string =>
+  [activity, year, month, gas, site].map((part) => part.trim()).join("|");
+
+const rowKey = (row: any): string =>
+  recordKey(getField(row, "Activity"), getField(row, "Year"), getField(row, "Month"), getField(row, "Gas"), getField(row, "Site"));
+
+export const fetchStoredRecords = async (uxpContext?: IContextProvider): Promise<StoredRecord[]> => {
+  if (!uxpContext) return [];
+
+  try {
+    const result = await uxpContext.executeAction(
+      "carbon_reporting_80rr",
+      "GetAllData",
+      {},
+      { json: true }
+    );
+
+    return (result || []).map((row: any) => ({
+      activity: row.activity || "",
+      year: row.year ? row.year.toString() : "",
+      month: row.month || "",
+      gas: row.gas || "",
+      site: row.site || "",
+      value: parseFloat(row.value) || 0,
+      unit: row.unit || ""
+    }));
+  } catch (error) {
+    console.error("Error fetching stored activity data:", error);
+    return [];
+  }
+};
+
+/**
+ * Rows of one upload that share an activity, period, gas and site with another row of the same upload.
+ * InsertCarbonReport would write them to the same record, so they have to be resolved first.
+ * Only the indexes in `included` take part; messages are keyed by row index.
+ */
+export const findClashingRows = (rows: any[], included: number[]): { [rowIndex: number]: string[] } => {
+  const byKey: { [key: string]: number[] } = {};
+  included.forEach((index) => {
+    const key = rowKey(rows[index]);
+    byKey[key] = (byKey[key] || []).concat(index);
+  });
+
+  const clashes: { [rowIndex: number]: string[] } = {};
+  Object.values(byKey)
+    .filter((indexes) => indexes.length > 1)
+    .forEach((indexes) => indexes.forEach((index) => {
+      const others = indexes.filter((other) => other !== index).map((other) => other + 1);
+      clashes[index] = [`Same activity, period, gas and site as row${others.length > 1 ? "s" : ""} ${others.join(", ")}.`];
+    }));
+
+  return clashes;
+};
+
+const sameValue = (a: number, b: number): boolean => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+
+/**
+ * Compares normalised upload rows (values in the calculation unit) with the stored records.
+ * Rows are matched on activity, year, month, gas and site, as InsertCarbonReport does.
+ */
+export const diffUploadRows = (rows: any[], stored: StoredRecord[]): RowDiff[] => {
+  const storedByKey: { [key: string]: StoredRecord } = {};
+  stored.forEach((record) => {
+    const key = recordKey(record.activity, record.year, record.month, record.gas, record.site);
+    if (!storedByKey[key]) storedByKey[key] = record;
+  });
+
+  return rows.map((row) => {
+    const existing = storedByKey[rowKey(row)];
+    if (!existing) return { status: "new" };
+
+    const value = parseFloat(getField(row, "Value"));
+    return {
+      status: sameValue(value, existing.value) ? "identical" : "changed",
+      existingValue: existing.value,
+      existingUnit: existing.unit
+    };
+  });
+};
+
+// What happens to the rows of each status under a merge strategy, for the preview summary
+export const describeMergeEffect = (status: RowStatus, strategy: MergeStrategy): string => {
+  if (status === "new") return "will be added";
+  if (strategy === "skip") return "will be skipped";
+  if (strategy === "sum") return status === "identical" ? "will be added again, doubling the stored value" : "will be added to the stored value";
+  return status === "identical" ? "will be left unchanged" : "will replace the stored value";
+};
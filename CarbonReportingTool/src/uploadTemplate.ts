@@ -0,0 +1,113 @@
+import * as XLSX from "xlsx";
+import { CatalogueActivity } from "./activityCatalogue";
+import { templateColumns } from "./spreadsheet";
+import { validMonths } from "./uploadValidation";
+
+export type TemplateFormat = "csv" | "xlsx";
+
+export const templateFormatOptions = [
+  { label: "Excel (.xlsx) with dropdowns", value: "xlsx" },
+  { label: "CSV", value: "csv" }
+];
+
+export interface TemplateOptions {
+  year: string;
+  activities: CatalogueActivity[];
+  sites: string[]; // one row per site when given; the Site column is left blank otherwise
+}
+
+// Rows below the pre-filled ones that still get the dropdowns, for rows the field team adds
+const extraValidatedRows = 500;
+
+/**
+ * Template rows, header first: one row per activity and month (and site), with the year, the activity's
+ * catalogue unit and a blank value to fill in. Refrigerants also need the gas type of each row.
+ */
+export const buildTemplateRows = (options: TemplateOptions): string[][] => {
+  const rows: string[][] = [templateColumns];
+  const sites = options.sites.length > 0 ? options.sites : [""];
+
+  options.activities.forEach((activity) => {
+    validMonths.forEach((month) => {
+      sites.forEach((site) => {
+        rows.push([activity.activity, options.year, month, "", activity.unit, "", site]);
+      });
+    });
+  });
+
+  return rows;
+};
+
+export const toCSV = (rows: string[][]): string =>
+  rows
+    .map((row) => row.map((cell) => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)).join(","))
+    .join("\n");
+
+const escapeXml = (text: string): string =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Elements that follow <dataValidations> in a worksheet; the schema requires this order
+const elementsAfterValidations = /<(hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|rowBreaks|colBreaks|ignoredErrors|drawing|legacyDrawing|tableParts|extLst)\b|<\/worksheet>/;
+
+/**
+ * SheetJS does not write data validation, so the dropdowns are added to the worksheet XML of the
+ * generated file. Each validation is a list read from a range of the hidden Lists sheet.
+ */
+const addListValidations = (
+  file: ArrayBuffer,
+  sheetPath: string,
+  validations: { sqref: string; source: string }[]
+): Uint8Array => {
+  const zip = XLSX.CFB.read(new Uint8Array(file), { type: "array" });
+  const entry = XLSX.CFB.find(zip, sheetPath);
+  const xml = new TextDecoder().decode(entry.content);
+
+  const element = `<dataValidations count="${validations.length}">` +
+    validations.map((v) =>
+      `<dataValidation type="list" allowBlank="1" showErrorMessage="1" sqref="${v.sqref}">` +
+      `<formula1>${escapeXml(v.source)}</formula1></dataValidation>`
+    ).join("") +
+    "</dataValidations>";
+
+  const position = xml.search(elementsAfterValidations);
+  entry.content = new TextEncoder().encode(xml.slice(0, position) + element + xml.slice(position));
+  entry.size = entry.content.length;
+
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+};
+
+/**
+ * Template workbook: the rows on a Data sheet with dropdowns for Activity, Month and Site, which are
+ * filled from a hidden Lists sheet holding every catalogue activity, the month names and the sites.
+ */
+export const buildTemplateWorkbook = (rows: string[][], catalogue: CatalogueActivity[], siteNames: string[]): Uint8Array => {
+  const workbook = XLSX.utils.book_new();
+  const data = XLSX.utils.aoa_to_sheet(rows);
+  data["!cols"] = rows[0].map((col) => ({ wch: col === "Activity" ? 40 : 14 }));
+  XLSX.utils.book_append_sheet(workbook, data, "Data");
+
+  const activityNames = catalogue.map((activity) => activity.activity);
+  const lists = XLSX.utils.aoa_to_sheet([
+    ["Activity", "Month", "Site"],
+    ...Array.from({ length: Math.max(activityNames.length, validMonths.length, siteNames.length) }, (_, i) => [
+      activityNames[i] || "",
+      validMonths[i] || "",
+      siteNames[i] || ""
+    ])
+  ]);
+  XLSX.utils.book_append_sheet(workbook, lists, "Lists");
+  workbook.Workbook = { Sheets: [{ Hidden: 0 }, { Hidden: 1 }] };
+
+  const lastRow = rows.length + extraValidatedRows;
+  const file = XLSX.write(workbook, { type: "array", bookType: "xlsx" });
+
+  const validations = [
+    { sqref: `A2:A${lastRow}`, source: `Lists!$A$2:$A$${Math.max(activityNames.length, 1) + 1}` },
+    { sqref: `C2:C${lastRow}`, source: `Lists!$B$2:$B$${validMonths.length + 1}` }
+  ];
+  if (siteNames.length > 0) {
+    validations.push({ sqref: `G2:G${lastRow}`, source: `Lists!$C$2:$C$${siteNames.length + 1}` });
+  }
+
+  return addListValidations(file, "/xl/worksheets/sheet1.xml", validations);
+};
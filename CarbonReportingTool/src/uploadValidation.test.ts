@@ -0,0 +1,29 @@
+import { validateRows, withCatalogueActivity } from "./uploadValidation";
+import { CatalogueActivity } from "./activityCatalogue";
+
+const catalogue: CatalogueActivity[] = [
+  { activity: "Generator Fuel Consumption", scope: 1, category: "Stationary Combustion", unit: "litres" }
+];
+
+describe("withCatalogueActivity", () => {
+  it("spells the activity as in the catalogue, keeping the row's column name", () => {
+    const row = { activity: "  generator fuel consumption ", Year: "2024", Month: "Jan", Value: "10" };
+
+    expect(withCatalogueActivity(row, catalogue)).toEqual({ ...row, activity: "Generator Fuel Consumption" });
+  });
+
+  it("leaves rows alone that are spelled correctly or not in the catalogue", () => {
+    const exact = { Activity: "Generator Fuel Consumption", Value: "10" };
+    const unknown = { Activity: "Forklift LPG", Value: "10" };
+
+    expect(withCatalogueActivity(exact, catalogue)).toBe(exact);
+    expect(withCatalogueActivity(unknown, catalogue)).toBe(unknown);
+  });
+
+  it("only rewrites activities that validation accepted through the catalogue", () => {
+    const row = { Activity: "GENERATOR FUEL CONSUMPTION", Year: "2024", Month: "Jan", Value: "10" };
+
+    expect(validateRows([row], [], catalogue, []).rowErrors).toEqual({});
+    expect(withCatalogueActivity(row, catalogue).Activity).toBe("Generator Fuel Consumption");
+  });
+});
@@ -0,0 +1,126 @@
+import { CatalogueActivity, findCatalogueActivity } from "./activityCatalogue";
+import { EmissionFactor } from "./emissionFactors";
+import { isKnownGas } from "./gwp";
+import { normaliseActivityValue } from "./units";
+import { Site, findSite } from "./sites";
+
+export const requiredColumns: string[] = ["Activity", "Year", "Month", "Value"];
+
+export const validMonths: string[] = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Oldest reporting year accepted in uploads; the newest is the current year
+export const minimumReportingYear = 1990;
+
+// Upload rows use the template headers ("Activity", "Unit", ...); accept any casing
+export const getField = (row: any, name: string): string => {
+  const key = Object.keys(row).find((k) => k.trim().toLowerCase() === name.toLowerCase());
+  const value = key === undefined ? "" : row[key];
+  return value === undefined || value === null ? "" : String(value).trim();
+};
+
+/**
+ * The row with its Activity spelled as in the catalogue. Validation finds catalogue activities ignoring
+ * case and surrounding spaces, but factor lookups, the stored record key and the server-side summaries
+ * match activity names exactly, so rows are uploaded under the catalogue's name.
+ */
+export const withCatalogueActivity = (row: any, catalogue: CatalogueActivity[]): any => {
+  const entry = findCatalogueActivity(catalogue, getField(row, "Activity"));
+  if (!entry || entry.activity === getField(row, "Activity")) return row;
+
+  const key = Object.keys(row).find((k) => k.trim().toLowerCase() === "activity") || "Activity";
+  return { ...row, [key]: entry.activity };
+};
+
+export interface ValidationResult {
+  fileErrors: string[]; // problems with the upload as a whole, e.g. missing columns
+  rowErrors: { [rowIndex: number]: string[] }; // 0-based index into the rows
+}
+
+export const countRowErrors = (result: ValidationResult): number => Object.keys(result.rowErrors).length;
+
+export const hasValidationErrors = (result: ValidationResult): boolean =>
+  result.fileErrors.length > 0 || countRowErrors(result) > 0;
+
+/**
+ * Checks uploaded rows before they are sent to InsertCarbonReport: required columns, activities known
+ * to the catalogue or the factor registry, month names, a plausible year, non-negative numeric values,
+ * refrigerant gas types, configured sites and units that convert to the unit of the emission factor.
+ */
+export const validateRows = (
+  rows: any[],
+  factors: EmissionFactor[],
+  catalogue: CatalogueActivity[],
+  sites: Site[]
+): ValidationResult => {
+  const result: ValidationResult = { fileErrors: [], rowErrors: {} };
+  if (rows.length === 0) return result;
+
+  const columns = new Set<string>();
+  rows.forEach((row) => Object.keys(row).forEach((key) => columns.add(key.trim().toLowerCase())));
+  const missing = requiredColumns.filter((col) => !columns.has(col.toLowerCase()));
+  if (missing.length > 0) {
+    result.fileErrors.push(`Missing required column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`);
+  }
+
+  const maximumYear = new Date().getFullYear();
+
+  rows.forEach((row, index) => {
+    const errors: string[] = [];
+    const activity = getField(row, "Activity");
+    const year = getField(row, "Year");
+    const month = getField(row, "Month");
+    const rawValue = getField(row, "Value");
+    const gas = getField(row, "Gas");
+    const site = getField(row, "Site");
+    const entry = findCatalogueActivity(catalogue, activity);
+
+    if (!activity) {
+      errors.push("Activity is blank.");
+    } else if (!entry && !factors.some((f) => f.activity === activity)) {
+      errors.push(`"${activity}" is not in the activity catalogue.`);
+    }
+
+    const yearNumber = Number(year);
+    if (!/^\d{4}$/.test(year) || yearNumber < minimumReportingYear || yearNumber > maximumYear) {
+      errors.push(`Year "${year}" must be between ${minimumReportingYear} and ${maximumYear}.`);
+    }
+
+    if (!validMonths.includes(month)) {
+      errors.push(`Month "${month}" must be one of Jan–Dec.`);
+    }
+
+    const value = Number(rawValue);
+    if (rawValue === "" || isNaN(value)) {
+      errors.push(`Value "${rawValue}" is not a number.`);
+    } else if (value < 0) {
+      errors.push("Value cannot be negative.");
+    }
+
+    if (entry?.refrigerant && !gas) {
+      errors.push("Gas type is required for refrigerants.");
+    } else if (gas && !isKnownGas(gas)) {
+      errors.push(`Gas "${gas}" has no GWP value.`);
+    }
+
+    if (site && !findSite(sites, site)) {
+      errors.push(`Site "${site}" is not a configured site.`);
+    }
+
+    // Unit conversion is only meaningful once the activity, period and value are valid
+    if (errors.length === 0) {
+      const normalised = normaliseActivityValue(factors, catalogue, {
+        activity,
+        year,
+        month,
+        value,
+        unit: getField(row, "Unit"),
+        gas,
+      });
+      if (normalised.error) errors.push(normalised.error);
+    }
+
+    if (errors.length > 0) result.rowErrors[index] = errors;
+  });
+
+  return result;
+};